@@ -0,0 +1,108 @@
+/**
+ * Pixel console embed helper (Embed API v1; see the README).
+ * Include it on a page that iframes the console (directly or via /embed.html):
+ *
+ *   <iframe id="pixel" src="https://pixel-live-demo.vercel.app/embed.html"></iframe>
+ *   <script src="https://pixel-live-demo.vercel.app/pixel-embed.js"></script>
+ *   <script>
+ *     var pixel = PixelEmbed.connect(document.getElementById("pixel"), { autoResize: true });
+ *     pixel.setInputs({ city: "Austin, TX", spend: 2500 }).then(function (r) { console.log(r.outputs.pixel.revenue); });
+ *     pixel.subscribe(function (e) { console.log(e.outputs.delta_revenue); });
+ *   </script>
+ *
+ * Requests return Promises; replies are matched by id. The host page's origin
+ * must be allowed by the console (same list as its frame-ancestors CSP).
+ */
+(function (root) {
+  "use strict";
+
+  var NAME = "pixel-console";
+  var VERSION = 1;
+
+  function connect(iframe, options) {
+    options = options || {};
+    var origin = options.origin || new URL(iframe.src, window.location.href).origin;
+    var nextId = 1;
+    var pending = {};
+    var listeners = [];
+    var latest = null; // last outputs event, for late subscribers
+    var markReady;
+    var ready = new Promise(function (resolve) { markReady = resolve; });
+
+    function post(type, fields) {
+      var id = "h" + nextId++;
+      var msg = { target: NAME, v: VERSION, id: id, type: type };
+      for (var k in fields) msg[k] = fields[k];
+      if (iframe.contentWindow) iframe.contentWindow.postMessage(msg, origin);
+      return id;
+    }
+
+    function request(type, fields) {
+      return ready.then(function () {
+        return new Promise(function (resolve, reject) {
+          pending[post(type, fields)] = { resolve: resolve, reject: reject };
+        });
+      });
+    }
+
+    function onMessage(e) {
+      var d = e.data;
+      if (e.source !== iframe.contentWindow || e.origin !== origin || !d || d.source !== NAME) return;
+      if (d.type === "ready") {
+        markReady({ version: d.version });
+      } else if (d.type === "size") {
+        if (options.autoResize) iframe.style.height = d.height + "px";
+        if (options.onResize) options.onResize({ width: d.width, height: d.height });
+      } else if (d.type === "outputs") {
+        latest = { state: d.state, query: d.query, outputs: d.outputs };
+        listeners.slice().forEach(function (fn) { fn(latest); });
+      } else if (d.id && pending[d.id]) {
+        var p = pending[d.id];
+        delete pending[d.id];
+        if (d.type === "error") {
+          var err = new Error(d.message);
+          err.code = d.code;
+          p.reject(err);
+        } else {
+          p.resolve(d);
+        }
+      } else if (d.type === "state") {
+        markReady({ version: d.v }); // answer to the probe below: the console was up before we listened
+      }
+    }
+
+    // The console may have announced "ready" before this script ran: probe once it loads
+    function probe() { post("getState", {}); }
+    window.addEventListener("message", onMessage);
+    iframe.addEventListener("load", probe);
+    probe();
+
+    return {
+      ready: ready,
+      // Partial inputs (share-link names: city, spend, closeRate, mix: { meta: { share } }, fees...).
+      // Resolves { notices, state, query, outputs } once the console has applied them.
+      setInputs: function (inputs) { return request("setInputs", { inputs: inputs }); },
+      // Resolves { state, query, outputs }
+      getState: function () { return request("getState", {}); },
+      // Calls fn({ state, query, outputs }) now and on every change; returns an unsubscribe function
+      subscribe: function (fn) {
+        listeners.push(fn);
+        if (listeners.length === 1) request("subscribe", {});
+        else if (latest) fn(latest);
+        return function () {
+          listeners = listeners.filter(function (x) { return x !== fn; });
+          if (listeners.length === 0) request("unsubscribe", {});
+        };
+      },
+      destroy: function () {
+        window.removeEventListener("message", onMessage);
+        iframe.removeEventListener("load", probe);
+        listeners = [];
+        for (var id in pending) pending[id].reject(new Error("PixelEmbed connection closed"));
+        pending = {};
+      },
+    };
+  }
+
+  root.PixelEmbed = { connect: connect, version: VERSION };
+})(window);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Batch projection CLI — pre-run numbers for a whole call list.
+ *
+ * Usage:
+ *   npm run project -- prospects.csv [--out projections.csv] [--format csv|json] [--metros metros.csv]
+ *
+ * Input CSV needs a header row. Recognized columns (case-insensitive):
+ *   metro|city, spend, pmc, gpc, closeRate, uplift, commissionRate, fundedCap, fundedSplit
+ *   per channel: <id>_share, <id>_cpl, <id>_appt_rate, <id>_funded_share (e.g. meta_share, google_cpl)
+ *   single-channel shorthand: channel, apptRate, baseMeta, baseGoogle
+ * Blank cells use the console defaults. Money may be written as "$1,000",
+ * rates as 0.2 or "20%". Any other column (name, phone, notes) is copied through.
+ *
+ * Output goes to stdout unless --out is given. Format defaults to the --out
+ * extension (.json -> json), else csv. Numbers are rounded to cents.
+ * Rejected rows and unknown metros are reported on stderr.
+ *
+ * --metros takes a metro table exported from the console (CSV or JSON); its
+ * rows replace or extend the built-in metros for this run.
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import { parseCsvObjects, toCsv } from "../src/engine/csv.js";
+import { OUTPUT_COLUMNS, isInputColumn, projectRecords } from "../src/engine/batch.js";
+import { applyMetroOverrides, mergeImportedMetros, parseMetroFile } from "../src/engine/metros.js";
+
+function fail(message) {
+  console.error(`project-batch: ${message}`);
+  process.exit(1);
+}
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      metros: { type: "string", short: "m" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+
+const { values, positionals } = args;
+if (values.help || positionals.length !== 1) {
+  console.error("Usage: npm run project -- <prospects.csv> [--out <file>] [--format csv|json] [--metros <file>]");
+  process.exit(values.help ? 0 : 1);
+}
+
+const format = values.format || (values.out && extname(values.out).toLowerCase() === ".json" ? "json" : "csv");
+if (format !== "csv" && format !== "json") fail(`unknown format '${format}' (use csv or json)`);
+
+let text;
+try {
+  text = readFileSync(positionals[0], "utf8");
+} catch (err) {
+  fail(`cannot read ${positionals[0]}: ${err.message}`);
+}
+
+let table;
+if (values.metros) {
+  try {
+    const { metros, rejected } = parseMetroFile(readFileSync(values.metros, "utf8"), values.metros);
+    for (const r of rejected) console.error(`metros row ${r.row}: rejected: ${r.error}`);
+    table = applyMetroOverrides(mergeImportedMetros([], metros));
+  } catch (err) {
+    fail(`cannot read metros from ${values.metros}: ${err.message}`);
+  }
+}
+
+const round2 = (x) => (typeof x === "number" ? Math.round(x * 100) / 100 : x);
+
+const records = parseCsvObjects(text);
+const projected = projectRecords(records, table);
+const rows = projected.rows.map((r) => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, round2(v)])));
+const { rejected, warnings } = projected;
+
+for (const w of warnings) console.error(`row ${w.row}: warning: ${w.message}`);
+for (const r of rejected) console.error(`row ${r.row}: rejected: ${r.errors.join("; ")}`);
+
+let output;
+if (format === "json") {
+  output = JSON.stringify(rows, null, 2) + "\n";
+} else {
+  const passThrough = Object.keys(records[0] || {}).filter((c) => !isInputColumn(c));
+  output = toCsv(rows, [...passThrough, ...OUTPUT_COLUMNS]);
+}
+
+if (values.out) {
+  writeFileSync(values.out, output);
+  console.error(`project-batch: wrote ${rows.length} projection(s) to ${values.out}${rejected.length ? `, ${rejected.length} row(s) rejected` : ""}`);
+} else {
+  process.stdout.write(output);
+}
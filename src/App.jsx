@@ -1,4 +1,34 @@
 import React, { useMemo, useState, useEffect } from "react";
+import { DEFAULT_INPUTS, applyBaselineOverrides, defaultInputsFor, project, resolveInputs, validateBaselineOverride } from "./engine/projection.js";
+import { money } from "./format.js";
+import { Field, Stat } from "./components/ui.jsx";
+import ScenarioPanel from "./components/ScenarioPanel.jsx";
+import ChannelMixEditor, { ChannelBreakdown } from "./components/ChannelMixEditor.jsx";
+import TimelinePanel from "./components/TimelinePanel.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import GoalSeekPanel from "./components/GoalSeekPanel.jsx";
+import PresenterPanel from "./components/PresenterPanel.jsx";
+import AudienceView from "./components/AudienceView.jsx";
+import UncertaintyPanel from "./components/UncertaintyPanel.jsx";
+import FeesEditor from "./components/FeesEditor.jsx";
+import FunnelEditor, { FunnelTable } from "./components/FunnelEditor.jsx";
+import ProspectSummary from "./components/ProspectSummary.jsx";
+import MetroPicker from "./components/MetroPicker.jsx";
+import MetroManager from "./components/MetroManager.jsx";
+import CompetitorLibrary, { CompetitorComparison } from "./components/CompetitorLibrary.jsx";
+import { applyMetroOverrides, todayIso, upsertOverride, validateMetro } from "./engine/metros.js";
+import { DEFAULT_COMPETITORS, compareCompetitors, validateCompetitor } from "./engine/competitors.js";
+import { DEFAULT_SIMULATION, currentAssumptions, defaultDistributions } from "./engine/montecarlo.js";
+import { useSimulation } from "./useSimulation.js";
+import { useEmbedApi } from "./useEmbedApi.js";
+import { audienceSyncSupported, isAudienceWindow, openAudienceWindow, useAudienceSelection, usePresenterSync } from "./useAudienceSync.js";
+import { buildAudienceView } from "./engine/audience.js";
+import { buildSummary, describeBreakEven } from "./engine/summary.js";
+import { projectRoi } from "./engine/roi.js";
+import { GLOSSARY, glossaryFor, nicheTerms } from "./engine/glossary.js";
+import { FUNNEL_PROFILES, applyProfile, findProfile, matchCustomProfile, validateCustomProfile } from "./engine/profiles.js";
+import { DEFAULT_TIMELINE, costOfWaiting, projectTimeline } from "./engine/timeline.js";
+import { decodeScenario, encodeScenario, hasScenarioParams } from "./engine/scenarioParams.js";
 
 /**
  * PIXEL CREATIVE STUDIO — Internal Projection Console (JSX only)
@@ -8,191 +38,368 @@ import React, { useMemo, useState, useEffect } from "react";
  *
  * Default: Metro-linked ACV
  * - Each metro carries an average home value.
- * - ACV is always derived from metroAvgPrice × Commission Rate (default 2.5%).
- * - Manual override removed for simplicity.
+ * - ACV is derived from it by the ACV model: metroAvgPrice × Commission Rate (default 2.5%),
+ *   flat deal value, mortgage basis points or lifetime value.
+ * - Funnel profiles (agent, lender, brokerage) set the stages, labels and defaults; extra
+ *   stages can be added, renamed or removed and saved as custom profiles (browser storage, JSON).
  *
  * Panels:
- * - Pixel vs Competitor Calculator (city multipliers, funded cap, efficiency, appointment rate)
- * - ROI Snapshot (Appointments -> Closed -> Revenue, Cost of Waiting)
- * - Screen-share Summary (read-only JSON)
+ * - Presenter Mode (second "audience" window with selected stats, live over BroadcastChannel, freezable)
+ * - Pixel vs Competitor Calculator (funnel profile, searchable metro, channel mix, funded cap, efficiency, appointment rate, ACV model)
+ * - ROI Snapshot (Appointments -> Closed -> Revenue, Cost of Waiting; net of fees: profit, ROAS, ROI %, payback, break-even)
+ * - Goal Seek (target closings/appointments/leads/revenue -> required spend or rate, competitor spend, savings)
+ * - Projection Timeline (3–24 months, ramp, close lag, credit expiry; SVG chart + table)
+ * - Sensitivity (tornado chart of driver swings, two-variable delta revenue grid)
+ * - Uncertainty (Monte Carlo P10/P50/P90 bands in a Web Worker, histogram, win probability)
+ * - Screen-share Summary (read-only JSON; print one-pager, CSV and Markdown exports)
+ * - Saved Scenarios (browser storage, JSON export/import, side-by-side compare, post-launch actuals vs projection)
+ * - Metro Table (edit/add metros with a data-as-of date, CSV/JSON import/export)
+ * - Competitor Profiles (named vendors compared side by side with Pixel, JSON import/export)
  * - Glossary legend
  * - Test harness (console.assert)
  *
  * Notes:
+ * - Funnel math lives in ./engine/projection.js (pure, shared with the batch CLI).
+ * - Inputs round-trip through the URL query string (share links); see ./engine/scenarioParams.js.
+ * - Inside an iframe, hosts can drive the console over postMessage; see ./engine/embed.js.
  * - Plain React (no TypeScript). ASCII quotes only. Any '>' in text is escaped as &gt;.
  * - Funded media (PMC+GPC) default cap = $1,300, editable.
  */
 
-// ---------------- City table ----------------
-// mult = relative CPL multiplier; avg = rough metro average home value (USD)
-const CITY_TABLE = [
-  { city: "New York, NY", mult: 1.35, avg: 700000 },
-  { city: "San Francisco, CA", mult: 1.35, avg: 1200000 },
-  { city: "Los Angeles, CA", mult: 1.3, avg: 900000 },
-  { city: "Miami, FL", mult: 1.3, avg: 600000 },
-  { city: "Boston, MA", mult: 1.3, avg: 800000 },
-  { city: "Washington, DC", mult: 1.3, avg: 750000 },
-  { city: "San Jose, CA", mult: 1.3, avg: 1300000 },
-  { city: "Seattle, WA", mult: 1.25, avg: 850000 },
-  { city: "San Diego, CA", mult: 1.25, avg: 900000 },
-  { city: "Austin, TX", mult: 1.2, avg: 480000 },
-  { city: "Denver, CO", mult: 1.2, avg: 550000 },
-  { city: "Chicago, IL", mult: 1.2, avg: 360000 },
-  { city: "Philadelphia, PA", mult: 1.2, avg: 350000 },
-  { city: "Portland, OR", mult: 1.2, avg: 525000 },
-  { city: "Phoenix, AZ", mult: 1.2, avg: 450000 },
-  { city: "Dallas, TX", mult: 1.15, avg: 420000 },
-  { city: "Atlanta, GA", mult: 1.15, avg: 400000 },
-  { city: "Tampa, FL", mult: 1.15, avg: 380000 },
-  { city: "Charlotte, NC", mult: 1.15, avg: 380000 },
-  { city: "Nashville, TN", mult: 1.15, avg: 475000 },
-  { city: "Orlando, FL", mult: 1.15, avg: 380000 },
-  { city: "Houston, TX", mult: 1.0, avg: 330000 },
-  { city: "Minneapolis, MN", mult: 1.0, avg: 370000 },
-  { city: "Raleigh, NC", mult: 1.0, avg: 420000 },
-  { city: "Salt Lake City, UT", mult: 1.0, avg: 500000 },
-  { city: "Las Vegas, NV", mult: 1.0, avg: 430000 },
-  { city: "San Antonio, TX", mult: 1.0, avg: 320000 },
-  { city: "Columbus, OH", mult: 1.0, avg: 300000 },
-  { city: "Indianapolis, IN", mult: 1.0, avg: 290000 },
-  { city: "Cincinnati, OH", mult: 1.0, avg: 285000 },
-  { city: "Kansas City, MO", mult: 1.0, avg: 310000 },
-  { city: "St. Louis, MO", mult: 1.0, avg: 280000 },
-  { city: "Oklahoma City, OK", mult: 0.9, avg: 260000 },
-  { city: "Jacksonville, FL", mult: 0.9, avg: 325000 },
-  { city: "Cleveland, OH", mult: 0.9, avg: 220000 },
-  { city: "Pittsburgh, PA", mult: 0.9, avg: 275000 },
-  { city: "Milwaukee, WI", mult: 0.9, avg: 285000 },
-  { city: "San Juan, PR", mult: 0.85, avg: 300000 },
-];
-
-const money = (x) => `$${Number.isFinite(x) ? (Math.round(x * 100) / 100).toLocaleString() : "0.00"}`;
+// ---------------- Metro table ----------------
+// Overrides (edited + custom metros) persist per browser; built-ins stay in code.
+const METRO_STORAGE_KEY = "pixel.metros.v1";
+
+function readStoredMetros() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(METRO_STORAGE_KEY) || "[]");
+    return Array.isArray(raw) ? raw.map((m) => validateMetro(m).metro).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function useMetroTable() {
+  const [overrides, setOverrides] = useState(readStoredMetros);
+  const table = useMemo(() => applyMetroOverrides(overrides), [overrides]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(METRO_STORAGE_KEY, JSON.stringify(overrides));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [overrides]);
+
+  return { table, overrides, setOverrides };
+}
+
+// ---------------- Baseline CPLs ----------------
+// Calibrated channel baselines (from actuals) persist per browser and seed new
+// scenarios; the built-in CHANNEL_TABLE stays in code.
+const BASELINE_STORAGE_KEY = "pixel.baselines.v1";
+
+function readStoredBaselines() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(BASELINE_STORAGE_KEY) || "[]");
+    return Array.isArray(raw) ? raw.map(validateBaselineOverride).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function useBaselineDefaults() {
+  const [overrides, setOverrides] = useState(readStoredBaselines);
+  const channels = useMemo(() => applyBaselineOverrides(overrides), [overrides]);
+  const defaults = useMemo(() => defaultInputsFor(channels), [channels]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(BASELINE_STORAGE_KEY, JSON.stringify(overrides));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [overrides]);
+
+  return { channels, defaults, overrides, setOverrides };
+}
+
+// ---------------- Competitor profiles ----------------
+// The library and which profiles are compared persist per browser; teams share it as JSON.
+const COMPETITOR_STORAGE_KEY = "pixel.competitors.v1";
+
+function readStoredCompetitors() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(COMPETITOR_STORAGE_KEY) || "null");
+    if (!raw || !Array.isArray(raw.library)) return { library: DEFAULT_COMPETITORS, selected: [] };
+    const library = raw.library.map((c) => validateCompetitor(c).competitor).filter(Boolean);
+    const selected = Array.isArray(raw.selected) ? raw.selected.filter((id) => library.some((c) => c.id === id)) : [];
+    return { library, selected };
+  } catch {
+    return { library: DEFAULT_COMPETITORS, selected: [] };
+  }
+}
+
+function useCompetitorLibrary() {
+  const [initial] = useState(readStoredCompetitors);
+  const [library, setLibrary] = useState(initial.library);
+  const [selected, setSelected] = useState(initial.selected); // ids, in the order they were ticked
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(COMPETITOR_STORAGE_KEY, JSON.stringify({ library, selected }));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [library, selected]);
+
+  const compared = useMemo(() => selected.map((id) => library.find((c) => c.id === id)).filter(Boolean), [library, selected]);
+  return { library, setLibrary, selected, setSelected, compared };
+}
+
+// ---------------- Custom funnel profiles ----------------
+// Profiles with their own stage list persist per browser; teams share them as JSON.
+const PROFILE_STORAGE_KEY = "pixel.profiles.v1";
+
+function readStoredProfiles() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY) || "[]");
+    return Array.isArray(raw) ? raw.map((p) => validateCustomProfile(p).profile).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function useProfileLibrary() {
+  const [library, setLibrary] = useState(readStoredProfiles);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(library));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [library]);
+
+  return { library, setLibrary };
+}
+
+// ---------------- Share-link state ----------------
+// Query string wins; a hash is accepted for hosts that strip queries from iframe URLs.
+function readInitialScenario(table, defaults = DEFAULT_INPUTS) {
+  if (typeof window === "undefined") return { state: defaults, notices: [] };
+  const { search, hash } = window.location;
+  if (hasScenarioParams(search)) return decodeScenario(search, table, defaults);
+  if (hasScenarioParams(hash)) return decodeScenario(hash, table, defaults);
+  return { state: defaults, notices: [] };
+}
+
+// Mirror state into the address bar without adding history entries.
+function syncScenarioToUrl(state) {
+  const params = new URLSearchParams(window.location.search);
+  for (const [k, v] of new URLSearchParams(encodeScenario(state))) params.set(k, v);
+  const hash = hasScenarioParams(window.location.hash) ? "" : window.location.hash;
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}?${params}${hash}`);
+}
 
 // ---------------- Calculator logic ----------------
-function useCalculator() {
-  const [city, setCity] = useState(CITY_TABLE[0].city);
-  const [channel, setChannel] = useState("meta"); // 'meta' | 'google'
-  const [spend, setSpend] = useState(1000);
-  const [pmc, setPmc] = useState(500); // Pixel Media Credit
-  const [gpc, setGpc] = useState(0); // Growth Partner Credit
-  const [apptRate, setApptRate] = useState(0.2); // appointment rate (leads -> appts)
-  const [uplift, setUplift] = useState(0.15); // 15% lower CPL vs competitor
-  const [baseMeta, setBaseMeta] = useState(16);
-  const [baseGoogle, setBaseGoogle] = useState(85);
-
-  // --- ACV / Revenue params ---
-  const [commissionRate, setCommissionRate] = useState(0.025); // 2.5%
-  const [closeRate, setCloseRate] = useState(0.25); // % appointments that close
-  const [fundedCap, setFundedCap] = useState(1300);
-
-  // Compute metro average price for selected city
-  const metro = useMemo(() => CITY_TABLE.find((c) => c.city === city) || { mult: 1, avg: 350000 }, [city]);
-
-  // Derived ACV (always linked)
-  const acv = useMemo(() => metro.avg * commissionRate, [metro.avg, commissionRate]);
-
-  const out = useMemo(() => {
-    const baseCpl = (channel === "meta" ? baseMeta : baseGoogle) * metro.mult;
-    const competitorCpl = baseCpl;
-    const pixelCpl = competitorCpl * (1 - uplift);
-    const funded = Math.min(fundedCap, Math.max(0, pmc) + Math.max(0, gpc));
-    const pixelBudget = Math.max(0, spend) + funded;
-
-    const competitorLeads = spend > 0 && competitorCpl > 0 ? spend / competitorCpl : 0;
-    const pixelLeads = pixelBudget > 0 && pixelCpl > 0 ? pixelBudget / pixelCpl : 0;
-
-    const competitorAppts = competitorLeads * apptRate;
-    const pixelAppts = pixelLeads * apptRate;
-
-    const competitorCpa = competitorAppts > 0 ? spend / competitorAppts : 0;
-    const pixelCpa = pixelAppts > 0 ? pixelBudget / pixelAppts : 0;
-
-    const competitorClosed = competitorAppts * closeRate;
-    const pixelClosed = pixelAppts * closeRate;
-    const competitorRevenue = competitorClosed * acv;
-    const pixelRevenue = pixelClosed * acv;
-
-    const costOfWaiting = pixelRevenue; // opportunity cost of delaying 30 days
-
-    return {
-      competitorCpl,
-      pixelCpl,
-      funded,
-      pixelBudget,
-      competitorLeads,
-      pixelLeads,
-      competitorAppts,
-      pixelAppts,
-      competitorCpa,
-      pixelCpa,
-      competitorClosed,
-      pixelClosed,
-      competitorRevenue,
-      pixelRevenue,
-      costOfWaiting,
-      deltaAppts: pixelAppts - competitorAppts,
-      deltaRevenue: pixelRevenue - competitorRevenue,
-      acv,
-    };
-  }, [metro.mult, channel, spend, pmc, gpc, apptRate, uplift, baseMeta, baseGoogle, acv, closeRate, fundedCap]);
+function useCalculator(table, defaults) {
+  const [initial] = useState(() => readInitialScenario(table, defaults));
+  const [notices, setNotices] = useState(initial.notices);
+
+  const [city, setCity] = useState(initial.state.city);
+  const [spend, setSpend] = useState(initial.state.spend);
+  const [pmc, setPmc] = useState(initial.state.pmc); // Pixel Media Credit
+  const [gpc, setGpc] = useState(initial.state.gpc); // Growth Partner Credit
+  const [uplift, setUplift] = useState(initial.state.uplift); // 15% lower CPL vs competitor
+  const [mix, setMix] = useState(initial.state.mix); // per-channel share, baseline CPL, appt rate, credit share
+  const [fundedSplit, setFundedSplit] = useState(initial.state.fundedSplit); // 'spend' | 'custom'
+
+  // --- Funnel profile, ACV / Revenue params ---
+  const [profile, setProfile] = useState(initial.state.profile); // 'agent' | 'lender' | 'brokerage'
+  const [stages, setStages] = useState(initial.state.stages); // custom extra stages, null = the profile's
+  const [stageRates, setStageRates] = useState(initial.state.stageRates); // extra stage key -> rate
+  const [acvModel, setAcvModel] = useState(initial.state.acvModel);
+  const [acvParams, setAcvParams] = useState(initial.state.acvParams); // model parameters other than commission
+  const [commissionRate, setCommissionRate] = useState(initial.state.commissionRate); // 2.5%
+  const [closeRate, setCloseRate] = useState(initial.state.closeRate); // % appointments that close
+  const [fundedCap, setFundedCap] = useState(initial.state.fundedCap);
+  const [fees, setFees] = useState(initial.state.fees); // { pixel, competitor }: monthly, pctOfSpend, setup, contractMonths
+
+  const state = useMemo(
+    () => ({ city, spend, pmc, gpc, uplift, commissionRate, closeRate, fundedCap, fundedSplit, mix, fees, profile, acvModel, acvParams, stages, stageRates }),
+    [city, spend, pmc, gpc, uplift, commissionRate, closeRate, fundedCap, fundedSplit, mix, fees, profile, acvModel, acvParams, stages, stageRates]
+  );
+  const out = useMemo(() => project(state, table), [state, table]);
+  const roi = useMemo(() => projectRoi(state, table), [state, table]); // net of fees
+
+  useEffect(() => {
+    syncScenarioToUrl(state);
+  }, [state]);
+
+  // Replace every input at once (saved scenarios; older single-channel states are translated)
+  const load = (saved) => {
+    const next = resolveInputs(saved, defaults);
+    setCity(next.city);
+    setSpend(next.spend);
+    setPmc(next.pmc);
+    setGpc(next.gpc);
+    setUplift(next.uplift);
+    setCommissionRate(next.commissionRate);
+    setCloseRate(next.closeRate);
+    setFundedCap(next.fundedCap);
+    setFundedSplit(next.fundedSplit);
+    setMix(next.mix);
+    setFees(next.fees);
+    setProfile(next.profile);
+    setAcvModel(next.acvModel);
+    setAcvParams(next.acvParams);
+    setStages(next.stages);
+    setStageRates(next.stageRates);
+  };
 
   return {
-    state: { city, channel, spend, pmc, gpc, apptRate, uplift, baseMeta, baseGoogle, commissionRate, closeRate, fundedCap },
-    derived: { acv, metroAvg: metro.avg, metroMult: metro.mult },
-    set: { setCity, setChannel, setSpend, setPmc, setGpc, setApptRate, setUplift, setBaseMeta, setBaseGoogle, setCommissionRate, setCloseRate, setFundedCap },
+    state,
+    notices,
+    dismissNotices: () => setNotices([]),
+    load,
+    derived: { acv: out.acv, metroAvg: out.metroAvg, metroMult: out.metroMult, metroAsOf: (table.find((m) => m.city === city) || {}).asOf },
+    set: { setCity, setSpend, setPmc, setGpc, setUplift, setCommissionRate, setCloseRate, setFundedCap, setFundedSplit, setMix, setFees, setAcvModel, setAcvParams, setStages, setStageRates },
     out,
+    roi,
   };
 }
 
-// ---------------- UI atoms ----------------
-function Field({ label, children, hint }) {
-  return (
-    <label className="block text-sm font-medium text-zinc-700 mb-1">
-      {label}
-      <div className="mt-1">{children}</div>
-      {hint && <div className="text-xs text-zinc-500 mt-1">{hint}</div>}
-    </label>
-  );
+// "Month 3", flagged when it lands after the contract ends
+function paybackLabel({ paybackMonth, contractMonths }) {
+  if (paybackMonth === null) return "Not reached";
+  return paybackMonth > contractMonths ? `Month ${paybackMonth} (after contract)` : `Month ${paybackMonth}`;
 }
 
-function Stat({ label, value, highlight = false }) {
+// Copies the current address (which mirrors calculator state) for sharing
+function ShareLinkButton() {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link:", window.location.href);
+    }
+  };
+
   return (
-    <div className={`p-4 rounded-2xl border ${highlight ? "bg-zinc-50" : "bg-white"}`}>
-      <div className="text-xs uppercase tracking-wide text-zinc-500">{label}</div>
-      <div className="text-xl font-semibold mt-1">{value}</div>
-    </div>
+    <button type="button" className="shrink-0 rounded-xl border px-3 py-1.5 text-sm hover:bg-zinc-50" onClick={copy}>
+      {copied ? "Link copied" : "Copy share link"}
+    </button>
   );
 }
 
 // ---------------- Calculator panel ----------------
 function Calculator() {
+  const { table, overrides, setOverrides } = useMetroTable();
+  const baselines = useBaselineDefaults();
+  const competitorLibrary = useCompetitorLibrary();
+  const profileLibrary = useProfileLibrary();
   const {
-    state: { city, channel, spend, pmc, gpc, apptRate, uplift, baseMeta, baseGoogle, commissionRate, closeRate, fundedCap },
-    set: { setCity, setChannel, setSpend, setPmc, setGpc, setApptRate, setUplift, setBaseMeta, setBaseGoogle, setCommissionRate, setCloseRate, setFundedCap },
-    derived: { acv, metroAvg, metroMult },
+    state: { city, spend, pmc, gpc, uplift, commissionRate, closeRate, fundedCap, fundedSplit, mix, fees, profile, acvModel, acvParams, stages, stageRates },
+    set: { setCity, setSpend, setPmc, setGpc, setUplift, setCommissionRate, setCloseRate, setFundedCap, setFundedSplit, setMix, setFees, setAcvModel, setAcvParams, setStages, setStageRates },
+    derived: { acv, metroAvg, metroMult, metroAsOf },
+    state,
+    notices,
+    dismissNotices,
+    load,
     out,
-  } = useCalculator();
+    roi: steadyRoi,
+  } = useCalculator(table, baselines.defaults);
+
+  // Timeline mode (multi-month view; also drives Cost of Waiting)
+  const [timelineOn, setTimelineOn] = useState(false);
+  const [timelineOpts, setTimelineOpts] = useState(DEFAULT_TIMELINE);
+  const [waitMonths, setWaitMonths] = useState(1);
+  const timeline = useMemo(() => (timelineOn ? projectTimeline(state, timelineOpts, table) : null), [timelineOn, state, timelineOpts, table]);
+  // Timeline mode takes payback from the month-by-month revenue (ramp, close lag)
+  const roi = useMemo(() => (timeline ? projectRoi(state, table, { timeline }) : steadyRoi), [timeline, state, table, steadyRoi]);
+  const [goalSeekOn, setGoalSeekOn] = useState(false);
+  const [sensitivityOn, setSensitivityOn] = useState(false);
+
+  // Uncertainty mode (Monte Carlo bands; also shown in the ROI Snapshot)
+  const [uncertaintyOn, setUncertaintyOn] = useState(false);
+  const [distributions, setDistributions] = useState(null);
+  const [simOptions, setSimOptions] = useState({ runs: DEFAULT_SIMULATION.runs, seed: DEFAULT_SIMULATION.seed });
+  const assumptions = useMemo(() => currentAssumptions(state, table), [state, table]);
+  const simRequest = useMemo(
+    () => (uncertaintyOn && distributions ? { inputs: state, distributions, options: simOptions, table } : null),
+    [uncertaintyOn, distributions, state, simOptions, table]
+  );
+  const sim = useSimulation(simRequest);
+  const band = (key, fmt) => sim.result && `P10 ${fmt(sim.result.metrics[key].p10)} · P90 ${fmt(sim.result.metrics[key].p90)}`;
+  const { compared } = competitorLibrary;
+  const competitors = useMemo(() => compareCompetitors(state, compared, table), [state, compared, table]);
+  const summary = useMemo(() => buildSummary(state, out, { metroAsOf, roi, competitors }), [state, out, metroAsOf, roi, competitors]);
+  useEmbedApi({ state, outputs: summary, load, table }); // host pages that iframe the console
+
+  // Presenter mode: the audience window gets only the selected stats/panels
+  const [presenterOn, setPresenterOn] = useState(false);
+  const [audienceFrozen, setAudienceFrozen] = useState(false);
+  const [audienceSelection, setAudienceSelection] = useAudienceSelection();
+  const audienceView = useMemo(() => buildAudienceView(summary, audienceSelection), [summary, audienceSelection]);
+  const audiences = usePresenterSync(audienceView, { enabled: presenterOn, frozen: audienceFrozen });
+  const { labels } = findProfile(profile);
+  // A custom profile is a built-in one plus its stage list (./engine/profiles.js)
+  const customProfile = matchCustomProfile(profileLibrary.library, state);
+  const pickProfile = (value) => {
+    const custom = value.startsWith("custom:") && profileLibrary.library.find((p) => `custom:${p.id}` === value);
+    load(custom ? applyProfile(state, custom.base, custom) : applyProfile(state, value));
+  };
+  // The channel rate runs from the stage just before appointments (Lead, or e.g. Contacted)
+  const apptFrom = out.stages[out.stages.findIndex((st) => st.key === "appt") - 1].label.replace(/s$/, "");
+  const glossaryCtx = { state, out, timeline: timelineOn, sensitivity: sensitivityOn, uncertainty: uncertaintyOn, goalSeek: goalSeekOn, competitors: compared.length > 0 };
+
+  const toggleUncertainty = (on) => {
+    if (on && !distributions) setDistributions(defaultDistributions(assumptions));
+    setUncertaintyOn(on);
+  };
+  const waitK = timeline ? Math.min(Math.max(1, Math.round(waitMonths)), timeline.months.length) : 1;
 
   return (
     <section id="calculator" className="relative w-full">
       <div className="grid xl:grid-cols-3 gap-6">
         {/* Controls */}
         <div className="p-6 rounded-2xl border bg-white shadow-sm xl:col-span-2">
-          <h3 className="text-xl font-semibold mb-4">Pixel vs Competitor Calculator (Internal)</h3>
+          <div className="flex items-start justify-between gap-3 mb-4">
+            <h3 className="text-xl font-semibold">Pixel vs Competitor Calculator (Internal)</h3>
+            <ShareLinkButton />
+          </div>
+          {notices.length > 0 && (
+            <div className="mb-4 p-3 rounded-xl border border-amber-300 bg-amber-50 text-sm text-amber-900">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="font-medium">Some link values were invalid and reset to defaults:</div>
+                  <ul className="list-disc ml-5 mt-1">
+                    {notices.map((n) => <li key={n}>{n}</li>)}
+                  </ul>
+                </div>
+                <button type="button" className="text-xs underline" onClick={dismissNotices}>Dismiss</button>
+              </div>
+            </div>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-            <Field label="Metro" hint="Market where ads run; affects CPL via multiplier and ACV via home price.">
-              <select className="w-full rounded-xl border px-3 py-2" value={city} onChange={(e) => setCity(e.target.value)}>
-                {CITY_TABLE.map((c) => (
-                  <option key={c.city} value={c.city}>{c.city}</option>
-                ))}
+            <Field label="Funnel Profile" hint="Sets funnel stages, labels, ACV model and default rates for the niche.">
+              <select className="w-full rounded-xl border px-3 py-2" value={customProfile ? `custom:${customProfile.id}` : profile} onChange={(e) => pickProfile(e.target.value)}>
+                {FUNNEL_PROFILES.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+                {profileLibrary.library.length > 0 && (
+                  <optgroup label="Custom profiles">
+                    {profileLibrary.library.map((p) => <option key={p.id} value={`custom:${p.id}`}>{p.label}</option>)}
+                  </optgroup>
+                )}
               </select>
-              <div className="mt-2 text-xs text-zinc-500">Metro avg price: {money(metroAvg)}; CPL mult: ×{metroMult.toFixed(2)}</div>
             </Field>
-            <Field label="Channel" hint="Meta (FB/IG) or Google Search.">
-              <select className="w-full rounded-xl border px-3 py-2" value={channel} onChange={(e) => setChannel(e.target.value)}>
-                <option value="meta">Meta (FB/IG)</option>
-                <option value="google">Google Search</option>
-              </select>
+            <Field label="Metro" hint="Market where ads run; affects CPL via multiplier and ACV via home price.">
+              <MetroPicker table={table} value={city} onChange={setCity} />
+              <div className="mt-2 text-xs text-zinc-500">Metro avg price: {money(metroAvg)} ({metroAsOf ? `data as of ${metroAsOf}` : "built-in"}); CPL mult: ×{metroMult.toFixed(2)}</div>
             </Field>
             <Field label="Monthly Client Spend ($)" hint="Client-paid ad spend per month.">
               <input type="number" className="w-full rounded-xl border px-3 py-2" value={spend} min={0} onChange={(e) => setSpend(parseFloat(e.target.value) || 0)} />
@@ -203,44 +410,47 @@ function Calculator() {
             <Field label="Growth Partner Credit (GPC) ($)" hint="Additional funded media from partners.">
               <input type="number" className="w-full rounded-xl border px-3 py-2" value={gpc} min={0} onChange={(e) => setGpc(parseFloat(e.target.value) || 0)} />
             </Field>
-            <Field label="Lead -&gt; Appointment Rate" hint="% of leads that schedule an appointment.">
-              <select className="w-full rounded-xl border px-3 py-2" value={apptRate} onChange={(e) => setApptRate(parseFloat(e.target.value))}>
-                <option value={0.1}>Conservative (10%)</option>
-                <option value={0.2}>Typical (20%)</option>
-                <option value={0.27}>Dialed-in (27%)</option>
-              </select>
-            </Field>
             <Field label="Pixel Efficiency vs Competitor" hint="CPL improvement vs generic vendor.">
               <select className="w-full rounded-xl border px-3 py-2" value={uplift} onChange={(e) => setUplift(parseFloat(e.target.value))}>
                 <option value={0}>No improvement</option>
                 <option value={0.15}>15% lower CPL</option>
                 <option value={0.3}>30% lower CPL</option>
+                {![0, 0.15, 0.3].includes(uplift) && <option value={uplift}>Custom ({(uplift * 100).toFixed(1)}% lower CPL)</option>}
               </select>
             </Field>
-            <Field label="Meta Baseline CPL ($)" hint="Typical CPL on Meta before multipliers.">
-              <input type="number" className="w-full rounded-xl border px-3 py-2" value={baseMeta} min={1} onChange={(e) => setBaseMeta(parseFloat(e.target.value) || 1)} />
-            </Field>
-            <Field label="Google Baseline CPL ($)" hint="Typical CPL on Google before multipliers.">
-              <input type="number" className="w-full rounded-xl border px-3 py-2" value={baseGoogle} min={1} onChange={(e) => setBaseGoogle(parseFloat(e.target.value) || 1)} />
-            </Field>
+            <div className="sm:col-span-2 lg:col-span-3">
+              <ChannelMixEditor spend={spend} setSpend={setSpend} mix={mix} setMix={setMix} fundedSplit={fundedSplit} setFundedSplit={setFundedSplit} funded={out.funded} apptRateLabel={`${apptFrom} -> ${labels.appt} Rate`} defaults={baselines.channels} onResetDefaults={() => baselines.setOverrides([])} />
+            </div>
 
-            <Field label="Commission Rate" hint="Commission applied to metro avg price to compute ACV.">
-              <div className="flex items-center gap-2">
-                <input type="number" step="0.001" min={0} max={1} className="w-full rounded-xl border px-3 py-2" value={commissionRate} onChange={(e) => setCommissionRate(parseFloat(e.target.value) || 0)} />
-                <span className="text-sm text-zinc-600">({(commissionRate*100).toFixed(2)}%)</span>
-              </div>
-            </Field>
-            <Field label="Avg Client Value (ACV) ($)" hint="Derived from metro price × commission (read-only).">
-              <input type="number" className="w-full rounded-xl border px-3 py-2" value={Math.round(acv)} disabled />
-              <div className="mt-1 text-xs text-zinc-500">{money(metroAvg)} × {(commissionRate*100).toFixed(2)}% = {money(acv)}</div>
-            </Field>
+            <div className="sm:col-span-2 lg:col-span-3">
+              <FunnelEditor
+                profile={profile}
+                stages={stages}
+                setStages={setStages}
+                stageRates={stageRates}
+                setStageRates={setStageRates}
+                library={profileLibrary.library}
+                setLibrary={profileLibrary.setLibrary}
+                acvModel={acvModel}
+                setAcvModel={setAcvModel}
+                acvParams={acvParams}
+                setAcvParams={setAcvParams}
+                commissionRate={commissionRate}
+                setCommissionRate={setCommissionRate}
+                metroAvg={metroAvg}
+                acv={acv}
+              />
+            </div>
 
-            <Field label="% appointments that close" hint="Share of booked appointments that become clients.">
+            <Field label={labels.closeRate} hint={`Share of ${out.stages[out.stages.length - 2].label.toLowerCase()} that become ${labels.closedPlural.toLowerCase()}.`}>
               <input type="number" step="0.01" className="w-full rounded-xl border px-3 py-2" value={closeRate} min={0} max={1} onChange={(e) => setCloseRate(parseFloat(e.target.value) || 0)} />
             </Field>
             <Field label="Funded Cap ($)" hint="Max PMC+GPC used in projections.">
               <input type="number" className="w-full rounded-xl border px-3 py-2" value={fundedCap} min={0} onChange={(e) => setFundedCap(parseFloat(e.target.value) || 0)} />
             </Field>
+            <div className="sm:col-span-2 lg:col-span-3">
+              <FeesEditor fees={fees} setFees={setFees} />
+            </div>
           </div>
 
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 mt-5">
@@ -250,60 +460,185 @@ function Calculator() {
             <Stat label="Pixel Budget" value={money(out.pixelBudget)} />
             <Stat label="Competitor Leads" value={out.competitorLeads.toFixed(1)} />
             <Stat label="Pixel Leads" value={out.pixelLeads.toFixed(1)} highlight />
-            <Stat label={`Appointments @ ${(apptRate * 100).toFixed(0)}% (Competitor)`} value={out.competitorAppts.toFixed(1)} />
-            <Stat label={`Appointments @ ${(apptRate * 100).toFixed(0)}% (Pixel)`} value={`${out.pixelAppts.toFixed(1)} (${out.deltaAppts >= 0 ? "+" : ""}${out.deltaAppts.toFixed(1)})`} highlight />
-            <Stat label="Competitor Cost / Appt" value={out.competitorCpa ? money(out.competitorCpa) : "—"} />
-            <Stat label="Pixel Cost / Appt" value={out.pixelCpa ? money(out.pixelCpa) : "—"} highlight />
+            <Stat label={`${labels.appts} @ ${(out.apptRate * 100).toFixed(0)}% (Competitor)`} value={out.competitorAppts.toFixed(1)} />
+            <Stat label={`${labels.appts} @ ${(out.apptRate * 100).toFixed(0)}% (Pixel)`} value={`${out.pixelAppts.toFixed(1)} (${out.deltaAppts >= 0 ? "+" : ""}${out.deltaAppts.toFixed(1)})`} highlight />
+            <Stat label={`Competitor Cost / ${labels.appt}`} value={out.competitorCpa ? money(out.competitorCpa) : "—"} />
+            <Stat label={`Pixel Cost / ${labels.appt}`} value={out.pixelCpa ? money(out.pixelCpa) : "—"} highlight />
           </div>
+          <CompetitorComparison summary={summary} />
+          <FunnelTable stages={out.stages} />
+          <ChannelBreakdown channels={out.channels} />
         </div>
 
         {/* ROI Snapshot */}
         <div className="p-6 rounded-2xl border bg-white shadow-sm">
           <h3 className="text-xl font-semibold mb-2">ROI Snapshot</h3>
-          <p className="text-sm text-zinc-600 mb-4">Revenue math based on Appointments -&gt; Closed -&gt; ACV (average client value).</p>
+          <p className="text-sm text-zinc-600 mb-4">Revenue math based on {labels.appts} -&gt; {labels.closedPlural} -&gt; ACV (average client value).</p>
           <div className="grid grid-cols-2 gap-3">
-            <Stat label="Closed (Competitor)" value={out.competitorClosed.toFixed(2)} />
-            <Stat label="Closed (Pixel)" value={out.pixelClosed.toFixed(2)} highlight />
+            <Stat label={`${labels.closedPlural} (Competitor)`} value={out.competitorClosed.toFixed(2)} />
+            <Stat label={`${labels.closedPlural} (Pixel)`} value={out.pixelClosed.toFixed(2)} highlight detail={band("pixelClosed", (x) => x.toFixed(2))} />
             <Stat label="Monthly Revenue (Competitor)" value={money(out.competitorRevenue)} />
-            <Stat label="Monthly Revenue (Pixel)" value={money(out.pixelRevenue)} highlight />
-            <Stat label="Cost of Waiting 30 Days" value={money(out.costOfWaiting)} />
-            <Stat label="Delta Revenue (Pixel - Competitor)" value={money(out.deltaRevenue)} highlight />
+            <Stat label="Monthly Revenue (Pixel)" value={money(out.pixelRevenue)} highlight detail={band("pixelRevenue", money)} />
+            {timeline ? (
+              <Stat label={`Cost of Waiting ${waitK} mo (${timeline.months.length}-mo view)`} value={money(costOfWaiting(timeline, waitK))} />
+            ) : (
+              <Stat label="Cost of Waiting 30 Days" value={money(out.costOfWaiting)} />
+            )}
+            <Stat label="Delta Revenue (Pixel - Competitor)" value={money(out.deltaRevenue)} highlight detail={band("deltaRevenue", money)} />
           </div>
-          <p className="text-xs text-zinc-500 mt-4">Adjust commission and close-rate to your niche. ACV is linked to metro average price × commission.</p>
+
+          <h4 className="font-semibold mt-5 mb-2">Net of Fees</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <Stat label="Net Profit / mo (Competitor)" value={money(roi.competitor.netProfit)} detail={`Cost ${money(roi.competitor.totalCost)}/mo`} />
+            <Stat label="Net Profit / mo (Pixel)" value={money(roi.pixel.netProfit)} highlight detail={`Cost ${money(roi.pixel.totalCost)}/mo`} />
+            <Stat label="ROAS / ROI (Competitor)" value={`${roi.competitor.roas.toFixed(2)}x`} detail={`ROI ${(roi.competitor.roi * 100).toFixed(0)}%`} />
+            <Stat label="ROAS / ROI (Pixel)" value={`${roi.pixel.roas.toFixed(2)}x`} highlight detail={`ROI ${(roi.pixel.roi * 100).toFixed(0)}%`} />
+            <Stat label="Cost / Closed Client (Competitor)" value={roi.competitor.costPerClosed ? money(roi.competitor.costPerClosed) : "—"} />
+            <Stat label="Cost / Closed Client (Pixel)" value={roi.pixel.costPerClosed ? money(roi.pixel.costPerClosed) : "—"} highlight />
+            <Stat label="Payback (Competitor)" value={paybackLabel(roi.competitor)} />
+            <Stat label="Payback (Pixel)" value={paybackLabel(roi.pixel)} highlight />
+          </div>
+          <div className="mt-3 p-3 rounded-xl border bg-zinc-50 text-sm">
+            <span className="font-medium">Break-even:</span> {describeBreakEven(roi.breakEven)}
+          </div>
+          <p className="text-xs text-zinc-500 mt-4">Adjust the funnel profile, ACV model and close rate to your niche. ACV is linked to the metro average price.</p>
         </div>
       </div>
 
-      {/* Read-only summary card for screen share */}
+      {/* Presenter mode: screen-share a clean second window */}
       <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
-        <h3 className="text-lg font-semibold mb-2">Prospect Summary (Display Only)</h3>
-        <pre className="text-sm bg-zinc-50 p-3 rounded-xl overflow-x-auto"><code>{JSON.stringify({
-          city,
-          channel,
-          spend,
-          funded_media: out.funded,
-          competitor: { cpl: out.competitorCpl, leads: out.competitorLeads, appts: out.competitorAppts, cpa: out.competitorCpa, revenue: out.competitorRevenue },
-          pixel: { cpl: out.pixelCpl, leads: out.pixelLeads, appts: out.pixelAppts, cpa: out.pixelCpa, revenue: out.pixelRevenue },
-          assumptions: { appt_rate: apptRate, acv: out.acv, commission_rate: commissionRate, metro_avg_price: metroAvg, close_rate: closeRate, base_meta_cpl: baseMeta, base_google_cpl: baseGoogle, funded_cap: fundedCap }
-        }, null, 2)}</code></pre>
-        <p className="text-xs text-zinc-500 mt-2">This block is read-only for screen share. No data is collected from the prospect.</p>
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold">Presenter Mode</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={presenterOn} onChange={(e) => setPresenterOn(e.target.checked)} />
+            Presenter mode
+          </label>
+        </div>
+        {presenterOn ? (
+          <div className="mt-4">
+            <PresenterPanel
+              selection={audienceSelection}
+              setSelection={setAudienceSelection}
+              frozen={audienceFrozen}
+              setFrozen={setAudienceFrozen}
+              audiences={audiences}
+              supported={audienceSyncSupported()}
+              onOpen={openAudienceWindow}
+            />
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-500 mt-2">Turn on to keep these controls to yourself and screen-share a separate audience window with large-type stats that update live.</p>
+        )}
       </div>
 
+      {/* Reverse mode: target -> required spend or rate */}
+      <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold">Goal Seek</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={goalSeekOn} onChange={(e) => setGoalSeekOn(e.target.checked)} />
+            Work backwards
+          </label>
+        </div>
+        {goalSeekOn ? (
+          <div className="mt-4">
+            <GoalSeekPanel state={state} table={table} onApply={load} />
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-500 mt-2">Turn on to start from a target ("3 closings a month") and solve for the client spend, close rate or other input it takes, with the competitor&apos;s spend for the same goal.</p>
+        )}
+      </div>
+
+      {/* Multi-month timeline */}
+      <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold">Projection Timeline</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={timelineOn} onChange={(e) => setTimelineOn(e.target.checked)} />
+            Timeline mode
+          </label>
+        </div>
+        {timeline ? (
+          <div className="mt-4">
+            <TimelinePanel timeline={timeline} options={timelineOpts} setOptions={setTimelineOpts} waitMonths={waitK} setWaitMonths={setWaitMonths} />
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-500 mt-2">Turn on to project 3–24 months with campaign ramp-up, appointment-to-close lag and expiring funded credits.</p>
+        )}
+      </div>
+
+      {/* What-if: driver sensitivity */}
+      <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold">Sensitivity</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={sensitivityOn} onChange={(e) => setSensitivityOn(e.target.checked)} />
+            Show what-ifs
+          </label>
+        </div>
+        {sensitivityOn ? (
+          <div className="mt-4">
+            <SensitivityPanel state={state} table={table} />
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-500 mt-2">Turn on to see which drivers (close rate, appointment rate, CPL, spend...) move revenue most, plus a two-variable grid.</p>
+        )}
+      </div>
+
+      {/* Monte Carlo ranges */}
+      <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold">Uncertainty</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={uncertaintyOn} onChange={(e) => toggleUncertainty(e.target.checked)} />
+            Uncertainty mode
+          </label>
+        </div>
+        {uncertaintyOn && distributions ? (
+          <div className="mt-4">
+            <UncertaintyPanel
+              current={assumptions}
+              distributions={distributions}
+              setDistributions={setDistributions}
+              options={simOptions}
+              setOptions={setSimOptions}
+              onRecenter={() => setDistributions(defaultDistributions(assumptions))}
+              result={sim.result}
+              pending={sim.pending}
+              error={sim.error}
+            />
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-500 mt-2">Turn on to give appointment rate, close rate, efficiency, CPL and ACV a range and see P10/P50/P90 outcomes instead of a single number.</p>
+        )}
+      </div>
+
+      {/* Read-only summary card for screen share, with print/CSV/Markdown exports */}
+      <ProspectSummary summary={summary} state={state} terms={glossaryFor(glossaryCtx)} />
+
+      <ScenarioPanel
+        state={state}
+        out={{ ...out, pixelNetProfit: roi.pixel.netProfit, competitorNetProfit: roi.competitor.netProfit }}
+        onLoad={load}
+        onUpdateMetro={({ city, avg }, mult) => setOverrides((o) => upsertOverride(o, { city, mult, avg, asOf: todayIso() }))}
+        onSaveBaselines={(list) => baselines.setOverrides((o) => [...o.filter((x) => !list.some((b) => b.id === x.id)), ...list.map((b) => ({ ...b, asOf: todayIso() }))])}
+        table={table}
+        channels={baselines.channels}
+      />
+
+      <MetroManager table={table} overrides={overrides} setOverrides={setOverrides} />
+      <CompetitorLibrary
+        library={competitorLibrary.library}
+        setLibrary={competitorLibrary.setLibrary}
+        selected={competitorLibrary.selected}
+        setSelected={competitorLibrary.setSelected}
+      />
+
       {/* Glossary / Legend */}
       <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
         <h3 className="text-lg font-semibold mb-2">Glossary</h3>
         <ul className="grid md:grid-cols-2 gap-3 text-sm text-zinc-700">
-          <li><strong>CPL</strong> — Cost Per Lead. Dollars spent to generate one lead.</li>
-          <li><strong>Appointment Rate</strong> — % of leads that book an appointment (Lead -&gt; Appointment).</li>
-          <li><strong>CPA</strong> — Cost Per Appointment. Total spend divided by appointments.</li>
-          <li><strong>ACV</strong> — Average Client Value. ACV = Metro Avg Price × Commission Rate.</li>
-          <li><strong>Close Rate</strong> — % appointments that close into clients (Appointment -&gt; Closed).</li>
-          <li><strong>PMC</strong> — Pixel Media Credit. Extra paid media Pixel contributes.</li>
-          <li><strong>GPC</strong> — Growth Partner Credit. Additional funded media from partners.</li>
-          <li><strong>Funded Cap</strong> — The maximum PMC+GPC allowed in projections.</li>
-          <li><strong>Pixel Budget</strong> — Client spend plus funded media used in Pixel projections.</li>
-          <li><strong>Efficiency</strong> — Pixel CPL improvement vs competitor (e.g., 15% lower CPL).</li>
-          <li><strong>Cost of Waiting</strong> — Estimated monthly revenue forfeited if launch is delayed 30 days.</li>
-          <li><strong>Delta Revenue</strong> — Pixel revenue minus competitor revenue for the same period.</li>
+          {[...GLOSSARY, ...nicheTerms(state)].map((g) => <li key={g.term}><strong>{g.term}</strong> — {g.text}</li>)}
         </ul>
       </div>
     </section>
@@ -327,9 +662,17 @@ export default function App() {
   useEffect(() => {
     const approx = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
 
-    // (tests omitted for brevity; keep yours if you want the console asserts)
+    // Smoke checks only; the full suite is src/engine/*.test.js (npm test)
+    const base = project();
+    console.assert(approx(base.competitorCpl, 21.6), "NY Meta CPL should be 16 × 1.35");
+    console.assert(base.pixelBudget === 1500, "Pixel budget = spend + funded media");
+    console.assert(project({ pmc: 5000 }).funded === DEFAULT_INPUTS.fundedCap, "funded media clamps to cap");
+    console.assert(project({ city: "Nowhere" }).metroAvg === 350000, "unknown metro falls back to $350k");
   }, []);
 
+  // Second window opened from Presenter Mode (?view=audience)
+  if (isAudienceWindow()) return <AudienceView />;
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-white to-zinc-50 text-zinc-900">
       <header className="sticky top-0 z-40 backdrop-blur bg-white/75 border-b">
@@ -345,7 +688,7 @@ export default function App() {
 
       <footer className="border-t">
         <div className="max-w-6xl mx-auto px-4 md:px-6 lg:px-8 py-8 text-xs text-zinc-500">
-          For internal demonstration only. Media credits apply to paid media only and do not reduce service fees. Client retains ownership of ad accounts, creatives, data, and dashboards.
+          For internal demonstration only. Media credits apply to paid media only and do not reduce service fees (net figures include the fees entered above). Client retains ownership of ad accounts, creatives, data, and dashboards.
         </div>
       </footer>
     </div>
@@ -0,0 +1,266 @@
+import React, { useRef, useState } from "react";
+import { money } from "../format.js";
+import { formatValue } from "../engine/summary.js";
+import { findProfile } from "../engine/profiles.js";
+import {
+  ACTUAL_METRICS,
+  actualsVariance,
+  calibrate,
+  mergeActuals,
+  parseActualsCsv,
+  realizedRates,
+  removeActualMonth,
+  validateActualMonth,
+} from "../engine/actuals.js";
+
+/**
+ * Actuals — monthly results for a signed client attached to the scenario saved
+ * on the call: entered by hand or imported from an ad-platform CSV, compared
+ * with the projection stage by stage, with the realized rates and an offer to
+ * feed the realized CPL back into the metro table or the default baseline CPLs
+ * new scenarios start from.
+ */
+
+const signedPct = (x) => (x === null ? "—" : `${x > 0 ? "+" : ""}${(x * 100).toFixed(1)}%`);
+const signed = (x, format) => (x === null ? "—" : `${x > 0 ? "+" : x < 0 ? "-" : ""}${formatValue(Math.abs(x), format)}`);
+const tone = (x) => (x === null || Math.abs(x) < 1e-9 ? "" : x > 0 ? "text-emerald-700" : "text-rose-700");
+
+function thisMonth(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+export default function ActualsPanel({ scenario, setActuals, table, channels, onUpdateMetro, onSaveBaselines, onClose }) {
+  const actuals = scenario.actuals || [];
+  const { out, state } = scenario;
+  const [newMonth, setNewMonth] = useState(thisMonth);
+  const [report, setReport] = useState(null); // import or apply result message
+  const fileRef = useRef(null);
+
+  const { labels } = findProfile(state.profile);
+  const stageLabel = (m) => (m.key === "appts" ? labels.appts : m.key === "closed" ? labels.closedPlural : m.label);
+
+  const setFigure = (row, key, raw) => {
+    const { month } = validateActualMonth({ ...row, [key]: raw });
+    if (month) setActuals(mergeActuals(actuals, [month]));
+  };
+
+  const addMonth = () => {
+    const { month, error } = validateActualMonth({ month: newMonth });
+    if (error) return setReport({ ok: false, text: error });
+    if (actuals.some((a) => a.month === month.month)) return setReport({ ok: false, text: `${month.month} is already listed.` });
+    setActuals(mergeActuals(actuals, [month]));
+    setReport(null);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { months, rejected } = parseActualsCsv(await file.text());
+      setActuals(mergeActuals(actuals, months));
+      const skipped = rejected.length ? ` Skipped ${rejected.length} row(s): ${rejected.slice(0, 3).map((r) => `row ${r.row}: ${r.error}`).join("; ")}${rejected.length > 3 ? "…" : ""}` : "";
+      setReport({ ok: !rejected.length, text: `Imported ${months.length} month(s).${skipped}` });
+    } catch (err) {
+      setReport({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const variance = actualsVariance(out, actuals);
+  const rates = realizedRates(out, actuals);
+  const cal = calibrate(state, out, actuals, table);
+  const metroRow = cal && cal.metro && table.find((m) => m.city === cal.metro.city);
+
+  const updateMetro = () => {
+    onUpdateMetro(metroRow, cal.metro.suggested);
+    setReport({ ok: true, text: `${cal.metro.city} multiplier set to ×${cal.metro.suggested.toFixed(2)} in the metro table.` });
+  };
+
+  const currentDefault = (id) => channels.find((c) => c.id === id).baseCpl;
+  const saveBaselines = () => {
+    onSaveBaselines(cal.baselines.channels.map((ch) => ({ id: ch.id, baseCpl: ch.suggested })));
+    setReport({ ok: true, text: `Default baseline CPLs saved for new scenarios: ${cal.baselines.channels.map((ch) => `${ch.label} ${money(ch.suggested)}`).join(", ")}. The calculator's current numbers are unchanged.` });
+  };
+
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+  const input = "w-full rounded-lg border px-2 py-1 text-sm";
+  const cell = "px-2 py-1.5";
+  const num = `${cell} text-right whitespace-nowrap`;
+
+  const rateRows = [
+    { key: "cpl", label: "Cost per lead", format: "money" },
+    { key: "apptRate", label: `Lead -> ${labels.appt} rate`, format: "pct" },
+    { key: "closeRate", label: `${labels.appt} -> ${labels.closed} rate`, format: "pct" },
+    { key: "acv", label: `Revenue per ${labels.closed.toLowerCase()}`, format: "money" },
+  ];
+
+  return (
+    <div className="mt-4 rounded-2xl border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div>
+          <h4 className="font-semibold">Actuals: {scenario.name}</h4>
+          <div className="text-xs text-zinc-500">Projected monthly: {money(out.pixelBudget)} spend, {formatValue(out.pixelLeads, "count1")} leads, {formatValue(out.pixelRevenue, "money")} revenue (Pixel side, saved {new Date(scenario.savedAt).toLocaleDateString()}).</div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={btn} onClick={() => fileRef.current.click()}>Import CSV</button>
+          <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={importFile} />
+          <button type="button" className={btn} onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {report && (
+        <div className={`mb-3 p-2 rounded-xl border text-sm ${report.ok ? "bg-emerald-50 border-emerald-200" : "bg-amber-50 border-amber-300"}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>{report.text}</div>
+            <button type="button" className="text-xs underline" onClick={() => setReport(null)}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto border rounded-xl">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-xs text-zinc-500 text-left">
+              <th className={`${cell} font-medium`}>Month</th>
+              {ACTUAL_METRICS.map((m) => <th key={m.key} className={`${cell} font-medium`}>{stageLabel(m)}{m.format === "money" ? " ($)" : ""}</th>)}
+              <th className={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {actuals.map((a) => (
+              <tr key={a.month} className="border-b">
+                <td className={`${cell} font-medium whitespace-nowrap`}>{a.month}</td>
+                {ACTUAL_METRICS.map((m) => (
+                  <td key={m.key} className={`${cell} min-w-[6rem]`}>
+                    <input type="number" min={0} className={input} value={a[m.key] ?? ""} placeholder="—" onChange={(e) => setFigure(a, m.key, e.target.value)} />
+                  </td>
+                ))}
+                <td className={`${cell} text-right`}>
+                  <button type="button" className={`${btn} text-rose-700`} onClick={() => setActuals(removeActualMonth(actuals, a.month))}>Remove</button>
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td className={cell} colSpan={ACTUAL_METRICS.length + 2}>
+                <div className="flex gap-2 items-center">
+                  <input type="month" className="rounded-lg border px-2 py-1 text-sm" value={newMonth} onChange={(e) => setNewMonth(e.target.value)} />
+                  <button type="button" className={btn} onClick={addMonth}>Add month</button>
+                  <span className="text-xs text-zinc-500">Leave a figure blank if it was not tracked.</span>
+                </div>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-zinc-500 mt-1">CSV imports read a date or month column plus spend/cost, leads/results, appointments, closed and revenue; daily rows are summed per month and replace months already listed.</p>
+
+      {actuals.length > 0 && (
+        <div className="grid lg:grid-cols-2 gap-4 mt-4">
+          <div>
+            <h5 className="text-sm font-semibold mb-1">Variance by stage (all tracked months)</h5>
+            <table className="w-full text-sm border rounded-xl">
+              <thead className="bg-zinc-50 text-xs text-zinc-500">
+                <tr>
+                  <th className={`${cell} text-left font-medium`}>Stage</th>
+                  <th className={`${num} font-medium`}>Projected</th>
+                  <th className={`${num} font-medium`}>Actual</th>
+                  <th className={`${num} font-medium`}>Variance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ACTUAL_METRICS.map((m) => {
+                  const t = variance.totals[m.key];
+                  return (
+                    <tr key={m.key} className="border-t">
+                      <td className={cell}>{stageLabel(m)} <span className="text-xs text-zinc-500">({t.months} mo)</span></td>
+                      <td className={num}>{t.months ? formatValue(t.projected, m.format) : "—"}</td>
+                      <td className={num}>{formatValue(t.actual, m.format)}</td>
+                      <td className={`${num} ${m.key === "spend" ? "" : tone(t.variance)}`}>{signed(t.variance, m.format)} <span className="text-xs">({signedPct(t.pct)})</span></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h5 className="text-sm font-semibold mb-1">Realized vs assumed</h5>
+            <table className="w-full text-sm border rounded-xl">
+              <thead className="bg-zinc-50 text-xs text-zinc-500">
+                <tr>
+                  <th className={`${cell} text-left font-medium`}>Rate</th>
+                  <th className={`${num} font-medium`}>Projected</th>
+                  <th className={`${num} font-medium`}>Realized</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rateRows.map((r) => (
+                  <tr key={r.key} className="border-t">
+                    <td className={cell}>{r.label}</td>
+                    <td className={num}>{formatValue(rates[r.key].projected, r.format)}</td>
+                    <td className={`${num} font-medium`}>{formatValue(rates[r.key].actual, r.format)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {cal ? (
+              <div className="mt-3 p-3 rounded-xl border bg-zinc-50 text-sm space-y-2">
+                <div>Realized CPL is {signedPct(cal.scale - 1)} vs projected. Feed it back into one of:</div>
+                <div className="flex flex-wrap gap-2">
+                  {metroRow && (
+                    <button type="button" className={btn} onClick={updateMetro}>
+                      Set {cal.metro.city} multiplier ×{cal.metro.current.toFixed(2)} -&gt; ×{cal.metro.suggested.toFixed(2)}
+                    </button>
+                  )}
+                  {cal.baselines.channels.length > 0 && (
+                    <button type="button" className={btn} onClick={saveBaselines}>
+                      Save default baseline CPLs: {cal.baselines.channels.map((ch) => `${ch.label} ${money(currentDefault(ch.id))} -> ${money(ch.suggested)}`).join(", ")}
+                    </button>
+                  )}
+                </div>
+                <div className="text-xs text-zinc-500">
+                  The metro multiplier affects every prospect in that metro; default baseline CPLs affect every new scenario for the channels this client ran. Both are saved in this browser, dated today. Use one, not both.
+                  {metroRow && cal.metro.current !== cal.metro.saved && ` The scenario was projected at ×${cal.metro.saved.toFixed(2)} for ${cal.metro.city}; the metro table now has ×${cal.metro.current.toFixed(2)}, and the suggestion scales the saved value.`}
+                  {cal.baselines.channels.some((ch) => currentDefault(ch.id) !== ch.saved) && " Suggested baselines scale the CPLs this scenario was saved with, which differ from today's defaults."}
+                </div>
+              </div>
+            ) : (
+              <p className="text-xs text-zinc-500 mt-2">Enter spend and leads for at least one month to back out the realized CPL.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {actuals.length > 1 && (
+        <div className="mt-4 overflow-x-auto">
+          <h5 className="text-sm font-semibold mb-1">Month by month (actual, variance vs projection)</h5>
+          <table className="w-full text-sm border rounded-xl">
+            <thead className="bg-zinc-50 text-xs text-zinc-500">
+              <tr>
+                <th className={`${cell} text-left font-medium`}>Month</th>
+                {ACTUAL_METRICS.map((m) => <th key={m.key} className={`${num} font-medium`}>{stageLabel(m)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {variance.months.map((row) => (
+                <tr key={row.month} className="border-t">
+                  <td className={cell}>{row.month}</td>
+                  {ACTUAL_METRICS.map((m) => {
+                    const v = row.metrics[m.key];
+                    return (
+                      <td key={m.key} className={num}>
+                        {formatValue(v.actual, m.format)}
+                        {v.pct !== null && <span className={`ml-1 text-xs ${m.key === "spend" ? "text-zinc-500" : tone(v.pct)}`}>{signedPct(v.pct)}</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
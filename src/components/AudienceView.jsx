@@ -0,0 +1,85 @@
+import React from "react";
+import { useAudienceSync, audienceSyncSupported } from "../useAudienceSync.js";
+
+/**
+ * Audience window (?view=audience) — the clean, large-type screen to share.
+ * Renders whatever the presenter window broadcasts; it has no inputs and never
+ * sees the assumptions behind the numbers.
+ */
+
+function AudienceStat({ stat }) {
+  return (
+    <div className="p-6 rounded-3xl border bg-white">
+      <div className="text-base uppercase tracking-wide text-zinc-500">{stat.label}</div>
+      {stat.value !== undefined ? (
+        <div className="text-5xl font-bold mt-2">{stat.value}</div>
+      ) : (
+        <>
+          <div className="text-5xl font-bold mt-2">{stat.pixel}</div>
+          <div className="text-lg text-zinc-500 mt-1">Competitor: {stat.competitor}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function AudiencePanel({ panel }) {
+  return (
+    <div className="p-6 rounded-3xl border bg-white">
+      <h2 className="text-2xl font-semibold mb-3">{panel.title}</h2>
+      <table className="w-full text-xl">
+        <thead>
+          <tr className="text-left text-base text-zinc-500 border-b">
+            <th className="py-2 font-medium" />
+            <th className="py-2 font-medium text-right">Competitor</th>
+            <th className="py-2 font-medium text-right">Pixel</th>
+          </tr>
+        </thead>
+        <tbody>
+          {panel.rows.map((r) => (
+            <tr key={r.label} className="border-b last:border-0">
+              <td className="py-2">{r.label}</td>
+              <td className="py-2 text-right text-zinc-600">{r.competitor}</td>
+              <td className="py-2 text-right font-semibold">{r.pixel}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {panel.notes.map((n) => <p key={n} className="text-lg mt-3">{n}</p>)}
+    </div>
+  );
+}
+
+export default function AudienceView() {
+  const view = useAudienceSync();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-white to-zinc-50 text-zinc-900">
+      <header className="border-b bg-white">
+        <div className="max-w-7xl mx-auto px-8 h-20 flex items-center justify-between">
+          <div className="text-2xl font-bold">PIXEL <span className="text-zinc-400 font-medium">Creative Studio</span></div>
+          {view && <div className="text-xl text-zinc-600">{view.city} · {view.channelMix}</div>}
+        </div>
+      </header>
+      <main className="max-w-7xl mx-auto px-8 py-10">
+        {!view ? (
+          <p className="text-2xl text-zinc-500 text-center mt-24">
+            {audienceSyncSupported() ? "Waiting for the presenter window…" : "This browser can't sync windows. Open the console in a current Chrome, Edge, Firefox or Safari."}
+          </p>
+        ) : (
+          <>
+            {view.stats.length > 0 && (
+              <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {view.stats.map((s) => <AudienceStat key={s.key} stat={s} />)}
+              </div>
+            )}
+            <div className="grid lg:grid-cols-2 gap-6 mt-6">
+              {view.panels.map((p) => <AudiencePanel key={p.key} panel={p} />)}
+            </div>
+            <p className="text-sm text-zinc-500 mt-10">Projections are estimates, not guarantees. Media credits apply to paid media only and do not reduce service fees.</p>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
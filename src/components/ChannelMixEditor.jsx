@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import { money } from "../format.js";
+import { CHANNEL_TABLE } from "../engine/projection.js";
+
+/**
+ * Channel Mix — splits client spend (and optionally funded media) across
+ * CHANNEL_TABLE. Each channel carries its own baseline CPL and appointment rate.
+ * Shares are stored as fractions; the dollars view edits the same shares and
+ * sets total spend to the sum of the channel amounts. Baseline CPLs calibrated
+ * from actuals (the `defaults` channel table) are listed with a reset.
+ */
+
+const APPT_PRESETS = [
+  { value: 0.1, label: "Conservative (10%)" },
+  { value: 0.2, label: "Typical (20%)" },
+  { value: 0.27, label: "Dialed-in (27%)" },
+];
+
+const pct = (x) => Math.round(x * 1000) / 10;
+
+function normalized(mix, key) {
+  const total = CHANNEL_TABLE.reduce((a, c) => a + Math.max(0, mix[c.id][key]), 0);
+  return Object.fromEntries(CHANNEL_TABLE.map((c) => [c.id, total > 0 ? Math.max(0, mix[c.id][key]) / total : 0]));
+}
+
+// apptRateLabel names the channel rate for the funnel profile (e.g. "Contacted -> Application Rate")
+export default function ChannelMixEditor({ spend, setSpend, mix, setMix, fundedSplit, setFundedSplit, funded, apptRateLabel = "Lead -> Appt Rate", defaults = CHANNEL_TABLE, onResetDefaults }) {
+  const [mode, setMode] = useState("percent"); // 'percent' | 'dollars'
+  const shares = normalized(mix, "share");
+  const shareTotal = CHANNEL_TABLE.reduce((a, c) => a + mix[c.id].share, 0);
+  const fundedTotal = CHANNEL_TABLE.reduce((a, c) => a + mix[c.id].fundedShare, 0);
+  const custom = fundedSplit === "custom";
+  const calibrated = defaults.filter((c) => c.asOf);
+
+  const update = (id, patch) => setMix((m) => ({ ...m, [id]: { ...m[id], ...patch } }));
+
+  const setDollars = (id, dollars) => {
+    const amounts = Object.fromEntries(CHANNEL_TABLE.map((c) => [c.id, c.id === id ? Math.max(0, dollars) : Math.max(0, spend) * shares[c.id]]));
+    const total = Object.values(amounts).reduce((a, b) => a + b, 0);
+    setSpend(total);
+    if (total > 0) setMix((m) => Object.fromEntries(CHANNEL_TABLE.map((c) => [c.id, { ...m[c.id], share: amounts[c.id] / total }])));
+  };
+
+  const normalize = (key) => {
+    const n = normalized(mix, key);
+    setMix((m) => Object.fromEntries(CHANNEL_TABLE.map((c) => [c.id, { ...m[c.id], [key]: n[c.id] }])));
+  };
+
+  const input = "w-full rounded-xl border px-3 py-2";
+  const toggle = (active) => `px-3 py-1 ${active ? "bg-zinc-900 text-white" : "bg-white"}`;
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div>
+          <div className="text-sm font-medium text-zinc-700">Channel Mix</div>
+          <div className="text-xs text-zinc-500">Split monthly client spend across channels; each has its own baseline CPL and appointment rate.</div>
+        </div>
+        <div className="flex flex-wrap gap-2 text-xs">
+          <div className="inline-flex rounded-lg border overflow-hidden">
+            <button type="button" className={toggle(mode === "percent")} onClick={() => setMode("percent")}>Split by %</button>
+            <button type="button" className={toggle(mode === "dollars")} onClick={() => setMode("dollars")}>Split by $</button>
+          </div>
+          <div className="inline-flex rounded-lg border overflow-hidden">
+            <button type="button" className={toggle(!custom)} onClick={() => setFundedSplit("spend")}>Credits follow spend</button>
+            <button type="button" className={toggle(custom)} onClick={() => setFundedSplit("custom")}>Custom credit split</button>
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-zinc-500">
+              <th className="py-1 pr-3 font-medium">Channel</th>
+              <th className="py-1 pr-3 font-medium">{mode === "percent" ? "Spend share (%)" : "Spend ($/mo)"}</th>
+              <th className="py-1 pr-3 font-medium">Baseline CPL ($)</th>
+              <th className="py-1 pr-3 font-medium">{apptRateLabel}</th>
+              {custom && <th className="py-1 pr-3 font-medium">Credit share (%)</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {CHANNEL_TABLE.map((c) => {
+              const m = mix[c.id];
+              const preset = APPT_PRESETS.some((p) => p.value === m.apptRate);
+              return (
+                <tr key={c.id}>
+                  <td className="py-1 pr-3 whitespace-nowrap font-medium">{c.label}</td>
+                  <td className="py-1 pr-3 min-w-[7rem]">
+                    {mode === "percent" ? (
+                      <input type="number" className={input} min={0} max={100} step={5} value={pct(m.share)} onChange={(e) => update(c.id, { share: Math.max(0, parseFloat(e.target.value) || 0) / 100 })} />
+                    ) : (
+                      <input type="number" className={input} min={0} step={50} value={Math.round(Math.max(0, spend) * shares[c.id] * 100) / 100} onChange={(e) => setDollars(c.id, parseFloat(e.target.value) || 0)} />
+                    )}
+                  </td>
+                  <td className="py-1 pr-3 min-w-[6rem]">
+                    <input type="number" className={input} min={1} value={m.baseCpl} onChange={(e) => update(c.id, { baseCpl: parseFloat(e.target.value) || 1 })} />
+                  </td>
+                  <td className="py-1 pr-3 min-w-[10rem]">
+                    <select className={input} value={m.apptRate} onChange={(e) => update(c.id, { apptRate: parseFloat(e.target.value) })}>
+                      {APPT_PRESETS.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+                      {!preset && <option value={m.apptRate}>Custom ({pct(m.apptRate)}%)</option>}
+                    </select>
+                  </td>
+                  {custom && (
+                    <td className="py-1 pr-3 min-w-[7rem]">
+                      <input type="number" className={input} min={0} max={100} step={5} value={pct(m.fundedShare)} onChange={(e) => update(c.id, { fundedShare: Math.max(0, parseFloat(e.target.value) || 0) / 100 })} />
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-2 text-xs text-zinc-500 space-y-1">
+        {mode === "percent" && Math.abs(shareTotal - 1) > 1e-9 && (
+          <div>
+            Spend shares add up to {pct(shareTotal)}%{shareTotal > 0 ? " and are scaled to 100%." : "; no spend is allocated."}{" "}
+            {shareTotal > 0 && <button type="button" className="underline" onClick={() => normalize("share")}>Normalize</button>}
+          </div>
+        )}
+        {mode === "dollars" && <div>Total monthly client spend: {money(Math.max(0, spend))}</div>}
+        {custom && Math.abs(fundedTotal - 1) > 1e-9 && (
+          <div>
+            Credit shares add up to {pct(fundedTotal)}%{fundedTotal > 0 ? " and are scaled to 100%." : "; credits follow the spend split."}{" "}
+            {fundedTotal > 0 && <button type="button" className="underline" onClick={() => normalize("fundedShare")}>Normalize</button>}
+          </div>
+        )}
+        <div>Funded media in play: {money(funded)}{custom ? " (custom split)" : " (split like spend)"}.</div>
+        {calibrated.length > 0 && (
+          <div>
+            Default baseline CPLs calibrated from actuals: {calibrated.map((c) => `${c.label} ${money(c.baseCpl)} (${c.asOf})`).join(", ")}.{" "}
+            {onResetDefaults && <button type="button" className="underline" onClick={onResetDefaults}>Reset to built-in</button>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Per-channel results under the blended Stat grid
+export function ChannelBreakdown({ channels }) {
+  const active = channels.filter((ch) => ch.pixelBudget > 0);
+  if (active.length < 2) return null;
+  const cell = "px-2 py-1.5 text-right whitespace-nowrap";
+
+  return (
+    <div className="overflow-x-auto mt-4">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b text-xs text-zinc-500">
+            <th className="px-2 py-1.5 text-left font-medium">By channel</th>
+            <th className={`${cell} font-medium`}>Spend + Credits</th>
+            <th className={`${cell} font-medium`}>Leads (C / P)</th>
+            <th className={`${cell} font-medium`}>Appts (C / P)</th>
+            <th className={`${cell} font-medium`}>Cost / Appt (C / P)</th>
+            <th className={`${cell} font-medium`}>Revenue (C / P)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {active.map((ch) => (
+            <tr key={ch.id} className="border-b">
+              <td className="px-2 py-1.5 font-medium">{ch.label}</td>
+              <td className={cell}>{money(ch.spend)} + {money(ch.funded)}</td>
+              <td className={cell}>{ch.competitorLeads.toFixed(1)} / {ch.pixelLeads.toFixed(1)}</td>
+              <td className={cell}>{ch.competitorAppts.toFixed(1)} / {ch.pixelAppts.toFixed(1)}</td>
+              <td className={cell}>{ch.competitorCpa ? money(ch.competitorCpa) : "—"} / {ch.pixelCpa ? money(ch.pixelCpa) : "—"}</td>
+              <td className={cell}>{money(ch.competitorRevenue)} / {money(ch.pixelRevenue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
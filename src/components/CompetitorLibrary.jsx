@@ -0,0 +1,248 @@
+import React, { useRef, useState } from "react";
+import { money } from "../format.js";
+import { downloadText } from "../download.js";
+import { todayIso } from "../engine/metros.js";
+import { NET_ROWS, SUMMARY_ROWS, formatValue } from "../engine/summary.js";
+import {
+  DEFAULT_COMPETITORS,
+  competitorsToJson,
+  mergeImportedCompetitors,
+  parseCompetitorFile,
+  removeCompetitor,
+  slugify,
+  upsertCompetitor,
+  validateCompetitor,
+} from "../engine/competitors.js";
+
+/**
+ * Competitor Profiles — the library of named rival vendors (CPL efficiency,
+ * fees, minimum spend, rate adjustments, contract terms). Tick profiles to
+ * compare them with Pixel in the calculator and the Prospect Summary; share
+ * the set as JSON. See ../engine/competitors.js for what each field does.
+ */
+
+// Fractions edited as percentages
+const COLUMNS = [
+  { key: "cplEfficiency", label: "CPL vs baseline (% lower)", pct: true, step: 5 },
+  { key: "monthly", label: "Monthly fee ($)", step: 50 },
+  { key: "pctOfSpend", label: "% of ad spend", pct: true, step: 1 },
+  { key: "setup", label: "Setup fee ($)", step: 100 },
+  { key: "contractMonths", label: "Contract (months)", step: 1 },
+  { key: "minSpend", label: "Min spend ($/mo)", step: 100 },
+  { key: "apptRateAdj", label: "Appt rate adj. (%)", pct: true, step: 5 },
+  { key: "closeRateAdj", label: "Close rate adj. (%)", pct: true, step: 5 },
+];
+
+const toDraft = (c) => ({ ...c, ...Object.fromEntries(COLUMNS.filter((f) => f.pct).map((f) => [f.key, Math.round(c[f.key] * 10000) / 100])) });
+const fromDraft = (d) => ({ ...d, ...Object.fromEntries(COLUMNS.filter((f) => f.pct).map((f) => [f.key, d[f.key] === "" ? "" : Number(d[f.key]) / 100])) });
+
+const EMPTY_DRAFT = { id: null, name: "", ...Object.fromEntries(COLUMNS.map((f) => [f.key, f.key === "contractMonths" ? 12 : 0])) };
+
+const signedPct = (x) => `${x > 0 ? "+" : ""}${Math.round(x * 1000) / 10}%`;
+
+export default function CompetitorLibrary({ library, setLibrary, selected, setSelected }) {
+  const [editing, setEditing] = useState(null); // draft of an existing profile, keyed by id
+  const [adding, setAdding] = useState(null); // draft for a new profile
+  const [error, setError] = useState("");
+  const [report, setReport] = useState(null); // import result message
+  const fileRef = useRef(null);
+
+  const toggle = (id, on) => setSelected((s) => (on ? [...s.filter((x) => x !== id), id] : s.filter((x) => x !== id)));
+
+  const commitEdit = () => {
+    // Edited terms are new data, so they default to today's date
+    const { competitor, error: err } = validateCompetitor({ ...fromDraft(editing), asOf: todayIso() });
+    if (err) return setError(err);
+    setLibrary((l) => upsertCompetitor(l, competitor));
+    setEditing(null);
+    setError("");
+  };
+
+  const commitAdd = () => {
+    const { competitor, error: err } = validateCompetitor({ ...fromDraft(adding), id: slugify(adding.name) });
+    if (err) return setError(err);
+    if (library.some((c) => c.id === competitor.id)) return setError(`"${competitor.name}" is already in the library; edit it instead.`);
+    setLibrary((l) => upsertCompetitor(l, competitor));
+    setSelected((s) => [...s, competitor.id]);
+    setAdding(null);
+    setError("");
+  };
+
+  const remove = (c) => {
+    if (!window.confirm(`Delete "${c.name}" from the library?`)) return;
+    setLibrary((l) => removeCompetitor(l, c.id));
+    setSelected((s) => s.filter((x) => x !== c.id));
+  };
+
+  const resetAll = () => {
+    if (!window.confirm("Replace the library with the built-in example profiles?")) return;
+    setLibrary(DEFAULT_COMPETITORS);
+    setSelected([]);
+  };
+
+  const exportJson = () => downloadText(`pixel-competitors-${todayIso()}.json`, competitorsToJson(library), "application/json");
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { competitors, rejected } = parseCompetitorFile(await file.text());
+      setLibrary((l) => mergeImportedCompetitors(l, competitors));
+      setReport({ ok: true, imported: competitors.length, rejected });
+    } catch (err) {
+      setReport({ ok: false, error: err.message });
+    }
+  };
+
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+  const input = "w-full rounded-lg border px-2 py-1 text-sm";
+  const cell = "px-2 py-1.5";
+
+  const draftCells = (draft, setDraft, onSave, onCancel, isNew) => (
+    <>
+      <td className={cell} />
+      <td className={`${cell} min-w-[10rem]`}>
+        {isNew ? (
+          <input autoFocus className={input} placeholder="Vendor name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        ) : (
+          <input className={input} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        )}
+      </td>
+      {COLUMNS.map((f) => (
+        <td key={f.key} className={`${cell} min-w-[6rem]`}>
+          <input type="number" step={f.step} className={input} value={draft[f.key]} onChange={(e) => setDraft({ ...draft, [f.key]: e.target.value })} />
+        </td>
+      ))}
+      <td className={cell} />
+      <td className={`${cell} text-right whitespace-nowrap`}>
+        <button type="button" className={`${btn} mr-1`} onClick={onSave}>Save</button>
+        <button type="button" className={btn} onClick={onCancel}>Cancel</button>
+      </td>
+    </>
+  );
+
+  return (
+    <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold">Competitor Profiles</h3>
+          <div className="text-xs text-zinc-500">{library.length} profiles · comparing {selected.length}</div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={btn} onClick={() => { setEditing(null); setError(""); setAdding({ ...EMPTY_DRAFT }); }}>Add profile</button>
+          <button type="button" className={btn} onClick={exportJson}>Export JSON</button>
+          <button type="button" className={btn} onClick={() => fileRef.current.click()}>Import JSON</button>
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+          <button type="button" className={`${btn} text-rose-700`} onClick={resetAll}>Reset to examples</button>
+        </div>
+      </div>
+
+      {report && (
+        <div className={`mb-4 p-3 rounded-xl border text-sm ${report.ok && !report.rejected.length ? "bg-emerald-50 border-emerald-200" : "bg-amber-50 border-amber-300"}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              {report.ok ? `Imported ${report.imported} profile(s).` : `Import failed: ${report.error}`}
+              {report.ok && report.rejected.length > 0 && (
+                <>
+                  <div className="mt-1">Rejected {report.rejected.length} profile(s):</div>
+                  <ul className="list-disc ml-5 mt-1">
+                    {report.rejected.map((r) => <li key={r.row}>#{r.row}{r.name ? ` ("${r.name}")` : ""}: {r.error}</li>)}
+                  </ul>
+                </>
+              )}
+            </div>
+            <button type="button" className="text-xs underline" onClick={() => setReport(null)}>Dismiss</button>
+          </div>
+        </div>
+      )}
+      {error && <div className="mb-3 text-sm text-rose-700">{error}</div>}
+
+      <div className="overflow-x-auto border rounded-xl">
+        <table className="w-full text-sm">
+          <thead className="bg-white">
+            <tr className="border-b text-xs text-zinc-500 text-left">
+              <th className={`${cell} font-medium`}>Compare</th>
+              <th className={`${cell} font-medium`}>Vendor</th>
+              {COLUMNS.map((f) => <th key={f.key} className={`${cell} font-medium`}>{f.label}</th>)}
+              <th className={`${cell} font-medium`}>As of</th>
+              <th className={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {adding && <tr className="border-b bg-zinc-50">{draftCells(adding, setAdding, commitAdd, () => { setAdding(null); setError(""); }, true)}</tr>}
+            {library.map((c) =>
+              editing && editing.id === c.id ? (
+                <tr key={c.id} className="border-b bg-zinc-50">{draftCells(editing, setEditing, commitEdit, () => { setEditing(null); setError(""); })}</tr>
+              ) : (
+                <tr key={c.id} className="border-b">
+                  <td className={cell}><input type="checkbox" checked={selected.includes(c.id)} onChange={(e) => toggle(c.id, e.target.checked)} /></td>
+                  <td className={`${cell} font-medium`}>{c.name}</td>
+                  <td className={cell}>{signedPct(c.cplEfficiency)}</td>
+                  <td className={cell}>{money(c.monthly)}</td>
+                  <td className={cell}>{formatValue(c.pctOfSpend, "pct")}</td>
+                  <td className={cell}>{money(c.setup)}</td>
+                  <td className={cell}>{c.contractMonths}</td>
+                  <td className={cell}>{c.minSpend > 0 ? money(c.minSpend) : "—"}</td>
+                  <td className={cell}>{signedPct(c.apptRateAdj)}</td>
+                  <td className={cell}>{signedPct(c.closeRateAdj)}</td>
+                  <td className={`${cell} text-zinc-500`}>{c.asOf}</td>
+                  <td className={`${cell} text-right whitespace-nowrap`}>
+                    <button type="button" className={`${btn} mr-1`} onClick={() => { setAdding(null); setError(""); setEditing(toDraft(c)); }}>Edit</button>
+                    <button type="button" className={`${btn} text-rose-700`} onClick={() => remove(c)}>Delete</button>
+                  </td>
+                </tr>
+              )
+            )}
+            {library.length === 0 && <tr><td colSpan={COLUMNS.length + 4} className={`${cell} text-zinc-500`}>No profiles yet. Add one or import the team's JSON.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-zinc-500 mt-2">Saved in this browser. Imports (JSON array or an export file) replace profiles with the same id and add the rest. Rate adjustments are relative to the scenario's rates; clients below a vendor's minimum are projected at that minimum.</p>
+    </div>
+  );
+}
+
+// Pixel vs the generic competitor and every compared profile, from the Prospect Summary
+export function CompetitorComparison({ summary }) {
+  const named = summary.named_competitors || [];
+  if (!named.length) return null;
+  const th = "px-2 py-1.5 text-right font-medium whitespace-nowrap";
+  const td = "px-2 py-1.5 text-right whitespace-nowrap";
+  const rows = [
+    ...SUMMARY_ROWS.map((r) => ({ ...r, generic: summary.competitor[r.key], pixel: summary.pixel[r.key], value: (c) => c[r.key] })),
+    ...(summary.net_roi ? NET_ROWS.map((r) => ({ ...r, generic: summary.net_roi.competitor[r.key], pixel: summary.net_roi.pixel[r.key], value: (c) => c.net[r.key] })) : []),
+  ];
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full text-sm border rounded-xl">
+        <thead className="bg-zinc-50 text-xs text-zinc-500">
+          <tr>
+            <th className="px-2 py-1.5 text-left font-medium">Monthly</th>
+            <th className={th}>Competitor</th>
+            {named.map((c) => <th key={c.id} className={th}>{c.name}{c.min_spend_applied ? " *" : ""}</th>)}
+            <th className={th}>Pixel</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.key} className="border-t">
+              <td className="px-2 py-1.5">{r.label}</td>
+              <td className={td}>{formatValue(r.generic, r.format)}</td>
+              {named.map((c) => <td key={c.id} className={td}>{formatValue(r.value(c), r.format)}</td>)}
+              <td className={`${td} font-semibold`}>{formatValue(r.pixel, r.format)}</td>
+            </tr>
+          ))}
+          <tr className="border-t bg-zinc-50">
+            <td className="px-2 py-1.5">Pixel advantage (revenue / net)</td>
+            <td className={td}>{formatValue(summary.delta_revenue, "money")}{summary.net_roi ? ` / ${formatValue(summary.net_roi.delta_net_profit, "money")}` : ""}</td>
+            {named.map((c) => <td key={c.id} className={td}>{formatValue(c.delta_revenue, "money")} / {formatValue(c.delta_net_profit, "money")}</td>)}
+            <td className={td} />
+          </tr>
+        </tbody>
+      </table>
+      {named.some((c) => c.min_spend_applied) && <div className="mt-1 text-xs text-zinc-500">* Client spend is below this vendor's minimum; projected and charged at the minimum.</div>}
+    </div>
+  );
+}
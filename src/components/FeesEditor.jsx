@@ -0,0 +1,69 @@
+import React from "react";
+import { FEE_RANGES } from "../engine/scenarioParams.js";
+
+/**
+ * Management Fees — what each side charges on top of ad spend. Feeds the net
+ * ROI rows of the ROI Snapshot; funded media never reduces these.
+ */
+
+const SIDES = [
+  { id: "competitor", label: "Competitor" },
+  { id: "pixel", label: "Pixel" },
+];
+
+// pct fields are edited as percentages
+const FIELDS = [
+  { key: "monthly", label: "Monthly fee ($)", step: 50 },
+  { key: "pctOfSpend", label: "% of ad spend", step: 1, pct: true },
+  { key: "setup", label: "Setup fee ($)", step: 100 },
+  { key: "contractMonths", label: "Contract (months)", step: 1 },
+];
+
+export default function FeesEditor({ fees, setFees }) {
+  const update = (side, key, raw, pct) => {
+    const [min, max] = FEE_RANGES[key];
+    const n = parseFloat(raw);
+    const v = Number.isFinite(n) ? (pct ? n / 100 : n) : min;
+    const clamped = Math.min(max, Math.max(min, key === "contractMonths" ? Math.round(v) : v));
+    setFees((f) => ({ ...f, [side]: { ...f[side], [key]: clamped } }));
+  };
+
+  const input = "w-full rounded-xl border px-3 py-2";
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="text-sm font-medium text-zinc-700">Management Fees</div>
+      <div className="text-xs text-zinc-500 mb-3">Service fees on top of client ad spend. Setup is spread over the contract for monthly net; % fees apply to client spend, not credits.</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-zinc-500">
+              <th className="py-1 pr-3 font-medium" />
+              {FIELDS.map((f) => <th key={f.key} className="py-1 pr-3 font-medium">{f.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {SIDES.map((side) => (
+              <tr key={side.id}>
+                <td className="py-1 pr-3 whitespace-nowrap font-medium">{side.label}</td>
+                {FIELDS.map((f) => (
+                  <td key={f.key} className="py-1 pr-3 min-w-[7rem]">
+                    <input
+                      type="number"
+                      className={input}
+                      min={f.pct ? FEE_RANGES[f.key][0] * 100 : FEE_RANGES[f.key][0]}
+                      max={f.pct ? FEE_RANGES[f.key][1] * 100 : FEE_RANGES[f.key][1]}
+                      step={f.step}
+                      value={f.pct ? Math.round(fees[side.id][f.key] * 10000) / 100 : fees[side.id][f.key]}
+                      onChange={(e) => update(side.id, f.key, e.target.value, f.pct)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+import React, { useRef, useState } from "react";
+import { money } from "../format.js";
+import { downloadText } from "../download.js";
+import { todayIso } from "../engine/metros.js";
+import {
+  ACV_FIELDS,
+  ACV_MODELS,
+  STAGE_LIMITS,
+  findAcvModel,
+  findProfile,
+  funnelStages,
+  matchCustomProfile,
+  parseProfileFile,
+  profileStages,
+  profilesToJson,
+  removeCustomProfile,
+  stageKey,
+  upsertCustomProfile,
+  validateCustomProfile,
+  validateStages,
+} from "../engine/profiles.js";
+
+/**
+ * Funnel & ACV — the extra funnel stages (e.g. Lead -> Contacted) and the ACV
+ * model with its parameters. Stages start as the profile's; they can be added,
+ * renamed or removed, and saved with the profile as a custom profile (listed
+ * in the profile picker at the top of the calculator, shared as JSON).
+ */
+
+const pct = (x) => Math.round(x * 10000) / 100;
+const fmt = { money, pct: (x) => `${pct(x)}%` };
+
+function clamp(key, raw, asPct) {
+  const [min, max] = ACV_FIELDS[key] ? ACV_FIELDS[key].range : [0, 1];
+  const n = parseFloat(raw);
+  const v = Number.isFinite(n) ? (asPct ? n / 100 : n) : min;
+  return Math.min(max, Math.max(min, v));
+}
+
+// A key for a new stage that no other stage uses ("call", "call-2", ...)
+function freeKey(label, list) {
+  const base = stageKey(label) || "stage";
+  let key = base;
+  for (let n = 2; list.some((s) => s.key === key) || ["lead", "appt", "closed"].includes(key); n++) key = `${base}-${n}`;
+  return key;
+}
+
+export default function FunnelEditor({ profile, stages, setStages, stageRates, setStageRates, library, setLibrary, acvModel, setAcvModel, acvParams, setAcvParams, commissionRate, setCommissionRate, metroAvg, acv }) {
+  const [adding, setAdding] = useState(null); // { label, at } for a new stage
+  const [error, setError] = useState("");
+  const [report, setReport] = useState(null); // import result message
+  const fileRef = useRef(null);
+
+  const list = stages || profileStages(profile);
+  const extras = funnelStages(profile, stageRates, 0, stages).stages.filter((s) => !s.anchor);
+  const custom = matchCustomProfile(library, { profile, stages });
+  const model = findAcvModel(acvModel);
+  const params = { ...acvParams, commissionRate };
+
+  const setParam = (key, raw) => {
+    const v = clamp(key, raw, ACV_FIELDS[key].format === "pct");
+    if (key === "commissionRate") setCommissionRate(v);
+    else setAcvParams((p) => ({ ...p, [key]: v }));
+  };
+
+  // Rates follow the stages: kept by key, defaults for new ones, dropped with removed ones
+  // (null = back to the profile's own stages). Returns false when the list is rejected.
+  const editStages = (next) => {
+    const { stages: valid, error: err } = next ? validateStages(next) : { stages: null };
+    if (err) {
+      setError(err);
+      return false;
+    }
+    setStages(valid);
+    setStageRates((r) => Object.fromEntries((valid || profileStages(profile)).map((s) => [s.key, r[s.key] ?? s.rate])));
+    setError("");
+    return true;
+  };
+
+  // Committed on blur; a rejected name (e.g. blank) puts the old one back
+  const rename = (s, e) => {
+    if (e.target.value === s.label) return;
+    if (!editStages(list.map((x) => (x.key === s.key ? { ...x, label: e.target.value } : x)))) e.target.value = s.label;
+  };
+
+  const commitAdd = () => {
+    if (editStages([...list, { key: freeKey(adding.label, list), label: adding.label, rate: 0.5, at: adding.at }])) setAdding(null);
+  };
+
+  const remove = (s) => {
+    if (!window.confirm(`Remove the "${s.label}" stage from the funnel?`)) return;
+    editStages(list.filter((x) => x.key !== s.key));
+  };
+
+  // Saved with the current rates as the stage defaults
+  const saveProfile = () => {
+    const label = window.prompt("Name this funnel profile", custom ? custom.label : `${findProfile(profile).label} (custom)`);
+    if (!label) return;
+    const { profile: saved, error: err } = validateCustomProfile({ label, base: profile, stages: list.map((s) => ({ ...s, rate: stageRates[s.key] ?? s.rate })) });
+    if (err) return setError(err);
+    setLibrary((l) => upsertCustomProfile(l, saved));
+    editStages(saved.stages);
+  };
+
+  const deleteProfile = () => {
+    if (!window.confirm(`Delete the "${custom.label}" funnel profile? The current stages stay in this scenario.`)) return;
+    setLibrary((l) => removeCustomProfile(l, custom.id));
+  };
+
+  const exportJson = () => downloadText(`pixel-funnel-profiles-${todayIso()}.json`, profilesToJson(library), "application/json");
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { profiles, rejected } = parseProfileFile(await file.text());
+      setLibrary((l) => profiles.reduce(upsertCustomProfile, l));
+      setReport({ ok: true, imported: profiles.length, rejected });
+    } catch (err) {
+      setReport({ ok: false, error: err.message });
+    }
+  };
+
+  const input = "w-full rounded-xl border px-3 py-2";
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+        <div>
+          <div className="text-sm font-medium text-zinc-700">Funnel &amp; Client Value</div>
+          <div className="text-xs text-zinc-500">Extra funnel steps apply to every channel; the ACV model turns the metro into revenue per closed client.</div>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {list.length < STAGE_LIMITS.count && !adding && <button type="button" className={btn} onClick={() => setAdding({ label: "", at: "before" })}>Add stage</button>}
+          {stages && <button type="button" className={btn} onClick={() => editStages(null)}>Use profile stages</button>}
+          <button type="button" className={btn} onClick={saveProfile}>{custom ? "Update profile" : "Save as profile"}</button>
+          {custom && <button type="button" className={btn} onClick={deleteProfile}>Delete profile</button>}
+          <button type="button" className={btn} onClick={exportJson} disabled={!library.length}>Export profiles</button>
+          <button type="button" className={btn} onClick={() => fileRef.current && fileRef.current.click()}>Import profiles</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </div>
+      </div>
+      {error && <div className="mb-3 text-xs text-red-600">{error}</div>}
+      {report && (
+        <div className={`mb-3 text-xs ${report.ok ? "text-zinc-600" : "text-red-600"}`}>
+          {report.ok ? `Imported ${report.imported} profile(s).` : `Import failed: ${report.error}`}
+          {report.ok && report.rejected.map((r) => <div key={r.row}>Row {r.row}{r.label ? ` (${r.label})` : ""} skipped: {r.error}</div>)}
+          <button type="button" className="ml-2 underline" onClick={() => setReport(null)}>Dismiss</button>
+        </div>
+      )}
+      {adding && (
+        <div className="mb-3 flex flex-wrap items-end gap-2 text-sm">
+          <label className="block font-medium text-zinc-700">
+            Stage name
+            <input autoFocus className={`${input} mt-1`} maxLength={STAGE_LIMITS.label} placeholder="e.g. Pre-qualified" value={adding.label} onChange={(e) => setAdding({ ...adding, label: e.target.value })} />
+          </label>
+          <label className="block font-medium text-zinc-700">
+            Position
+            <select className={`${input} mt-1`} value={adding.at} onChange={(e) => setAdding({ ...adding, at: e.target.value })}>
+              <option value="before">Before appointments</option>
+              <option value="after">After appointments</option>
+            </select>
+          </label>
+          <button type="button" className={btn} onClick={commitAdd}>Add</button>
+          <button type="button" className={btn} onClick={() => { setAdding(null); setError(""); }}>Cancel</button>
+        </div>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {extras.map((s) => (
+          <div key={s.key} className="text-sm font-medium text-zinc-700">
+            <div className="flex items-center gap-1">
+              <span className="whitespace-nowrap">{s.from} -&gt;</span>
+              <input key={s.label} aria-label="Stage name" className="min-w-0 flex-1 rounded-lg border px-2 py-0.5 text-sm" maxLength={STAGE_LIMITS.label} defaultValue={s.label} onBlur={(e) => rename(s, e)} />
+              <button type="button" className="text-xs text-zinc-500 underline" onClick={() => remove(s)}>Remove</button>
+            </div>
+            <input type="number" aria-label={`${s.label} rate (%)`} className={`${input} mt-1`} min={0} max={100} step={5} value={pct(s.rate)} onChange={(e) => setStageRates((r) => ({ ...r, [s.key]: clamp(s.key, e.target.value, true) }))} />
+          </div>
+        ))}
+        <label className="block text-sm font-medium text-zinc-700">
+          ACV model
+          <select className={`${input} mt-1`} value={model.id} onChange={(e) => setAcvModel(e.target.value)}>
+            {ACV_MODELS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+        </label>
+        {model.fields.map((key) => {
+          const f = ACV_FIELDS[key];
+          const asPct = f.format === "pct";
+          return (
+            <label key={key} className="block text-sm font-medium text-zinc-700">
+              {asPct ? `${f.label} (%)` : f.label}
+              <input
+                type="number"
+                className={`${input} mt-1`}
+                min={asPct ? f.range[0] * 100 : f.range[0]}
+                max={asPct ? f.range[1] * 100 : f.range[1]}
+                step={asPct ? 0.25 : f.format === "bps" ? 5 : 500}
+                value={asPct ? pct(params[key]) : params[key]}
+                onChange={(e) => setParam(key, e.target.value)}
+              />
+            </label>
+          );
+        })}
+      </div>
+      <div className="mt-3 text-sm">
+        <span className="font-medium">Avg Client Value (ACV):</span> {money(acv)}
+        <span className="text-xs text-zinc-500"> = {model.describe({ avg: metroAvg }, params, fmt)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Stage-by-stage counts for profiles with steps beyond Lead -> Appt -> Closed
+export function FunnelTable({ stages }) {
+  if (stages.length <= 3) return null;
+  const cell = "px-2 py-1.5 text-right whitespace-nowrap";
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full text-sm border rounded-xl">
+        <thead className="bg-zinc-50 text-xs text-zinc-500">
+          <tr>
+            <th className="px-2 py-1.5 text-left font-medium">Stage</th>
+            <th className={`${cell} font-medium`}>Rate</th>
+            <th className={`${cell} font-medium`}>Competitor</th>
+            <th className={`${cell} font-medium`}>Pixel</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stages.map((s) => (
+            <tr key={s.key} className="border-t">
+              <td className="px-2 py-1.5">{s.label}</td>
+              <td className={cell}>{s.rate === null ? (s.key === "lead" ? "—" : "by channel") : `${pct(s.rate)}%`}</td>
+              <td className={cell}>{s.competitor.toFixed(2)}</td>
+              <td className={cell}>{s.pixel.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
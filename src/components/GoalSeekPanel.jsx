@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from "react";
+import { Stat } from "./ui.jsx";
+import { DEFAULT_GOAL, GOAL_METRICS, goalSeek, goalUnknowns } from "../engine/goalseek.js";
+import { formatValue } from "../engine/summary.js";
+
+/**
+ * Goal Seek — "I want 3 closings a month": pick a target and the input to solve
+ * for; everything else stays at the calculator's current values. Shows what
+ * Pixel and the competitor each need, the spend savings, and why a target is
+ * out of reach. The apply button copies Pixel's solved value into the calculator.
+ * Only the revenue parameter of the current ACV model is offered as an unknown.
+ */
+
+function SideResult({ label, result, unknown, highlight }) {
+  if (result.status === "ok") {
+    const note = result.atMinimum ? (unknown.key === "spend" ? "Funded media alone covers it" : "Met at the minimum") : undefined;
+    return <Stat label={label} value={formatValue(result.value, unknown.format)} highlight={highlight} detail={note} />;
+  }
+  return <Stat label={label} value={result.status === "n/a" ? "n/a" : "Not reachable"} highlight={highlight} detail={result.reason} />;
+}
+
+export default function GoalSeekPanel({ state, table, onApply }) {
+  const [metric, setMetric] = useState(DEFAULT_GOAL.metric);
+  const [rawTarget, setRawTarget] = useState(String(DEFAULT_GOAL.target)); // as typed; may be blank
+  const [pickedSolveFor, setPickedSolveFor] = useState(DEFAULT_GOAL.solveFor);
+  const unknowns = goalUnknowns(state.acvModel);
+  // switching ACV model drops the old model's parameter
+  const solveFor = unknowns.some((x) => x.key === pickedSolveFor) ? pickedSolveFor : DEFAULT_GOAL.solveFor;
+
+  const target = parseFloat(rawTarget);
+  const valid = Number.isFinite(target) && target > 0;
+  const result = useMemo(() => (valid ? goalSeek(state, { metric, target, solveFor }, table) : null), [valid, state, metric, target, solveFor, table]);
+
+  const m = GOAL_METRICS.find((x) => x.key === metric);
+  const unknown = unknowns.find((x) => x.key === solveFor);
+  const input = "w-full rounded-xl border px-3 py-2";
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+        <label className="block text-sm">
+          <span className="block font-medium text-zinc-700 mb-1">Target</span>
+          <select className={input} value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {GOAL_METRICS.map((x) => <option key={x.key} value={x.key}>{x.label}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm">
+          <span className="block font-medium text-zinc-700 mb-1">{m.format === "money" ? "Amount ($)" : "Amount"}</span>
+          <input type="number" className={input} min={0} step={m.format === "money" ? 1000 : 1} value={rawTarget} onChange={(e) => setRawTarget(e.target.value)} />
+        </label>
+        <label className="block text-sm">
+          <span className="block font-medium text-zinc-700 mb-1">Solve for</span>
+          <select className={input} value={solveFor} onChange={(e) => setPickedSolveFor(e.target.value)}>
+            {unknowns.map((x) => <option key={x.key} value={x.key}>{x.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {!result ? (
+        <p className="text-sm text-zinc-500">Enter a target above zero.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <Stat label={`Current ${unknown.label}`} value={formatValue(result.current, unknown.format)} />
+            <SideResult label="Competitor needs" result={result.competitor} unknown={unknown} />
+            <SideResult label="Pixel needs" result={result.pixel} unknown={unknown} highlight />
+            {result.savings ? (
+              <Stat
+                label="Savings with Pixel / mo"
+                value={formatValue(result.savings.spend, "money")}
+                highlight
+                detail={`${formatValue(result.savings.cost, "money")} incl. fees`}
+              />
+            ) : (
+              <Stat label="Savings with Pixel / mo" value="—" detail={unknown.key === "spend" ? "Needs both sides to reach the target" : "Shown when solving for spend"} />
+            )}
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3 mt-3">
+            <p className="text-xs text-zinc-500">
+              Target: {formatValue(target, m.format)} {m.noun} per month. Other inputs stay as set above; Pixel&apos;s budget includes funded media up to the cap.
+            </p>
+            <button
+              type="button"
+              className="rounded-lg border px-3 py-1 text-xs hover:bg-zinc-50 disabled:opacity-40"
+              disabled={result.pixel.status !== "ok"}
+              onClick={() => onApply(result.pixel.inputs)}
+            >
+              Use Pixel&apos;s {unknown.label.toLowerCase()}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
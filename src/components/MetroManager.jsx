@@ -0,0 +1,187 @@
+import React, { useRef, useState } from "react";
+import { money } from "../format.js";
+import { downloadText } from "../download.js";
+import { CITY_TABLE } from "../engine/projection.js";
+import {
+  mergeImportedMetros,
+  metrosToCsv,
+  metrosToJson,
+  parseMetroFile,
+  removeOverride,
+  searchMetros,
+  todayIso,
+  upsertOverride,
+  validateMetro,
+} from "../engine/metros.js";
+
+/**
+ * Metro Table — edit CPL multipliers and average home values, add custom
+ * metros, reset to the built-in numbers, and import/export as CSV or JSON.
+ * Only overrides are stored; built-in rows stay in CITY_TABLE.
+ */
+
+const EMPTY_DRAFT = { city: "", mult: "", avg: "", asOf: "" };
+
+export default function MetroManager({ table, overrides, setOverrides }) {
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // draft row being edited, keyed by city
+  const [adding, setAdding] = useState(null); // draft for a new metro
+  const [error, setError] = useState("");
+  const [report, setReport] = useState(null); // import result message
+  const fileRef = useRef(null);
+
+  const rows = searchMetros(table, query);
+  const builtIn = new Set(CITY_TABLE.map((m) => m.city));
+
+  const startEdit = (m) => {
+    setAdding(null);
+    setError("");
+    // Edited numbers are new data, so they default to today's date
+    setEditing({ city: m.city, mult: m.mult, avg: m.avg, asOf: todayIso() });
+  };
+
+  const commitEdit = () => {
+    const { metro, error: err } = validateMetro(editing);
+    if (err) return setError(err);
+    setOverrides((o) => upsertOverride(o, metro));
+    setEditing(null);
+    setError("");
+  };
+
+  const commitAdd = () => {
+    const { metro, error: err } = validateMetro(adding);
+    if (err) return setError(err);
+    if (table.some((m) => m.city === metro.city)) return setError(`"${metro.city}" is already in the table; edit it instead.`);
+    setOverrides((o) => upsertOverride(o, metro));
+    setAdding(null);
+    setError("");
+  };
+
+  const resetAll = () => {
+    if (window.confirm("Drop every edited and custom metro and go back to the built-in table?")) setOverrides([]);
+  };
+
+  const stamp = todayIso();
+  const exportCsv = () => downloadText(`pixel-metros-${stamp}.csv`, metrosToCsv(table), "text/csv");
+  const exportJson = () => downloadText(`pixel-metros-${stamp}.json`, metrosToJson(table), "application/json");
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { metros, rejected } = parseMetroFile(await file.text(), file.name);
+      setOverrides((o) => mergeImportedMetros(o, metros));
+      setReport({ ok: true, imported: metros.length, rejected });
+    } catch (err) {
+      setReport({ ok: false, error: err.message });
+    }
+  };
+
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+  const input = "w-full rounded-lg border px-2 py-1 text-sm";
+  const cell = "px-2 py-1.5";
+  const edited = overrides.filter((o) => builtIn.has(o.city)).length;
+  const custom = overrides.length - edited;
+
+  const draftCells = (draft, setDraft, onSave, onCancel, isNew) => (
+    <>
+      <td className={cell}>
+        {isNew ? (
+          <input autoFocus className={input} placeholder="City, ST" value={draft.city} onChange={(e) => setDraft({ ...draft, city: e.target.value })} />
+        ) : (
+          <span className="font-medium">{draft.city}</span>
+        )}
+      </td>
+      <td className={cell}><input type="number" step="0.01" className={input} value={draft.mult} onChange={(e) => setDraft({ ...draft, mult: e.target.value })} /></td>
+      <td className={cell}><input type="number" step="1000" className={input} value={draft.avg} onChange={(e) => setDraft({ ...draft, avg: e.target.value })} /></td>
+      <td className={cell}><input type="date" className={input} value={draft.asOf} onChange={(e) => setDraft({ ...draft, asOf: e.target.value })} /></td>
+      <td className={`${cell} text-right whitespace-nowrap`}>
+        <button type="button" className={`${btn} mr-1`} onClick={onSave}>Save</button>
+        <button type="button" className={btn} onClick={onCancel}>Cancel</button>
+      </td>
+    </>
+  );
+
+  return (
+    <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold">Metro Table</h3>
+          <div className="text-xs text-zinc-500">{table.length} metros · {edited} edited · {custom} custom</div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={btn} onClick={exportCsv}>Export CSV</button>
+          <button type="button" className={btn} onClick={exportJson}>Export JSON</button>
+          <button type="button" className={btn} onClick={() => fileRef.current.click()}>Import CSV/JSON</button>
+          <input ref={fileRef} type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={importFile} />
+          <button type="button" className={`${btn} text-rose-700`} onClick={resetAll} disabled={!overrides.length}>Reset all to defaults</button>
+        </div>
+      </div>
+
+      {report && (
+        <div className={`mb-4 p-3 rounded-xl border text-sm ${report.ok && !report.rejected.length ? "bg-emerald-50 border-emerald-200" : "bg-amber-50 border-amber-300"}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              {report.ok ? `Imported ${report.imported} metro(s).` : `Import failed: ${report.error}`}
+              {report.ok && report.rejected.length > 0 && (
+                <>
+                  <div className="mt-1">Rejected {report.rejected.length} row(s):</div>
+                  <ul className="list-disc ml-5 mt-1">
+                    {report.rejected.map((r) => <li key={r.row}>Row {r.row}{r.city ? ` ("${r.city}")` : ""}: {r.error}</li>)}
+                  </ul>
+                </>
+              )}
+            </div>
+            <button type="button" className="text-xs underline" onClick={() => setReport(null)}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-3">
+        <input className="w-full rounded-xl border px-3 py-2" placeholder="Search metros…" value={query} onChange={(e) => setQuery(e.target.value)} />
+        <button type="button" className="shrink-0 rounded-xl border px-4 py-2 text-sm font-medium hover:bg-zinc-50" onClick={() => { setEditing(null); setError(""); setAdding({ ...EMPTY_DRAFT, asOf: todayIso() }); }}>Add metro</button>
+      </div>
+      {error && <div className="mb-3 text-sm text-rose-700">{error}</div>}
+
+      <div className="max-h-96 overflow-y-auto border rounded-xl">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b text-xs text-zinc-500 text-left">
+              <th className={`${cell} font-medium`}>Metro</th>
+              <th className={`${cell} font-medium`}>CPL mult</th>
+              <th className={`${cell} font-medium`}>Avg price</th>
+              <th className={`${cell} font-medium`}>Data as of</th>
+              <th className={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {adding && <tr className="border-b bg-zinc-50">{draftCells(adding, setAdding, commitAdd, () => { setAdding(null); setError(""); }, true)}</tr>}
+            {rows.map((m) =>
+              editing && editing.city === m.city ? (
+                <tr key={m.city} className="border-b bg-zinc-50">{draftCells(editing, setEditing, commitEdit, () => { setEditing(null); setError(""); })}</tr>
+              ) : (
+                <tr key={m.city} className="border-b">
+                  <td className={cell}>
+                    <span className="font-medium">{m.city}</span>
+                    {m.source !== "default" && <span className={`ml-2 text-xs ${m.source === "custom" ? "text-sky-700" : "text-amber-700"}`}>{m.source}</span>}
+                  </td>
+                  <td className={cell}>×{m.mult.toFixed(2)}</td>
+                  <td className={cell}>{money(m.avg)}</td>
+                  <td className={`${cell} text-zinc-500`}>{m.asOf || "built-in"}</td>
+                  <td className={`${cell} text-right whitespace-nowrap`}>
+                    <button type="button" className={`${btn} mr-1`} onClick={() => startEdit(m)}>Edit</button>
+                    {m.source === "edited" && <button type="button" className={btn} onClick={() => setOverrides((o) => removeOverride(o, m.city))}>Reset</button>}
+                    {m.source === "custom" && <button type="button" className={`${btn} text-rose-700`} onClick={() => setOverrides((o) => removeOverride(o, m.city))}>Delete</button>}
+                  </td>
+                </tr>
+              )
+            )}
+            {rows.length === 0 && <tr><td colSpan={5} className={`${cell} text-zinc-500`}>No metros match "{query}".</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-zinc-500 mt-2">Edits are saved in this browser. Import columns: city, mult, avg, asOf (YYYY-MM-DD; defaults to today). Rows matching a built-in metro exactly clear its override.</p>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from "react";
+import { money } from "../format.js";
+import { searchMetros } from "../engine/metros.js";
+import { FALLBACK_METRO } from "../engine/projection.js";
+
+/**
+ * Searchable metro combobox. Type to filter, arrow keys to move, Enter to pick,
+ * Escape to close. Replaces the plain <select> now that the table can grow.
+ */
+export default function MetroPicker({ table, value, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const rootRef = useRef(null);
+  const listRef = useRef(null);
+
+  const matches = searchMetros(table, query);
+  const known = table.some((m) => m.city === value);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", close);
+    return () => document.removeEventListener("mousedown", close);
+  }, [open]);
+
+  useEffect(() => {
+    const el = listRef.current && listRef.current.children[active];
+    if (el) el.scrollIntoView({ block: "nearest" });
+  }, [active, open]);
+
+  const pick = (city) => {
+    onChange(city);
+    setOpen(false);
+    setQuery("");
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => Math.min(i + 1, matches.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (open && matches[active]) pick(matches[active].city);
+      else setOpen(true);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setQuery("");
+    }
+  };
+
+  return (
+    <div ref={rootRef} className="relative">
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
+        className="w-full rounded-xl border px-3 py-2"
+        placeholder="Search metros…"
+        value={open ? query : value}
+        onFocus={() => { setOpen(true); setQuery(""); setActive(0); }}
+        onChange={(e) => { setQuery(e.target.value); setActive(0); setOpen(true); }}
+        onKeyDown={onKeyDown}
+      />
+      {open && (
+        <ul ref={listRef} role="listbox" className="absolute z-30 mt-1 max-h-64 w-full overflow-y-auto rounded-xl border bg-white shadow-lg text-sm">
+          {matches.length === 0 && <li className="px-3 py-2 text-zinc-500">No metros match "{query}"</li>}
+          {matches.map((m, i) => (
+            <li
+              key={m.city}
+              role="option"
+              aria-selected={m.city === value}
+              className={`flex items-center justify-between gap-2 px-3 py-1.5 cursor-pointer ${i === active ? "bg-zinc-100" : ""} ${m.city === value ? "font-semibold" : ""}`}
+              onMouseEnter={() => setActive(i)}
+              onMouseDown={(e) => { e.preventDefault(); pick(m.city); }}
+            >
+              <span>{m.city}</span>
+              {m.source !== "default" && <span className="text-xs text-zinc-400">{m.source}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {!known && <div className="mt-1 text-xs text-amber-700">"{value}" is not in the metro table; using ×{FALLBACK_METRO.mult.toFixed(2)} and {money(FALLBACK_METRO.avg)}.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { AUDIENCE_PANELS, AUDIENCE_STATS } from "../engine/audience.js";
+
+/**
+ * Presenter controls — pick what the audience window shows, open it, and freeze
+ * it while adjusting numbers (unfreezing sends the current view).
+ */
+export default function PresenterPanel({ selection, setSelection, frozen, setFrozen, audiences, supported, onOpen }) {
+  const toggle = (group, key, on) =>
+    setSelection((s) => ({ ...s, [group]: on ? [...s[group], key] : s[group].filter((k) => k !== key) }));
+  const btn = "rounded-lg border px-3 py-1 text-xs hover:bg-zinc-50 disabled:opacity-40";
+
+  if (!supported) {
+    return <p className="text-sm text-amber-800">This browser can&apos;t sync windows (no BroadcastChannel), so the audience view is unavailable.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button type="button" className={btn} onClick={onOpen}>Open audience window</button>
+        <button type="button" className={`${btn} ${frozen ? "bg-amber-100 border-amber-300" : ""}`} onClick={() => setFrozen(!frozen)}>
+          {frozen ? "Unfreeze audience" : "Freeze audience"}
+        </button>
+        <span className="text-xs text-zinc-500">
+          {audiences.length === 0 ? "No audience window connected" : `${audiences.length} audience window${audiences.length > 1 ? "s" : ""} connected`}
+          {frozen && " · frozen: changes here are not shown"}
+        </span>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-4 text-sm">
+        <fieldset>
+          <legend className="font-medium text-zinc-700 mb-1">Stats</legend>
+          {AUDIENCE_STATS.map((s) => (
+            <label key={s.key} className="flex items-center gap-2">
+              <input type="checkbox" checked={selection.stats.includes(s.key)} onChange={(e) => toggle("stats", s.key, e.target.checked)} />
+              {s.label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset>
+          <legend className="font-medium text-zinc-700 mb-1">Panels</legend>
+          {AUDIENCE_PANELS.map((p) => (
+            <label key={p.key} className="flex items-center gap-2">
+              <input type="checkbox" checked={selection.panels.includes(p.key)} onChange={(e) => toggle("panels", p.key, e.target.checked)} />
+              {p.title}
+            </label>
+          ))}
+        </fieldset>
+      </div>
+      <p className="text-xs text-zinc-500 mt-3">Share the audience window, not this one. It shows only what is ticked here, in large type, and updates live.</p>
+    </div>
+  );
+}
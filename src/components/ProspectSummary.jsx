@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react";
+import { createPortal, flushSync } from "react-dom";
+import { downloadText } from "../download.js";
+import { NET_ROWS, SUMMARY_ROWS, assumptionRows, describeBreakEven, exportMeta, formatValue, minSpendNotes, summaryToCsv, summaryToMarkdown } from "../engine/summary.js";
+
+/**
+ * Prospect Summary — the read-only JSON card for screen share, plus follow-up
+ * exports built from the same data: a print one-pager (save as PDF from the
+ * print dialog), a CSV of inputs/outputs and Markdown copied for CRM notes.
+ * Every export is stamped with the time and the scenario's share params.
+ */
+
+const currentUrl = () => (typeof window === "undefined" ? undefined : window.location.href);
+
+// Printed instead of the app (index.css hides #root in print)
+function PrintSummary({ summary, meta, terms }) {
+  const channels = Object.entries(summary.channels);
+  const named = summary.named_competitors || [];
+  const notes = minSpendNotes(summary);
+  return (
+    <div id="print-summary" className="hidden print:block text-zinc-900 text-[11pt] leading-snug">
+      <div className="flex items-end justify-between border-b-2 border-zinc-900 pb-2 mb-4">
+        <div>
+          <div className="font-bold text-lg">PIXEL <span className="text-zinc-500 font-medium">Creative Studio</span></div>
+          <div className="text-2xl font-bold">Projection for {summary.city}</div>
+        </div>
+        <div className="text-right text-xs text-zinc-600">Prepared {meta.generatedAt.toLocaleString()}</div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        <div className="border rounded-lg p-3"><div className="text-xs uppercase text-zinc-500">Pixel revenue / mo</div><div className="text-xl font-bold">{formatValue(summary.pixel.revenue, "money")}</div></div>
+        <div className="border rounded-lg p-3"><div className="text-xs uppercase text-zinc-500">Delta vs competitor / mo</div><div className="text-xl font-bold">{formatValue(summary.delta_revenue, "money")}</div></div>
+        <div className="border rounded-lg p-3"><div className="text-xs uppercase text-zinc-500">Cost of waiting 30 days</div><div className="text-xl font-bold">{formatValue(summary.cost_of_waiting, "money")}</div></div>
+      </div>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left py-1">Monthly</th>
+            <th className="text-right py-1">Competitor</th>
+            {named.map((c) => <th key={c.id} className="text-right py-1">{c.name}</th>)}
+            <th className="text-right py-1">Pixel</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SUMMARY_ROWS.map((r) => (
+            <tr key={r.key} className="border-b">
+              <td className="py-1">{r.label}</td>
+              <td className="py-1 text-right">{formatValue(summary.competitor[r.key], r.format)}</td>
+              {named.map((c) => <td key={c.id} className="py-1 text-right">{formatValue(c[r.key], r.format)}</td>)}
+              <td className="py-1 text-right font-semibold">{formatValue(summary.pixel[r.key], r.format)}</td>
+            </tr>
+          ))}
+          {summary.net_roi && NET_ROWS.map((r) => (
+            <tr key={r.key} className="border-b">
+              <td className="py-1">{r.label}</td>
+              <td className="py-1 text-right">{formatValue(summary.net_roi.competitor[r.key], r.format)}</td>
+              {named.map((c) => <td key={c.id} className="py-1 text-right">{formatValue(c.net[r.key], r.format)}</td>)}
+              <td className="py-1 text-right font-semibold">{formatValue(summary.net_roi.pixel[r.key], r.format)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {notes.length > 0 && <p className="text-xs text-zinc-600 mb-2">Projected at minimum spend: {notes.join("; ")}.</p>}
+      {summary.net_roi && <p className="text-sm mb-4"><strong>Break-even:</strong> {describeBreakEven(summary.net_roi.break_even)}</p>}
+
+      {channels.length > 1 && (
+        <table className="w-full text-xs mb-4">
+          <thead>
+            <tr className="border-b"><th className="text-left py-1">By channel</th><th className="text-right py-1">Spend + credits</th><th className="text-right py-1">Appts (C / P)</th><th className="text-right py-1">Revenue (C / P)</th></tr>
+          </thead>
+          <tbody>
+            {channels.map(([id, ch]) => (
+              <tr key={id} className="border-b">
+                <td className="py-1">{id}</td>
+                <td className="py-1 text-right">{formatValue(ch.spend, "money")} + {formatValue(ch.funded_media, "money")}</td>
+                <td className="py-1 text-right">{formatValue(ch.competitor.appts, "count1")} / {formatValue(ch.pixel.appts, "count1")}</td>
+                <td className="py-1 text-right">{formatValue(ch.competitor.revenue, "money")} / {formatValue(ch.pixel.revenue, "money")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="grid grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-semibold mb-1">Assumptions</h4>
+          <dl className="text-xs grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5">
+            {assumptionRows(summary).map(([k, v]) => (
+              <React.Fragment key={k}><dt className="text-zinc-500">{k}</dt><dd>{v}</dd></React.Fragment>
+            ))}
+          </dl>
+        </div>
+        <div>
+          <h4 className="font-semibold mb-1">Terms</h4>
+          <ul className="text-xs space-y-0.5">
+            {terms.map((g) => <li key={g.term}><strong>{g.term}</strong>: {g.text}</li>)}
+          </ul>
+        </div>
+      </div>
+
+      <div className="mt-4 pt-2 border-t text-[8pt] text-zinc-500 break-all">
+        <div>Projections are estimates, not guarantees. Media credits apply to paid media only and do not reduce service fees.</div>
+        <div>Reproduce these numbers: {meta.url || `?${meta.query}`}</div>
+      </div>
+    </div>
+  );
+}
+
+export default function ProspectSummary({ summary, state, terms }) {
+  const [printMeta, setPrintMeta] = useState(() => exportMeta(state, { url: currentUrl() }));
+  const [copied, setCopied] = useState(false);
+
+  // Re-stamp the one-pager whenever the browser prints (button or Ctrl+P)
+  useEffect(() => {
+    const stamp = () => flushSync(() => setPrintMeta(exportMeta(state, { url: currentUrl() })));
+    window.addEventListener("beforeprint", stamp);
+    return () => window.removeEventListener("beforeprint", stamp);
+  }, [state]);
+
+  const downloadCsv = () => {
+    const meta = exportMeta(state, { url: currentUrl() });
+    downloadText(`pixel-summary-${meta.generatedAt.toISOString().slice(0, 10)}.csv`, summaryToCsv(summary, state, meta), "text/csv");
+  };
+
+  const copyMarkdown = async () => {
+    const text = summaryToMarkdown(summary, exportMeta(state, { url: currentUrl() }));
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt("Copy these notes:", text);
+    }
+  };
+
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+
+  return (
+    <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h3 className="text-lg font-semibold">Prospect Summary (Display Only)</h3>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={btn} onClick={() => window.print()}>Print / Save PDF</button>
+          <button type="button" className={btn} onClick={downloadCsv}>Download CSV</button>
+          <button type="button" className={btn} onClick={copyMarkdown}>{copied ? "Notes copied" : "Copy Markdown"}</button>
+        </div>
+      </div>
+      <pre className="text-sm bg-zinc-50 p-3 rounded-xl overflow-x-auto"><code>{JSON.stringify(summary, null, 2)}</code></pre>
+      <p className="text-xs text-zinc-500 mt-2">This block is read-only for screen share. No data is collected from the prospect. Exports include a timestamp and the share link for this scenario.</p>
+      {typeof document !== "undefined" && createPortal(<PrintSummary summary={summary} meta={printMeta} terms={terms} />, document.body)}
+    </div>
+  );
+}
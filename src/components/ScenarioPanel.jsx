@@ -0,0 +1,270 @@
+import React, { useEffect, useRef, useState } from "react";
+import { money } from "../format.js";
+import { downloadText } from "../download.js";
+import { describeMix } from "../engine/projection.js";
+import { flattenScenario } from "../engine/scenarioParams.js";
+import ActualsPanel from "./ActualsPanel.jsx";
+import {
+  compareScenarios,
+  createScenario,
+  deleteScenario,
+  duplicateScenario,
+  mergeScenarios,
+  parseScenarioFile,
+  parseStoredScenarios,
+  renameScenario,
+  serializeScenarios,
+  setScenarioActuals,
+} from "../engine/scenarios.js";
+
+/**
+ * Saved Scenarios — named snapshots of the calculator kept in localStorage,
+ * with JSON export/import, a 2–4 column comparison view and post-launch
+ * actuals for signed clients (see ./ActualsPanel.jsx).
+ */
+
+const STORAGE_KEY = "pixel.scenarios.v1";
+const MAX_COMPARE = 4;
+
+const NOTHING_STORED = { scenarios: [], kept: [], rejected: [] };
+
+function readStored() {
+  let raw = null;
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? parseStoredScenarios(raw) : NOTHING_STORED;
+  } catch {
+    // unreadable, or written by a newer version: set it aside instead of overwriting it
+    try {
+      if (raw) window.localStorage.setItem(`${STORAGE_KEY}.unreadable`, raw);
+    } catch {
+      // storage disabled
+    }
+    return NOTHING_STORED;
+  }
+}
+
+// Entries that fail to load are written back untouched after the list
+function useSavedScenarios() {
+  const [stored] = useState(readStored);
+  const [list, setList] = useState(stored.scenarios);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, serializeScenarios([...list, ...stored.kept]));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [list, stored]);
+
+  return [list, setList, stored.rejected];
+}
+
+function formatMetric(value, format) {
+  if (value === null) return "—";
+  if (format === "money") return money(value);
+  return value.toFixed(format === "count2" ? 2 : 1);
+}
+
+function formatDelta(delta, format) {
+  if (delta === null || Math.abs(delta) < 1e-9) return "";
+  const sign = delta > 0 ? "+" : "-";
+  return `${sign}${formatMetric(Math.abs(delta), format)}`;
+}
+
+// ---------------- Comparison ----------------
+function CompareTable({ scenarios }) {
+  const rows = compareScenarios(scenarios);
+  const inputs = scenarios.map((s) => Object.fromEntries(flattenScenario(s.state)));
+  const cellCls = "px-3 py-2 text-right whitespace-nowrap";
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b">
+            <th className="px-3 py-2 text-left font-medium text-zinc-500">Metric</th>
+            {scenarios.map((s) => (
+              <th key={s.id} className="px-3 py-2 text-right font-semibold">{s.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(inputs[0]).map((key) => {
+            const first = inputs[0][key];
+            return (
+              <tr key={key} className="border-b text-zinc-600">
+                <td className="px-3 py-1.5">{key}</td>
+                {scenarios.map((s, i) => (
+                  <td key={s.id} className={`${cellCls} py-1.5 ${inputs[i][key] !== first ? "bg-amber-50 font-medium text-zinc-900" : ""}`}>{inputs[i][key] ?? "—"}</td>
+                ))}
+              </tr>
+            );
+          })}
+          {rows.map((r) => (
+            <tr key={r.key} className="border-b">
+              <td className="px-3 py-2">{r.label}</td>
+              {r.values.map((v, i) => (
+                <td key={scenarios[i].id} className={`${cellCls} ${r.differs[i] ? "bg-amber-50 font-semibold" : ""}`}>
+                  {formatMetric(v, r.format)}
+                  {r.differs[i] && (
+                    <div className={`text-xs ${r.deltas[i] > 0 ? "text-emerald-700" : "text-rose-700"}`}>{formatDelta(r.deltas[i], r.format)}</div>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-zinc-500 mt-2">Highlighted cells differ from the first column; deltas are vs the first column.</p>
+    </div>
+  );
+}
+
+// ---------------- Panel ----------------
+// onUpdateMetro(metro, mult) writes a metro table override and onSaveBaselines([{ id, baseCpl }])
+// saves default baseline CPLs (actuals calibration); channels = the current default channel table
+export default function ScenarioPanel({ state, out, onLoad, onUpdateMetro, onSaveBaselines, table, channels }) {
+  const [list, setList, unreadable] = useSavedScenarios();
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [compareIds, setCompareIds] = useState([]);
+  const [actualsId, setActualsId] = useState(null); // scenario whose actuals are open
+  const [report, setReport] = useState(null); // import result message
+  const fileRef = useRef(null);
+
+  const defaultName = `${state.city} @ ${money(state.spend)}/mo`;
+  const comparing = compareIds.map((id) => list.find((s) => s.id === id)).filter(Boolean);
+  const tracking = list.find((s) => s.id === actualsId);
+
+  const save = () => {
+    setList((l) => [...l, createScenario(name || defaultName, state, out)]);
+    setName("");
+  };
+
+  const remove = (id) => {
+    setList((l) => deleteScenario(l, id));
+    setCompareIds((ids) => ids.filter((x) => x !== id));
+    if (actualsId === id) setActualsId(null);
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : ids.length < MAX_COMPARE ? [...ids, id] : ids));
+  };
+
+  const commitRename = () => {
+    setList((l) => renameScenario(l, editing.id, editing.name));
+    setEditing(null);
+  };
+
+  const exportFile = () => {
+    downloadText(`pixel-scenarios-${new Date().toISOString().slice(0, 10)}.json`, serializeScenarios(list), "application/json");
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { scenarios, rejected } = parseScenarioFile(await file.text(), table);
+      setList((l) => mergeScenarios(l, scenarios));
+      setReport({ ok: true, imported: scenarios.length, rejected });
+    } catch (err) {
+      setReport({ ok: false, error: err.message });
+    }
+  };
+
+  const btn = "rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50";
+
+  return (
+    <div className="mt-6 p-6 rounded-2xl border bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold">Saved Scenarios</h3>
+        <div className="flex gap-2">
+          <button type="button" className={btn} onClick={exportFile} disabled={!list.length}>Export JSON</button>
+          <button type="button" className={btn} onClick={() => fileRef.current.click()}>Import JSON</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <input className="w-full rounded-xl border px-3 py-2" placeholder={defaultName} value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && save()} />
+        <button type="button" className="shrink-0 rounded-xl border px-4 py-2 text-sm font-medium hover:bg-zinc-50" onClick={save}>Save current</button>
+      </div>
+
+      {report && (
+        <div className={`mb-4 p-3 rounded-xl border text-sm ${report.ok && !report.rejected.length ? "bg-emerald-50 border-emerald-200" : "bg-amber-50 border-amber-300"}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              {report.ok ? `Imported ${report.imported} scenario(s).` : `Import failed: ${report.error}`}
+              {report.ok && report.rejected.length > 0 && (
+                <ul className="list-disc ml-5 mt-1">
+                  {report.rejected.map((r) => <li key={r.index}>Skipped "{r.name}": {r.error}</li>)}
+                </ul>
+              )}
+            </div>
+            <button type="button" className="text-xs underline" onClick={() => setReport(null)}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {unreadable.length > 0 && (
+        <p className="mb-4 text-xs text-amber-700">
+          {unreadable.length} stored scenario(s) could not be loaded ({unreadable.map((r) => `"${r.name}": ${r.error}`).join("; ")}). They are kept in storage unchanged.
+        </p>
+      )}
+
+      {list.length === 0 ? (
+        <p className="text-sm text-zinc-500">No saved scenarios yet. Save the current numbers to compare them later.</p>
+      ) : (
+        <ul className="divide-y border rounded-xl">
+          {list.map((s) => (
+            <li key={s.id} className="flex flex-wrap items-center gap-3 px-3 py-2">
+              <input type="checkbox" checked={compareIds.includes(s.id)} disabled={!compareIds.includes(s.id) && compareIds.length >= MAX_COMPARE} onChange={() => toggleCompare(s.id)} title="Compare" />
+              <div className="flex-1 min-w-[12rem]">
+                {editing && editing.id === s.id ? (
+                  <input autoFocus className="w-full rounded-lg border px-2 py-1 text-sm" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} onBlur={commitRename} onKeyDown={(e) => { if (e.key === "Enter") commitRename(); if (e.key === "Escape") setEditing(null); }} />
+                ) : (
+                  <div className="text-sm font-medium">{s.name}</div>
+                )}
+                <div className="text-xs text-zinc-500">
+                  {s.state.city}{table.some((m) => m.city === s.state.city) ? "" : " (not in metro table)"} · {describeMix(s.state.mix)} · {money(s.state.spend)}/mo · Pixel {money(s.out.pixelRevenue)} · saved {new Date(s.savedAt).toLocaleString()}
+                </div>
+              </div>
+              <div className="flex gap-1">
+                <button type="button" className={btn} onClick={() => onLoad(s.state)}>Load</button>
+                <button type="button" className={`${btn} ${actualsId === s.id ? "bg-zinc-100" : ""}`} onClick={() => setActualsId(actualsId === s.id ? null : s.id)}>
+                  Actuals{s.actuals ? ` (${s.actuals.length} mo)` : ""}
+                </button>
+                <button type="button" className={btn} onClick={() => setEditing({ id: s.id, name: s.name })}>Rename</button>
+                <button type="button" className={btn} onClick={() => setList((l) => duplicateScenario(l, s.id))}>Duplicate</button>
+                <button type="button" className={`${btn} text-rose-700`} onClick={() => remove(s.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {tracking && (
+        <ActualsPanel
+          scenario={tracking}
+          setActuals={(actuals) => setList((l) => setScenarioActuals(l, tracking.id, actuals))}
+          table={table}
+          onUpdateMetro={onUpdateMetro}
+          channels={channels}
+          onSaveBaselines={onSaveBaselines}
+          onClose={() => setActualsId(null)}
+        />
+      )}
+
+      <div className="mt-6">
+        <h4 className="font-semibold mb-2">Compare</h4>
+        {comparing.length < 2 ? (
+          <p className="text-sm text-zinc-500">Tick two to {MAX_COMPARE} saved scenarios to compare them side by side.</p>
+        ) : (
+          <CompareTable scenarios={comparing} />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from "react";
+import { money } from "../format.js";
+import { TornadoChart } from "./charts.jsx";
+import {
+  DEFAULT_SENSITIVITY,
+  SENSITIVITY_LIMITS,
+  SENSITIVITY_METRICS,
+  rankDrivers,
+  sensitivity,
+  sensitivityDrivers,
+  sensitivityGrid,
+} from "../engine/sensitivity.js";
+
+/**
+ * Sensitivity — "what if my close rate is lower?" for every driver at once.
+ * Tornado chart ranks drivers by swing; the grid crosses two drivers and shows
+ * delta revenue per cell.
+ */
+
+function formatValue(v, format) {
+  if (format === "money") return money(v);
+  if (format === "mult") return `×${v.toFixed(2)}`;
+  if (format === "bps") return `${Math.round(v)} bps`;
+  return `${(v * 100).toFixed(1)}%`;
+}
+
+// Emerald for Pixel ahead, rose for behind; stronger with magnitude
+function cellColor(v, maxAbs) {
+  if (!(maxAbs > 0) || Math.abs(v) < 1e-9) return "transparent";
+  const alpha = 0.08 + 0.42 * Math.min(1, Math.abs(v) / maxAbs);
+  return v > 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(244, 63, 94, ${alpha})`;
+}
+
+export default function SensitivityPanel({ state, table }) {
+  const [range, setRange] = useState(DEFAULT_SENSITIVITY.range);
+  const [metric, setMetric] = useState("pixelRevenue");
+  const [pickedGridX, setPickedGridX] = useState("spend");
+  const [pickedGridY, setPickedGridY] = useState("closeRate");
+
+  // Only the current ACV model's revenue parameter is offered; switching models
+  // moves an axis on the old model's parameter back to a default driver
+  const drivers = sensitivityDrivers(state.acvModel);
+  const usable = (key) => drivers.some((d) => d.key === key);
+  const fallback = (preferred, other) => (preferred !== other ? preferred : drivers.find((d) => d.key !== other).key);
+  const gridX = usable(pickedGridX) ? pickedGridX : fallback("spend", pickedGridY);
+  const gridY = usable(pickedGridY) ? pickedGridY : fallback("closeRate", gridX);
+
+  const result = useMemo(() => sensitivity(state, { range }, table), [state, range, table]);
+  const grid = useMemo(() => sensitivityGrid(state, { x: gridX, y: gridY, range }, table), [state, gridX, gridY, range, table]);
+
+  const ranked = rankDrivers(result.drivers, metric);
+  const bars = ranked.map((d) => ({
+    label: d.label,
+    detail: `${formatValue(d.low.value, d.format)} – ${formatValue(d.high.value, d.format)}`,
+    low: d.low[metric],
+    high: d.high[metric],
+  }));
+  const maxAbs = Math.max(0, ...grid.cells.flat().map((c) => Math.abs(c.deltaRevenue)));
+  const centre = Math.floor(grid.factors.length / 2);
+  const hasCentre = grid.factors.length % 2 === 1;
+
+  const [minPct, maxPct] = SENSITIVITY_LIMITS.range.map((x) => x * 100);
+  const input = "w-full rounded-xl border px-3 py-2";
+  const toggle = (active) => `px-3 py-1 ${active ? "bg-zinc-900 text-white" : "bg-white"}`;
+  // Keep the two grid axes distinct: picking the other axis's driver swaps them
+  const pickAxis = (axis, key) => {
+    if (axis === "x") {
+      if (key === gridY) setPickedGridY(gridX);
+      setPickedGridX(key);
+    } else {
+      if (key === gridX) setPickedGridX(gridY);
+      setPickedGridY(key);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <label className="block text-sm">
+          <span className="block font-medium text-zinc-700 mb-1">Vary each driver by ±%</span>
+          <input type="number" className={`${input} w-28`} min={minPct} max={maxPct} step={5} value={Math.round(range * 100)} onChange={(e) => setRange(Math.min(maxPct, Math.max(minPct, parseFloat(e.target.value) || minPct)) / 100)} />
+        </label>
+        <div className="inline-flex rounded-lg border overflow-hidden text-xs">
+          {SENSITIVITY_METRICS.map((m) => (
+            <button key={m.key} type="button" className={toggle(metric === m.key)} onClick={() => setMetric(m.key)}>{m.label}</button>
+          ))}
+        </div>
+      </div>
+
+      <TornadoChart bars={bars} base={result.base[metric]} formatX={money} title={`Monthly ${metric === "pixelRevenue" ? "Pixel revenue" : "delta revenue"} by driver`} />
+      <p className="text-xs text-zinc-500 mt-2">
+        Each bar moves one driver ±{Math.round(range * 100)}% with everything else held at the current scenario (dashed line). Longest bar = biggest lever. Rates are capped at 100%; appointment rate and baseline CPL scale every channel.
+      </p>
+
+      <div className="mt-6">
+        <div className="flex flex-wrap items-end gap-3 mb-3">
+          <h4 className="font-semibold mr-2">Delta revenue grid</h4>
+          <label className="text-sm">
+            <span className="block text-xs text-zinc-500 mb-1">Columns</span>
+            <select className="rounded-xl border px-3 py-2" value={gridX} onChange={(e) => pickAxis("x", e.target.value)}>
+              {drivers.map((d) => <option key={d.key} value={d.key}>{d.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block text-xs text-zinc-500 mb-1">Rows</span>
+            <select className="rounded-xl border px-3 py-2" value={gridY} onChange={(e) => pickAxis("y", e.target.value)}>
+              {drivers.map((d) => <option key={d.key} value={d.key}>{d.label}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="px-2 py-1.5 text-left text-xs font-medium text-zinc-500">{grid.y.label} ↓ / {grid.x.label} →</th>
+                {grid.x.values.map((v, i) => (
+                  <th key={i} className={`px-2 py-1.5 text-right whitespace-nowrap ${hasCentre && i === centre ? "font-semibold" : "font-medium text-zinc-600"}`}>{formatValue(v, grid.x.format)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.cells.map((row, r) => (
+                <tr key={r} className="border-b">
+                  <th className={`px-2 py-1.5 text-left whitespace-nowrap ${hasCentre && r === centre ? "font-semibold" : "font-medium text-zinc-600"}`}>{formatValue(grid.y.values[r], grid.y.format)}</th>
+                  {row.map((c, i) => (
+                    <td key={i} className={`px-2 py-1.5 text-right whitespace-nowrap ${hasCentre && r === centre && i === centre ? "ring-2 ring-inset ring-zinc-900" : ""}`} style={{ background: cellColor(c.deltaRevenue, maxAbs) }}>
+                      {money(c.deltaRevenue)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-zinc-500 mt-2">Monthly Pixel minus competitor revenue. The outlined cell is the current scenario.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { money } from "../format.js";
+import { TIMELINE_LIMITS, costOfWaiting } from "../engine/timeline.js";
+import { LineAreaChart } from "./charts.jsx";
+import { Field, Stat } from "./ui.jsx";
+
+/**
+ * Projection Timeline — month-by-month Pixel vs competitor with ramp-up,
+ * close lag and expiring funded credits. Options are owned by Calculator so
+ * the ROI Snapshot can show the timeline-based Cost of Waiting.
+ */
+
+const PIXEL = "#db2777";
+const COMPETITOR = "#71717a";
+
+const compact = (x) => (Math.abs(x) >= 1000 ? `$${(x / 1000).toFixed(x >= 10000 ? 0 : 1)}k` : `$${Math.round(x)}`);
+
+function NumberField({ label, hint, value, onChange, limits, step = 1, suffix }) {
+  const [min, max] = limits;
+  return (
+    <Field label={label} hint={hint}>
+      <div className="flex items-center gap-2">
+        <input type="number" className="w-full rounded-xl border px-3 py-2" value={value} min={min} max={max} step={step} onChange={(e) => onChange(parseFloat(e.target.value) || 0)} />
+        {suffix && <span className="text-sm text-zinc-600 whitespace-nowrap">{suffix}</span>}
+      </div>
+    </Field>
+  );
+}
+
+function Pair({ month, cum, fmt }) {
+  return (
+    <>
+      {fmt(month)}
+      <div className="text-xs text-zinc-500">{fmt(cum)}</div>
+    </>
+  );
+}
+
+export default function TimelinePanel({ timeline, options, setOptions, waitMonths, setWaitMonths }) {
+  const [view, setView] = useState("cumulative"); // 'cumulative' | 'monthly'
+  const set = (key) => (v) => setOptions((o) => ({ ...o, [key]: v }));
+  const { months, totals } = timeline;
+  const H = months.length;
+  const count = (x) => x.toFixed(1);
+
+  const pick = (side) => months.map((m) => (view === "cumulative" ? m[side].cumRevenue : m[side].revenue));
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        <NumberField label="Horizon" hint="3–24 months." value={options.months} onChange={set("months")} limits={TIMELINE_LIMITS.months} suffix="mo" />
+        <NumberField label="Month-1 CPL penalty" hint="Learning-phase CPL increase." value={Math.round(options.rampPenalty * 100)} onChange={(v) => set("rampPenalty")(v / 100)} limits={[0, 200]} step={5} suffix="%" />
+        <NumberField label="Ramp length" hint="Months until CPL settles." value={options.rampMonths} onChange={set("rampMonths")} limits={TIMELINE_LIMITS.rampMonths} suffix="mo" />
+        <NumberField label="Appt -&gt; close lag" hint="Months from appointment to closing." value={options.closeLagMonths} onChange={set("closeLagMonths")} limits={TIMELINE_LIMITS.closeLagMonths} suffix="mo" />
+        <NumberField label="Credits last" hint="Months funded media applies." value={options.creditMonths} onChange={set("creditMonths")} limits={TIMELINE_LIMITS.creditMonths} suffix="mo" />
+        <NumberField label="Delay launch by" hint="For Cost of Waiting." value={waitMonths} onChange={setWaitMonths} limits={[1, H]} suffix="mo" />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-5">
+        <Stat label={`${H}-mo Revenue (Competitor)`} value={money(totals.competitorRevenue)} />
+        <Stat label={`${H}-mo Revenue (Pixel)`} value={money(totals.pixelRevenue)} highlight />
+        <Stat label={`${H}-mo Delta Revenue`} value={money(totals.deltaRevenue)} highlight />
+        <Stat label={`Cost of Waiting ${waitMonths} mo`} value={money(costOfWaiting(timeline, waitMonths))} />
+      </div>
+
+      <div className="mt-5">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold">{view === "cumulative" ? "Cumulative revenue" : "Monthly revenue"}</h4>
+          <div className="inline-flex rounded-lg border text-xs overflow-hidden">
+            {["cumulative", "monthly"].map((v) => (
+              <button key={v} type="button" className={`px-3 py-1 ${view === v ? "bg-zinc-900 text-white" : "bg-white"}`} onClick={() => setView(v)}>{v === "cumulative" ? "Cumulative" : "Monthly"}</button>
+            ))}
+          </div>
+        </div>
+        <LineAreaChart
+          title="Pixel vs competitor revenue by month"
+          xLabels={months.map((m) => `M${m.month}`)}
+          formatY={compact}
+          series={[
+            { label: "Pixel", values: pick("pixel"), color: PIXEL, area: true },
+            { label: "Competitor", values: pick("competitor"), color: COMPETITOR },
+          ]}
+        />
+      </div>
+
+      <div className="overflow-x-auto mt-5">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-zinc-500">
+              <th className="px-2 py-2 text-left font-medium">Month</th>
+              <th className="px-2 py-2 text-right font-medium">CPL ×</th>
+              <th className="px-2 py-2 text-right font-medium">Funded</th>
+              <th className="px-2 py-2 text-right font-medium">Leads (C)</th>
+              <th className="px-2 py-2 text-right font-medium">Leads (P)</th>
+              <th className="px-2 py-2 text-right font-medium">Closed (C)</th>
+              <th className="px-2 py-2 text-right font-medium">Closed (P)</th>
+              <th className="px-2 py-2 text-right font-medium">Revenue (C)</th>
+              <th className="px-2 py-2 text-right font-medium">Revenue (P)</th>
+              <th className="px-2 py-2 text-right font-medium">Cum. Delta</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((m) => (
+              <tr key={m.month} className="border-b align-top">
+                <td className="px-2 py-1.5">M{m.month}</td>
+                <td className="px-2 py-1.5 text-right">{m.ramp.toFixed(2)}</td>
+                <td className="px-2 py-1.5 text-right">{money(m.funded)}</td>
+                <td className="px-2 py-1.5 text-right"><Pair month={m.competitor.leads} cum={m.competitor.cumLeads} fmt={count} /></td>
+                <td className="px-2 py-1.5 text-right bg-zinc-50"><Pair month={m.pixel.leads} cum={m.pixel.cumLeads} fmt={count} /></td>
+                <td className="px-2 py-1.5 text-right"><Pair month={m.competitor.closed} cum={m.competitor.cumClosed} fmt={(x) => x.toFixed(2)} /></td>
+                <td className="px-2 py-1.5 text-right bg-zinc-50"><Pair month={m.pixel.closed} cum={m.pixel.cumClosed} fmt={(x) => x.toFixed(2)} /></td>
+                <td className="px-2 py-1.5 text-right"><Pair month={m.competitor.revenue} cum={m.competitor.cumRevenue} fmt={money} /></td>
+                <td className="px-2 py-1.5 text-right bg-zinc-50"><Pair month={m.pixel.revenue} cum={m.pixel.cumRevenue} fmt={money} /></td>
+                <td className="px-2 py-1.5 text-right font-medium">{money(m.cumDelta)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-zinc-500 mt-2">Each cell: month value, with the running total below. Closings from appointments that land past month {H} are not counted.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { money } from "../format.js";
+import { Histogram } from "./charts.jsx";
+import { Stat } from "./ui.jsx";
+import { DISTRIBUTION_TYPES, SIMULATION_LIMITS, SIMULATION_METRICS, UNCERTAIN_INPUTS } from "../engine/montecarlo.js";
+
+/**
+ * Uncertainty — give the shakiest assumptions a range and read results as
+ * P10/P50/P90 bands. Distributions and run options are owned by Calculator so
+ * the ROI Snapshot can show the same bands; simulations run in a Web Worker.
+ */
+
+// Distribution parameters per type; values are shown in the input's own units
+const PARAMS = {
+  fixed: [],
+  uniform: ["min", "max"],
+  triangular: ["min", "mode", "max"],
+  normal: ["mean", "sd", "min", "max"],
+};
+
+const TYPE_LABELS = { fixed: "Fixed (current)", uniform: "Uniform", triangular: "Triangular", normal: "Normal (clamped)" };
+
+// Rates are edited as percentages
+const toField = (v, format) => (format === "pct" ? Math.round(v * 10000) / 100 : Math.round(v * 100) / 100);
+const fromField = (v, format) => (format === "pct" ? v / 100 : v);
+
+function formatMetric(v, format) {
+  return format === "money" ? money(v) : v.toFixed(2);
+}
+
+export default function UncertaintyPanel({ current, distributions, setDistributions, options, setOptions, onRecenter, result, pending, error }) {
+  const [metric, setMetric] = useState("deltaRevenue");
+
+  const setDist = (key, patch) => setDistributions((d) => ({ ...d, [key]: { ...d[key], ...patch } }));
+  // Switching type seeds the new parameters from the current value
+  const setType = (key, type) => {
+    const v = current[key];
+    const seed = { fixed: {}, uniform: { min: v, max: v }, triangular: { min: v, mode: v, max: v }, normal: { mean: v, sd: 0 } }[type];
+    setDistributions((d) => ({ ...d, [key]: { ...seed, ...d[key], type } }));
+  };
+
+  const input = "w-full rounded-lg border px-2 py-1 text-sm";
+  const toggle = (active) => `px-3 py-1 ${active ? "bg-zinc-900 text-white" : "bg-white"}`;
+  const selected = SIMULATION_METRICS.find((m) => m.key === metric);
+  const summary = result && result.metrics[metric];
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-zinc-500">
+              <th className="py-1 pr-3 font-medium">Assumption</th>
+              <th className="py-1 pr-3 font-medium">Current</th>
+              <th className="py-1 pr-3 font-medium">Distribution</th>
+              <th className="py-1 pr-3 font-medium">Parameters</th>
+            </tr>
+          </thead>
+          <tbody>
+            {UNCERTAIN_INPUTS.map(({ key, label, format }) => {
+              const d = distributions[key] || { type: "fixed" };
+              const unit = format === "pct" ? "%" : "$";
+              return (
+                <tr key={key} className="align-top">
+                  <td className="py-1.5 pr-3 whitespace-nowrap font-medium">{label}</td>
+                  <td className="py-1.5 pr-3 whitespace-nowrap text-zinc-600">{format === "pct" ? `${toField(current[key], format)}%` : money(current[key])}</td>
+                  <td className="py-1.5 pr-3 min-w-[10rem]">
+                    <select className={input} value={d.type} onChange={(e) => setType(key, e.target.value)}>
+                      {DISTRIBUTION_TYPES.map((t) => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1.5 pr-3">
+                    <div className="flex flex-wrap gap-2">
+                      {PARAMS[d.type].map((p) => (
+                        <label key={p} className="text-xs text-zinc-500 w-24">
+                          {p} ({unit})
+                          <input type="number" className={input} value={Number.isFinite(d[p]) ? toField(d[p], format) : ""} onChange={(e) => setDist(key, { [p]: fromField(parseFloat(e.target.value), format) })} />
+                        </label>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 mt-3 text-sm">
+        <label className="text-xs text-zinc-500">
+          Runs
+          <input type="number" className={`${input} w-28`} min={SIMULATION_LIMITS.runs[0]} max={SIMULATION_LIMITS.runs[1]} step={500} value={options.runs} onChange={(e) => setOptions((o) => ({ ...o, runs: parseInt(e.target.value, 10) || SIMULATION_LIMITS.runs[0] }))} />
+        </label>
+        <label className="text-xs text-zinc-500">
+          Seed
+          <input type="number" className={`${input} w-24`} value={options.seed} onChange={(e) => setOptions((o) => ({ ...o, seed: parseInt(e.target.value, 10) || 0 }))} />
+        </label>
+        <button type="button" className="rounded-lg border px-2 py-1 text-xs hover:bg-zinc-50" onClick={onRecenter}>Reset to ±25% around current inputs</button>
+        {pending && <span className="text-xs text-zinc-500">Simulating…</span>}
+      </div>
+
+      {error && <div className="mt-3 text-sm text-rose-700">Simulation failed: {error}</div>}
+
+      {result && (
+        <div className="mt-5">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {SIMULATION_METRICS.map((m) => {
+              const s = result.metrics[m.key];
+              return <Stat key={m.key} label={`${m.label} (P50)`} value={formatMetric(s.p50, m.format)} detail={`P10 ${formatMetric(s.p10, m.format)} · P90 ${formatMetric(s.p90, m.format)}`} highlight={m.key === metric} />;
+            })}
+            <Stat label="Probability Pixel beats competitor" value={`${(result.probPixelWins * 100).toFixed(1)}%`} detail={`${result.runs.toLocaleString()} runs, seed ${result.seed}`} highlight />
+          </div>
+
+          <div className="flex items-center justify-between gap-3 mt-5 mb-2">
+            <h4 className="font-semibold">{selected.label} distribution</h4>
+            <div className="inline-flex rounded-lg border overflow-hidden text-xs">
+              {SIMULATION_METRICS.map((m) => (
+                <button key={m.key} type="button" className={toggle(metric === m.key)} onClick={() => setMetric(m.key)}>{m.label}</button>
+              ))}
+            </div>
+          </div>
+          <Histogram
+            bins={summary.histogram}
+            markers={[{ label: "P10", value: summary.p10 }, { label: "P50", value: summary.p50 }, { label: "P90", value: summary.p90 }]}
+            formatX={(v) => formatMetric(v, selected.format)}
+            title={`${selected.label} across ${result.runs} simulations`}
+          />
+          <p className="text-xs text-zinc-500 mt-2">
+            P10/P90: 1 in 10 runs came in below/above. Appointment rate and CPL ranges scale every channel; ACV ranges apply through the commission rate. Same seed, same answer.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React from "react";
+
+/**
+ * Dependency-free SVG charts. Sized by viewBox, so they scale to their container.
+ */
+
+const W = 640;
+const PAD = { top: 12, right: 12, bottom: 28, left: 64 };
+
+// Round a max value up to a friendly axis ceiling (1, 2, 2.5, 5 × 10^n)
+function niceCeil(x) {
+  if (!(x > 0)) return 1;
+  const p = 10 ** Math.floor(Math.log10(x));
+  const n = x / p;
+  return (n <= 1 ? 1 : n <= 2 ? 2 : n <= 2.5 ? 2.5 : n <= 5 ? 5 : 10) * p;
+}
+
+// series: [{ label, values, color, area }] — all series share xLabels
+export function LineAreaChart({ series, xLabels, height = 260, formatY = String, title }) {
+  const H = height;
+  const plotW = W - PAD.left - PAD.right;
+  const plotH = H - PAD.top - PAD.bottom;
+  const n = xLabels.length;
+  const yMax = niceCeil(Math.max(0, ...series.flatMap((s) => s.values)));
+
+  const x = (i) => PAD.left + (n > 1 ? (i / (n - 1)) * plotW : plotW / 2);
+  const y = (v) => PAD.top + plotH - (Math.max(0, v) / yMax) * plotH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((t) => t * yMax);
+  const labelEvery = Math.ceil(n / 12);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={title}>
+        {ticks.map((t) => (
+          <g key={t}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={y(t)} y2={y(t)} stroke="#e4e4e7" />
+            <text x={PAD.left - 6} y={y(t) + 4} textAnchor="end" fontSize="11" fill="#71717a">{formatY(t)}</text>
+          </g>
+        ))}
+        {xLabels.map((l, i) => (i % labelEvery === 0 || i === n - 1) && (
+          <text key={l} x={x(i)} y={H - 8} textAnchor="middle" fontSize="11" fill="#71717a">{l}</text>
+        ))}
+        {series.map((s) => {
+          const pts = s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ");
+          return (
+            <g key={s.label}>
+              {s.area && <polygon points={`${x(0)},${y(0)} ${pts} ${x(n - 1)},${y(0)}`} fill={s.color} fillOpacity="0.12" />}
+              <polyline points={pts} fill="none" stroke={s.color} strokeWidth="2.5" strokeLinejoin="round" />
+              {s.values.map((v, i) => <circle key={i} cx={x(i)} cy={y(v)} r="2.5" fill={s.color} />)}
+            </g>
+          );
+        })}
+      </svg>
+      <figcaption className="flex flex-wrap gap-4 text-xs text-zinc-600 mt-1">
+        {series.map((s) => (
+          <span key={s.label} className="inline-flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: s.color }} />
+            {s.label}
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+}
+
+// Horizontal swing bars around a base value, largest first as given.
+// bars: [{ label, detail, low, high }] — low/high are the outcomes at the low/high input.
+export function TornadoChart({ bars, base, formatX = String, title }) {
+  const labelX = 150; // driver names end here; the gap before pad.left holds low-value labels
+  const pad = { top: 24, right: 70, bottom: 8, left: 215 };
+  const rowH = 30;
+  const H = pad.top + pad.bottom + bars.length * rowH;
+  const plotW = W - pad.left - pad.right;
+  const values = [base, ...bars.flatMap((b) => [b.low, b.high])];
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+
+  const x = (v) => pad.left + ((v - lo) / (hi - lo)) * plotW;
+  const bar = (from, to, color, y) => (
+    <rect x={Math.min(x(from), x(to))} y={y} width={Math.abs(x(to) - x(from))} height={rowH - 10} fill={color} rx="2" />
+  );
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={title}>
+        <text x={x(base)} y={12} textAnchor="middle" fontSize="11" fill="#71717a">{formatX(base)}</text>
+        {bars.map((b, i) => {
+          const y = pad.top + i * rowH;
+          const down = Math.min(b.low, b.high);
+          const up = Math.max(b.low, b.high);
+          return (
+            <g key={b.label}>
+              <text x={labelX} y={y + 10} textAnchor="end" fontSize="12" fill="#18181b">{b.label}</text>
+              {b.detail && <text x={labelX} y={y + 22} textAnchor="end" fontSize="10" fill="#71717a">{b.detail}</text>}
+              {down < base && bar(down, base, "#f43f5e", y)}
+              {up > base && bar(base, up, "#10b981", y)}
+              <text x={x(down) - 4} y={y + 14} textAnchor="end" fontSize="10" fill="#71717a">{down < base ? formatX(down) : ""}</text>
+              <text x={x(up) + 4} y={y + 14} fontSize="10" fill="#71717a">{up > base ? formatX(up) : ""}</text>
+            </g>
+          );
+        })}
+        <line x1={x(base)} x2={x(base)} y1={pad.top - 6} y2={H - pad.bottom} stroke="#18181b" strokeDasharray="3 3" />
+      </svg>
+      <figcaption className="flex flex-wrap gap-4 text-xs text-zinc-600 mt-1">
+        <span className="inline-flex items-center gap-1.5"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: "#f43f5e" }} />Below current</span>
+        <span className="inline-flex items-center gap-1.5"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: "#10b981" }} />Above current</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+// bins: [{ from, to, count }]; markers: [{ label, value }] drawn as dashed verticals
+export function Histogram({ bins, markers = [], height = 200, formatX = String, color = "#db2777", title }) {
+  const H = height;
+  const plotW = W - PAD.left - PAD.right;
+  const plotH = H - PAD.top - PAD.bottom - 14; // room for marker labels on top
+  const top = PAD.top + 14;
+  const lo = bins.length ? bins[0].from : 0;
+  const hi = bins.length ? bins[bins.length - 1].to : 1;
+  const span = hi - lo > 1e-9 ? hi - lo : 1;
+  const yMax = niceCeil(Math.max(0, ...bins.map((b) => b.count)));
+
+  // A single degenerate bin (every run identical) is drawn as one centred bar
+  const x = (v) => PAD.left + (hi - lo > 1e-9 ? ((v - lo) / span) * plotW : plotW / 2);
+  const barW = (b) => (hi - lo > 1e-9 ? Math.max(1, ((b.to - b.from) / span) * plotW - 1) : 24);
+  const y = (c) => top + plotH - (c / yMax) * plotH;
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={title}>
+        <line x1={PAD.left} x2={W - PAD.right} y1={y(0)} y2={y(0)} stroke="#e4e4e7" />
+        {bins.map((b, i) => (
+          <rect key={i} x={hi - lo > 1e-9 ? x(b.from) : x(lo) - 12} y={y(b.count)} width={barW(b)} height={y(0) - y(b.count)} fill={color} fillOpacity="0.7" />
+        ))}
+        {markers.map((m) => (
+          <g key={m.label}>
+            <line x1={x(m.value)} x2={x(m.value)} y1={top - 2} y2={y(0)} stroke="#18181b" strokeDasharray="3 3" />
+            <text x={x(m.value)} y={top - 6} textAnchor="middle" fontSize="11" fill="#18181b">{m.label}</text>
+          </g>
+        ))}
+        <text x={PAD.left} y={H - 8} fontSize="11" fill="#71717a">{formatX(lo)}</text>
+        <text x={W - PAD.right} y={H - 8} textAnchor="end" fontSize="11" fill="#71717a">{formatX(hi)}</text>
+      </svg>
+    </figure>
+  );
+}
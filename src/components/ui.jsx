@@ -0,0 +1,22 @@
+import React from "react";
+
+// ---------------- UI atoms ----------------
+export function Field({ label, children, hint }) {
+  return (
+    <label className="block text-sm font-medium text-zinc-700 mb-1">
+      {label}
+      <div className="mt-1">{children}</div>
+      {hint && <div className="text-xs text-zinc-500 mt-1">{hint}</div>}
+    </label>
+  );
+}
+
+export function Stat({ label, value, highlight = false, detail }) {
+  return (
+    <div className={`p-4 rounded-2xl border ${highlight ? "bg-zinc-50" : "bg-white"}`}>
+      <div className="text-xs uppercase tracking-wide text-zinc-500">{label}</div>
+      <div className="text-xl font-semibold mt-1">{value}</div>
+      {detail && <div className="text-xs text-zinc-500 mt-1">{detail}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+// ---------------- Browser file download ----------------
+// The anchor is attached for Firefox, and the URL revoked after the click has
+// been handled: revoking right away can cancel the download in some browsers.
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
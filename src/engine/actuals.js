@@ -0,0 +1,222 @@
+/**
+ * Post-launch actuals — what a signed client's campaigns really did, checked
+ * against the projection saved from the call.
+ *
+ * Actuals are monthly rows { month: "YYYY-MM", spend, leads, appts, closed,
+ * revenue } stored on a saved scenario (./scenarios.js); any figure may be
+ * null when it was not tracked. They are entered by hand or imported from an
+ * ad-platform CSV export (daily or monthly rows are summed per month).
+ *
+ * Actuals are compared with the Pixel side of the saved outputs: spend is the
+ * Pixel budget (client spend + funded media), since platform exports report
+ * everything spent. From the totals we back out the realized CPL, appointment
+ * and close rates, and the metro multiplier or baseline CPLs that would have
+ * projected the realized CPL. Baselines are saved as calibrated defaults for
+ * new scenarios (applyBaselineOverrides in ./projection.js).
+ */
+import { parseNumberCell } from "./batch.js";
+import { parseCsvObjects } from "./csv.js";
+import { METRO_LIMITS } from "./metros.js";
+import { BASE_CPL_RANGE, CHANNEL_TABLE, CITY_TABLE } from "./projection.js";
+
+// Funnel stages tracked per month, with the saved output each one is projected by
+export const ACTUAL_METRICS = [
+  { key: "spend", label: "Ad spend", format: "money", projected: "pixelBudget" },
+  { key: "leads", label: "Leads", format: "count1", projected: "pixelLeads" },
+  { key: "appts", label: "Appointments", format: "count1", projected: "pixelAppts" },
+  { key: "closed", label: "Closed clients", format: "count2", projected: "pixelClosed" },
+  { key: "revenue", label: "Revenue", format: "money", projected: "pixelRevenue" },
+];
+
+const METRIC_KEYS = ACTUAL_METRICS.map((m) => m.key);
+
+// Header aliases for imports (case-insensitive; spaces, punctuation ignored).
+// Covers Meta Ads Manager ("Reporting starts", "Amount spent (USD)", "Results")
+// and Google Ads ("Day", "Cost", "Conversions") exports plus CRM-style names.
+const FIELD_ALIASES = {
+  month: "month",
+  date: "month",
+  day: "month",
+  period: "month",
+  reportingstarts: "month",
+  spend: "spend",
+  adspend: "spend",
+  cost: "spend",
+  amountspent: "spend",
+  amountspentusd: "spend",
+  leads: "leads",
+  results: "leads",
+  conversions: "leads",
+  appts: "appts",
+  appointments: "appts",
+  booked: "appts",
+  closed: "closed",
+  closings: "closed",
+  closedclients: "closed",
+  deals: "closed",
+  revenue: "revenue",
+  gci: "revenue",
+  commission: "revenue",
+};
+
+const fieldFor = (key) => FIELD_ALIASES[String(key).toLowerCase().replace(/[^a-z]/g, "")];
+
+// "2026-03", "2026-03-15" or "3/15/2026" -> "2026-03"; null when unreadable
+export function monthOf(raw) {
+  const s = String(raw ?? "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (m) return toMonth(m[1], m[2]);
+  m = s.match(/^(\d{1,2})\/\d{1,2}\/(\d{4})$/);
+  if (m) return toMonth(m[2], m[1]);
+  return null;
+}
+
+function toMonth(year, month) {
+  const n = Number(month);
+  return n >= 1 && n <= 12 ? `${year}-${String(n).padStart(2, "0")}` : null;
+}
+
+/**
+ * Validates one month of actuals (strings allowed, e.g. "$1,234.56").
+ * Blank figures become null. Returns { month } or { error }.
+ */
+export function validateActualMonth(raw) {
+  if (!raw || typeof raw !== "object") return { error: "not a row" };
+  const month = monthOf(raw.month);
+  if (!month) return { error: `month "${raw.month ?? ""}" is not YYYY-MM` };
+  const row = { month };
+  for (const key of METRIC_KEYS) {
+    const v = raw[key];
+    if (v === undefined || v === null || v === "") {
+      row[key] = null;
+      continue;
+    }
+    const n = typeof v === "number" ? v : parseNumberCell(v);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} "${v}" is not a non-negative number` };
+    row[key] = n;
+  }
+  return { month: row };
+}
+
+// Oldest first; a month already present is replaced by the incoming row
+export function mergeActuals(actuals, incoming) {
+  const byMonth = new Map(actuals.map((a) => [a.month, a]));
+  for (const a of incoming) byMonth.set(a.month, a);
+  return [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+export function removeActualMonth(actuals, month) {
+  return actuals.filter((a) => a.month !== month);
+}
+
+/**
+ * Reads an ad-platform or spreadsheet CSV export. Rows are summed per month
+ * (a figure stays null if no row of that month has it). Unknown columns are
+ * ignored. Returns { months, rejected: [{ row, error }] }; row is 1-based.
+ */
+export function parseActualsCsv(text) {
+  const rows = parseCsvObjects(String(text).trim());
+  if (!rows.length) throw new Error("No rows found in file.");
+  const columns = Object.keys(rows[0]).filter((k) => fieldFor(k));
+  if (!columns.some((k) => fieldFor(k) === "month")) throw new Error("No month or date column found.");
+
+  const byMonth = new Map();
+  const rejected = [];
+  rows.forEach((raw, i) => {
+    const mapped = {};
+    for (const col of columns) if (mapped[fieldFor(col)] === undefined) mapped[fieldFor(col)] = raw[col];
+    const { month, error } = validateActualMonth(mapped);
+    if (error) {
+      rejected.push({ row: i + 1, error });
+      return;
+    }
+    const acc = byMonth.get(month.month) || { month: month.month, ...Object.fromEntries(METRIC_KEYS.map((k) => [k, null])) };
+    for (const key of METRIC_KEYS) if (month[key] !== null) acc[key] = (acc[key] ?? 0) + month[key];
+    byMonth.set(month.month, acc);
+  });
+  return { months: [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month)), rejected };
+}
+
+// ---------------- Variance ----------------
+function compare(projected, actual) {
+  if (actual === null || !Number.isFinite(projected)) return { projected: Number.isFinite(projected) ? projected : null, actual, variance: null, pct: null };
+  const variance = actual - projected;
+  return { projected, actual, variance, pct: projected > 0 ? variance / projected : null };
+}
+
+/**
+ * Projected vs actual for each month and in total. Totals only count months
+ * where that figure was entered, so a missing month does not read as a miss.
+ * Returns { months: [{ month, metrics: { key: { projected, actual, variance, pct } } }],
+ * totals: { key: { projected, actual, variance, pct, months } } }.
+ */
+export function actualsVariance(out, actuals) {
+  const months = actuals.map((a) => ({
+    month: a.month,
+    metrics: Object.fromEntries(ACTUAL_METRICS.map((m) => [m.key, compare(out[m.projected], a[m.key])])),
+  }));
+  const totals = Object.fromEntries(ACTUAL_METRICS.map((m) => {
+    const entered = actuals.filter((a) => a[m.key] !== null);
+    const actual = entered.length ? entered.reduce((s, a) => s + a[m.key], 0) : null;
+    return [m.key, { ...compare(out[m.projected] * entered.length, actual), months: entered.length }];
+  }));
+  return { months, totals };
+}
+
+// Sum of num / sum of den over months that have both; null without data
+function realized(actuals, num, den) {
+  const both = actuals.filter((a) => a[num] !== null && a[den] !== null);
+  const d = both.reduce((s, a) => s + a[den], 0);
+  return d > 0 ? both.reduce((s, a) => s + a[num], 0) / d : null;
+}
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+
+/**
+ * Realized rates vs the projection's: CPL (spend / leads), appointment rate
+ * (appts / leads, through any extra stages), close rate (closed / appts) and
+ * revenue per closed client. Each is { projected, actual }.
+ */
+export function realizedRates(out, actuals) {
+  return {
+    cpl: { projected: ratio(out.pixelBudget, out.pixelLeads), actual: realized(actuals, "spend", "leads") },
+    apptRate: { projected: ratio(out.pixelAppts, out.pixelLeads), actual: realized(actuals, "appts", "leads") },
+    closeRate: { projected: ratio(out.pixelClosed, out.pixelAppts), actual: realized(actuals, "closed", "appts") },
+    acv: { projected: out.acv ?? null, actual: realized(actuals, "revenue", "closed") },
+  };
+}
+
+// Channels that carried budget in the saved projection (older saves: a spend share)
+function fundedChannels(state, out) {
+  if (Array.isArray(out.channels)) return out.channels.filter((ch) => ch.pixelBudget > 0).map((ch) => ch.id);
+  return CHANNEL_TABLE.filter((c) => state.mix[c.id].share > 0).map((c) => c.id);
+}
+
+/**
+ * Assumption updates that would have projected the realized CPL. Pixel CPL
+ * scales linearly with both the metro multiplier and the channel baselines, so
+ * either one absorbs the whole gap (pick one, not both):
+ * - metro: { city, saved, current, suggested } for the metro table: the saved
+ *   multiplier scaled by the realized CPL, next to the table's current one, which
+ *   may have been edited since (null when the metro is no longer in the table,
+ *   the saved outputs have no multiplier or the result falls outside METRO_LIMITS)
+ * - baselines: { scale, channels: [{ id, label, saved, suggested }] } for the
+ *   channels that ran, as new default baseline CPLs (out-of-range ones left out)
+ * Returns null until actuals have both spend and leads.
+ */
+export function calibrate(state, out, actuals, table = CITY_TABLE) {
+  const { cpl } = realizedRates(out, actuals);
+  if (cpl.actual === null || !cpl.projected) return null;
+  const scale = cpl.actual / cpl.projected;
+
+  const [min, max] = METRO_LIMITS.mult;
+  const row = table.find((m) => m.city === state.city);
+  const suggested = row && Number.isFinite(out.metroMult) ? Math.round(out.metroMult * scale * 100) / 100 : null;
+  const metro = suggested !== null && suggested >= min && suggested <= max ? { city: state.city, saved: out.metroMult, current: row.mult, suggested } : null;
+
+  const ran = fundedChannels(state, out);
+  const channels = CHANNEL_TABLE.filter((c) => ran.includes(c.id))
+    .map((c) => ({ id: c.id, label: c.label, saved: state.mix[c.id].baseCpl, suggested: Math.round(state.mix[c.id].baseCpl * scale * 100) / 100 }))
+    .filter((ch) => ch.suggested >= BASE_CPL_RANGE[0] && ch.suggested <= BASE_CPL_RANGE[1]);
+  return { scale, metro, baselines: { scale, channels } };
+}
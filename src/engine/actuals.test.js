@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, applyBaselineOverrides, defaultInputsFor, project, resolveInputs, validateBaselineOverride } from "./projection.js";
+import { applyMetroOverrides } from "./metros.js";
+import { decodeScenario } from "./scenarioParams.js";
+import { createScenario, parseScenarioFile, serializeScenarios, setScenarioActuals } from "./scenarios.js";
+import { actualsVariance, calibrate, mergeActuals, monthOf, parseActualsCsv, realizedRates, validateActualMonth } from "./actuals.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+
+const state = resolveInputs(DEFAULT_INPUTS);
+const out = project(state);
+const month = (m, fields) => validateActualMonth({ month: m, ...fields }).month;
+
+test("months and figures are validated; blanks are untracked", () => {
+  assert.equal(monthOf("2026-3"), "2026-03");
+  assert.equal(monthOf("2026-03-31"), "2026-03");
+  assert.equal(monthOf("3/15/2026"), "2026-03");
+  assert.equal(monthOf("2026-13"), null);
+  assert.equal(monthOf("March"), null);
+  assert.deepEqual(month("2026-03", { spend: "$1,500.50", leads: 80, appts: "" }), { month: "2026-03", spend: 1500.5, leads: 80, appts: null, closed: null, revenue: null });
+  assert.match(validateActualMonth({ month: "2026-03", leads: -1 }).error, /leads "-1"/);
+  assert.match(validateActualMonth({ month: "soon" }).error, /not YYYY-MM/);
+  assert.deepEqual(mergeActuals([month("2026-04", {}), month("2026-02", { leads: 1 })], [month("2026-02", { leads: 2 })]).map((a) => [a.month, a.leads]), [["2026-02", 2], ["2026-04", null]]);
+});
+
+test("ad-platform exports are summed per month", () => {
+  const csv = [
+    "Reporting starts,Campaign name,Amount spent (USD),Results",
+    "2026-03-01,Sellers,\"$700.00\",40",
+    "2026-03-15,Buyers,800,45",
+    "04/02/2026,Sellers,1500,70",
+    "bad date,Sellers,10,1",
+  ].join("\n");
+  const { months, rejected } = parseActualsCsv(csv);
+  assert.deepEqual(months, [
+    { month: "2026-03", spend: 1500, leads: 85, appts: null, closed: null, revenue: null },
+    { month: "2026-04", spend: 1500, leads: 70, appts: null, closed: null, revenue: null },
+  ]);
+  assert.deepEqual(rejected, [{ row: 4, error: 'month "bad date" is not YYYY-MM' }]);
+  assert.throws(() => parseActualsCsv("Campaign,Cost\nA,10"), /No month or date column/);
+});
+
+test("variance compares each stage with the Pixel projection", () => {
+  const actuals = [
+    month("2026-03", { spend: 1500, leads: 100, appts: 15, closed: 3, revenue: 52500 }),
+    month("2026-04", { spend: 1500, leads: 60 }),
+  ];
+  const { months, totals } = actualsVariance(out, actuals);
+  approx(months[0].metrics.leads.variance, 100 - out.pixelLeads);
+  approx(months[0].metrics.leads.pct, (100 - out.pixelLeads) / out.pixelLeads);
+  assert.equal(months[1].metrics.appts.actual, null);
+  assert.equal(months[1].metrics.appts.variance, null);
+  // totals only count months where the figure was tracked
+  assert.equal(totals.leads.months, 2);
+  approx(totals.leads.projected, out.pixelLeads * 2);
+  assert.equal(totals.appts.months, 1);
+  approx(totals.appts.projected, out.pixelAppts);
+  approx(totals.spend.variance, 0);
+});
+
+test("realized rates and calibration back out of the totals", () => {
+  const actuals = [
+    month("2026-03", { spend: 1500, leads: 50, appts: 10, closed: 2, revenue: 35000 }),
+    month("2026-04", { spend: 1500, leads: 50, appts: 5 }),
+  ];
+  const rates = realizedRates(out, actuals);
+  approx(rates.cpl.actual, 30);
+  approx(rates.cpl.projected, out.pixelCpl);
+  approx(rates.apptRate.actual, 0.15);
+  approx(rates.closeRate.actual, 0.2); // only March has both appts and closings
+  approx(rates.acv.actual, 17500);
+
+  const cal = calibrate(state, out, actuals);
+  approx(cal.scale, 30 / out.pixelCpl);
+  const suggested = Math.round(1.35 * cal.scale * 100) / 100;
+  assert.deepEqual(cal.metro, { city: state.city, saved: 1.35, current: 1.35, suggested });
+  // a metro edited since the save shows its current multiplier; the suggestion still scales the saved one
+  const edited = applyMetroOverrides([{ city: state.city, mult: 1.5, avg: 700000, asOf: "2026-04-01" }]);
+  assert.deepEqual(calibrate(state, out, actuals, edited).metro, { city: state.city, saved: 1.35, current: 1.5, suggested });
+  assert.equal(calibrate({ ...state, city: "Boise, ID" }, out, actuals).metro, null); // not in the table
+  // only channels that ran are calibrated (the default mix is all Meta)
+  assert.deepEqual(cal.baselines.channels, [{ id: "meta", label: "Meta (FB/IG)", saved: 16, suggested: Math.round(16 * cal.scale * 100) / 100 }]);
+
+  assert.equal(calibrate(state, out, [month("2026-03", { leads: 50 })]), null);
+  assert.equal(calibrate(state, out, [month("2026-03", { spend: 100000, leads: 1 })]).metro, null); // beyond METRO_LIMITS
+});
+
+test("calibrated baselines become the defaults new scenarios start from", () => {
+  const actuals = [month("2026-03", { spend: 1500, leads: 50 })];
+  const { baselines } = calibrate(state, out, actuals);
+  const overrides = baselines.channels.map((ch) => validateBaselineOverride({ id: ch.id, baseCpl: ch.suggested, asOf: "2026-04-01" }));
+  const channels = applyBaselineOverrides(overrides);
+  assert.equal(channels[0].asOf, "2026-04-01");
+  assert.equal(channels[1].baseCpl, 85); // Google did not run: built-in kept
+  const defaults = defaultInputsFor(channels);
+  assert.equal(DEFAULT_INPUTS.mix.meta.baseCpl, 16);
+
+  // a new scenario (or a link that leaves the CPL out) reproduces the realized CPL, to rounding
+  approx(project(resolveInputs({}, defaults)).pixelCpl, 30, 0.05);
+  approx(project(decodeScenario("spend=1000", undefined, defaults).state).pixelCpl, 30, 0.05);
+  // explicit CPLs still win
+  assert.equal(resolveInputs({ mix: { meta: { baseCpl: 20 } } }, defaults).mix.meta.baseCpl, 20);
+
+  assert.equal(validateBaselineOverride({ id: "tiktok", baseCpl: 10 }), null);
+  assert.equal(validateBaselineOverride({ id: "meta", baseCpl: 0 }), null);
+});
+
+test("actuals are saved on a scenario and survive export/import", () => {
+  const saved = createScenario("Signed", state, out);
+  const actuals = [month("2026-03", { spend: 1500, leads: 90 })];
+  const [withActuals] = setScenarioActuals([saved], saved.id, actuals);
+  assert.deepEqual(withActuals.actuals, actuals);
+  assert.equal("actuals" in setScenarioActuals([withActuals], saved.id, [])[0], false);
+
+  const file = JSON.parse(serializeScenarios([withActuals]));
+  file.scenarios[0].actuals.push({ month: "nope" }, { month: "2026-02", leads: "12" });
+  const { scenarios } = parseScenarioFile(JSON.stringify(file));
+  assert.deepEqual(scenarios[0].actuals.map((a) => [a.month, a.leads]), [["2026-02", 12], ["2026-03", 90]]);
+});
@@ -0,0 +1,120 @@
+/**
+ * Audience view — what the screen-shared second window shows in presenter mode.
+ *
+ * The presenter keeps the full calculator; the audience window only receives a
+ * pre-formatted view built from the Prospect Summary (./summary.js) and the
+ * stats and panels the presenter picked. Assumptions such as baseline CPLs or the
+ * efficiency uplift never cross the channel unless a selected stat shows them.
+ *
+ * Windows talk over a BroadcastChannel named AUDIENCE_CHANNEL:
+ * - presenter -> audience: { type: "view", view }, { type: "ping" } (asks audiences to announce)
+ * - audience -> presenter: { type: "hello", id }, { type: "bye", id }
+ */
+import { CHANNEL_TABLE } from "./projection.js";
+import { NET_ROWS, SUMMARY_ROWS, describeBreakEven, formatValue } from "./summary.js";
+
+export const AUDIENCE_CHANNEL = "pixel.audience.v1";
+
+// Headline stats. `sides` stats show competitor vs Pixel; `net` ones need fees (summary.net_roi).
+export const AUDIENCE_STATS = [
+  { key: "leads", label: "Leads / mo", format: "count1", sides: true },
+  { key: "appts", label: "Appointments / mo", format: "count1", sides: true },
+  { key: "closed", label: "Closed clients / mo", format: "count2", sides: true },
+  { key: "revenue", label: "Revenue / mo", format: "money", sides: true },
+  { key: "cpl", label: "Cost per lead", format: "money", sides: true },
+  { key: "cpa", label: "Cost per appointment", format: "money", sides: true },
+  { key: "delta_revenue", label: "Extra revenue with Pixel / mo", format: "money" },
+  { key: "cost_of_waiting", label: "Cost of waiting 30 days", format: "money" },
+  { key: "net_profit", label: "Net profit / mo", format: "money", sides: true, net: true },
+  { key: "roas", label: "ROAS", format: "ratio", sides: true, net: true },
+];
+
+const rowsFrom = (list, competitor, pixel) => list.map((r) => ({
+  label: r.label,
+  competitor: formatValue(competitor[r.key], r.format),
+  pixel: formatValue(pixel[r.key], r.format),
+}));
+
+// build(summary) -> { rows: [{ label, competitor, pixel }], notes: [string] } or null to skip
+export const AUDIENCE_PANELS = [
+  {
+    key: "roi",
+    title: "ROI Snapshot",
+    build: (s) => ({
+      rows: rowsFrom(SUMMARY_ROWS.filter((r) => ["appts", "closed", "revenue"].includes(r.key)), s.competitor, s.pixel),
+      notes: [
+        `Extra revenue with Pixel: ${formatValue(s.delta_revenue, "money")} / mo`,
+        `Cost of waiting 30 days: ${formatValue(s.cost_of_waiting, "money")}`,
+      ],
+    }),
+  },
+  {
+    key: "net",
+    title: "Net of Fees",
+    build: (s) => (s.net_roi
+      ? { rows: rowsFrom(NET_ROWS, s.net_roi.competitor, s.net_roi.pixel), notes: [describeBreakEven(s.net_roi.break_even)] }
+      : null),
+  },
+  {
+    key: "channels",
+    title: "By Channel",
+    build: (s) => {
+      const channels = Object.entries(s.channels);
+      if (channels.length < 2) return null;
+      const label = (id) => (CHANNEL_TABLE.find((c) => c.id === id) || { label: id }).label;
+      return {
+        rows: channels.flatMap(([id, ch]) => [
+          { label: `${label(id)}: appointments`, competitor: formatValue(ch.competitor.appts, "count1"), pixel: formatValue(ch.pixel.appts, "count1") },
+          { label: `${label(id)}: revenue`, competitor: formatValue(ch.competitor.revenue, "money"), pixel: formatValue(ch.pixel.revenue, "money") },
+        ]),
+        notes: [],
+      };
+    },
+  },
+];
+
+export const DEFAULT_AUDIENCE = { stats: ["closed", "revenue", "delta_revenue"], panels: ["roi"] };
+
+// Drop unknown keys (stored selections from older versions) and keep catalog order
+export function normalizeAudienceSelection(selection = {}) {
+  const pick = (catalog, keys) => (Array.isArray(keys) ? catalog.map((x) => x.key).filter((k) => keys.includes(k)) : null);
+  return {
+    stats: pick(AUDIENCE_STATS, selection.stats) || DEFAULT_AUDIENCE.stats,
+    panels: pick(AUDIENCE_PANELS, selection.panels) || DEFAULT_AUDIENCE.panels,
+  };
+}
+
+/**
+ * Audience payload for a Prospect Summary and a selection: plain strings only.
+ * Returns { city, channelMix, stats: [{ key, label, value } | { key, label, competitor, pixel }],
+ * panels: [{ key, title, rows, notes }] }. Net stats and panels are left out when
+ * the summary has no net_roi block; the channel panel needs two or more channels.
+ */
+export function buildAudienceView(summary, selection = DEFAULT_AUDIENCE) {
+  const { stats, panels } = normalizeAudienceSelection(selection);
+  return {
+    city: summary.city,
+    channelMix: summary.channel_mix,
+    stats: AUDIENCE_STATS.filter((st) => stats.includes(st.key) && (!st.net || summary.net_roi)).map((st) => {
+      if (!st.sides) return { key: st.key, label: st.label, value: formatValue(summary[st.key], st.format) };
+      const src = st.net ? summary.net_roi : summary;
+      return { key: st.key, label: st.label, competitor: formatValue(src.competitor[st.key], st.format), pixel: formatValue(src.pixel[st.key], st.format) };
+    }),
+    panels: AUDIENCE_PANELS.filter((p) => panels.includes(p.key))
+      .map((p) => {
+        const built = p.build(summary);
+        return built && { key: p.key, title: p.title, ...built };
+      })
+      .filter(Boolean),
+  };
+}
+
+const MESSAGE_TYPES = ["view", "ping", "hello", "bye"];
+
+// Guards the channel against stray or malformed messages
+export function isAudienceMessage(data) {
+  if (!data || typeof data !== "object" || !MESSAGE_TYPES.includes(data.type)) return false;
+  if (data.type === "view") return !!data.view && typeof data.view === "object" && Array.isArray(data.view.stats) && Array.isArray(data.view.panels);
+  if (data.type === "hello" || data.type === "bye") return typeof data.id === "string";
+  return true;
+}
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, project } from "./projection.js";
+import { projectRoi } from "./roi.js";
+import { buildSummary } from "./summary.js";
+import { DEFAULT_AUDIENCE, buildAudienceView, isAudienceMessage, normalizeAudienceSelection } from "./audience.js";
+
+const mixed = {
+  ...DEFAULT_INPUTS,
+  mix: { ...DEFAULT_INPUTS.mix, meta: { ...DEFAULT_INPUTS.mix.meta, share: 0.6 }, google: { ...DEFAULT_INPUTS.mix.google, share: 0.4 } },
+};
+
+test("default view carries only the selected stats and panels", () => {
+  const v = buildAudienceView(buildSummary(DEFAULT_INPUTS, project()));
+  assert.equal(v.city, "New York, NY");
+  assert.deepEqual(v.stats.map((s) => s.key), DEFAULT_AUDIENCE.stats);
+  assert.deepEqual(v.stats[0], { key: "closed", label: "Closed clients / mo", competitor: "2.31", pixel: "4.08" });
+  assert.equal(v.stats[2].value, "$30,977.67");
+  assert.deepEqual(v.panels.map((p) => p.key), ["roi"]);
+  assert.equal(v.panels[0].rows.length, 3);
+  // assumptions stay on the presenter's screen
+  const json = JSON.stringify(v);
+  assert.doesNotMatch(json, /efficiency|base_cpl|commission|21\.60/i);
+});
+
+test("net and channel items appear only when they have data", () => {
+  const selection = { stats: ["net_profit", "roas", "cpl"], panels: ["net", "channels"] };
+  const gross = buildAudienceView(buildSummary(DEFAULT_INPUTS, project()), selection);
+  assert.deepEqual(gross.stats.map((s) => s.key), ["cpl"]);
+  assert.deepEqual(gross.panels, []);
+
+  const full = buildAudienceView(buildSummary(mixed, project(mixed), { roi: projectRoi(mixed) }), selection);
+  assert.deepEqual(full.stats.map((s) => s.key), ["cpl", "net_profit", "roas"]);
+  assert.deepEqual(full.panels.map((p) => p.key), ["net", "channels"]);
+  assert.match(full.panels[0].notes[0], /^Pixel nets more/);
+  assert.equal(full.panels[1].rows[0].label, "Meta (FB/IG): appointments");
+});
+
+test("selection and messages are validated", () => {
+  assert.deepEqual(normalizeAudienceSelection({ stats: ["revenue", "nope", "leads"], panels: "roi" }), { stats: ["leads", "revenue"], panels: DEFAULT_AUDIENCE.panels });
+  assert.deepEqual(normalizeAudienceSelection(), DEFAULT_AUDIENCE);
+
+  assert.ok(isAudienceMessage({ type: "view", view: { stats: [], panels: [] } }));
+  assert.ok(isAudienceMessage({ type: "hello", id: "a1" }));
+  assert.ok(isAudienceMessage({ type: "ping" }));
+  assert.ok(!isAudienceMessage({ type: "view", view: null }));
+  assert.ok(!isAudienceMessage({ type: "bye" }));
+  assert.ok(!isAudienceMessage("view"));
+  assert.ok(!isAudienceMessage({ type: "eval" }));
+});
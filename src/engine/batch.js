@@ -0,0 +1,145 @@
+/**
+ * Batch projections for a list of prospects (used by scripts/project-batch.js).
+ *
+ * Each record is a plain object of CSV cells. Recognized columns map onto
+ * projection inputs; blank cells take DEFAULT_INPUTS; every other column
+ * (prospect name, phone, notes...) is passed through untouched.
+ * Channel-mix columns are generated from CHANNEL_TABLE (meta_share, google_cpl...);
+ * the single-channel columns (channel, apptRate, baseMeta, baseGoogle) still work.
+ */
+import { CHANNEL_TABLE, CITY_TABLE, describeMix, project, resolveInputs } from "./projection.js";
+
+// CSV header (case-insensitive) -> projection input key
+const COLUMN_ALIASES = {
+  metro: "city",
+  city: "city",
+  channel: "channel",
+  spend: "spend",
+  pmc: "pmc",
+  gpc: "gpc",
+  apptrate: "apptRate",
+  appt_rate: "apptRate",
+  closerate: "closeRate",
+  close_rate: "closeRate",
+  uplift: "uplift",
+  commissionrate: "commissionRate",
+  commission_rate: "commissionRate",
+  basemeta: "baseMeta",
+  base_meta_cpl: "baseMeta",
+  basegoogle: "baseGoogle",
+  base_google_cpl: "baseGoogle",
+  fundedcap: "fundedCap",
+  funded_cap: "fundedCap",
+  fundedsplit: "fundedSplit",
+  funded_split: "fundedSplit",
+};
+
+// Per-channel columns: <id>_share, <id>_cpl, <id>_appt_rate, <id>_funded_share (underscores optional)
+const CHANNEL_COLUMNS = { share: "share", cpl: "baseCpl", appt_rate: "apptRate", funded_share: "fundedShare" };
+for (const c of CHANNEL_TABLE) {
+  for (const [suffix, field] of Object.entries(CHANNEL_COLUMNS)) {
+    const key = `mix:${c.id}:${field}`;
+    COLUMN_ALIASES[`${c.id}_${suffix}`] = key;
+    COLUMN_ALIASES[`${c.id}${suffix.replace(/_/g, "")}`] = key;
+  }
+}
+
+// Per-channel outputs, flattened to <id>Spend, <id>PixelLeads...
+const CHANNEL_OUTPUTS = ["spend", "funded", "pixelLeads", "pixelAppts", "pixelRevenue", "competitorRevenue"];
+const channelColumn = (id, key) => `${id}${key[0].toUpperCase()}${key.slice(1)}`;
+
+// Output columns appended after the pass-through columns
+export const OUTPUT_COLUMNS = [
+  "city", "channelMix", "spend", "funded", "pixelBudget",
+  "competitorCpl", "pixelCpl", "competitorLeads", "pixelLeads",
+  "competitorAppts", "pixelAppts", "competitorCpa", "pixelCpa",
+  "competitorClosed", "pixelClosed", "acv", "competitorRevenue", "pixelRevenue", "deltaRevenue",
+  ...CHANNEL_TABLE.flatMap((c) => CHANNEL_OUTPUTS.map((k) => channelColumn(c.id, k))),
+];
+
+function inputKeyFor(col) {
+  const k = col.trim().toLowerCase();
+  return Object.hasOwn(COLUMN_ALIASES, k) ? COLUMN_ALIASES[k] : null;
+}
+
+export function isInputColumn(col) {
+  return inputKeyFor(col) !== null;
+}
+
+// Accepts "1000", "$1,000", "20%" (-> 0.2). Returns NaN when not numeric.
+export function parseNumberCell(raw) {
+  const s = String(raw).trim().replace(/[$,\s]/g, "");
+  if (s === "") return NaN;
+  if (s.endsWith("%")) return Number(s.slice(0, -1)) / 100;
+  return Number(s);
+}
+
+// Map one record to projection inputs. Returns { inputs, extra, errors }.
+export function recordToInputs(record) {
+  const inputs = {};
+  const extra = {};
+  const errors = [];
+
+  for (const [col, raw] of Object.entries(record)) {
+    const key = inputKeyFor(col);
+    if (!key) {
+      extra[col] = raw;
+      continue;
+    }
+    if (String(raw).trim() === "") continue;
+
+    if (key === "city") {
+      inputs.city = String(raw).trim();
+    } else if (key === "channel") {
+      const ch = String(raw).trim().toLowerCase();
+      if (CHANNEL_TABLE.some((c) => c.id === ch)) inputs.channel = ch;
+      else errors.push(`${col}: expected ${CHANNEL_TABLE.map((c) => `'${c.id}'`).join(" or ")}, got '${raw}'`);
+    } else if (key === "fundedSplit") {
+      const v = String(raw).trim().toLowerCase();
+      if (v === "spend" || v === "custom") inputs.fundedSplit = v;
+      else errors.push(`${col}: expected 'spend' or 'custom', got '${raw}'`);
+    } else {
+      const n = parseNumberCell(raw);
+      if (!Number.isFinite(n)) {
+        errors.push(`${col}: '${raw}' is not a number`);
+      } else if (key.startsWith("mix:")) {
+        const [, id, field] = key.split(":");
+        inputs.mix = inputs.mix || {};
+        inputs.mix[id] = { ...inputs.mix[id], [field]: n };
+      } else {
+        inputs[key] = n;
+      }
+    }
+  }
+
+  return { inputs, extra, errors };
+}
+
+// Project every record. Rows with errors are reported in `rejected`; metros missing
+// from the table are projected with the fallback and listed in `warnings`.
+// Row numbers are 1-based data rows (header excluded).
+export function projectRecords(records, table = CITY_TABLE) {
+  const rows = [];
+  const rejected = [];
+  const warnings = [];
+
+  records.forEach((record, i) => {
+    const { inputs, extra, errors } = recordToInputs(record);
+    if (errors.length) {
+      rejected.push({ row: i + 1, errors });
+      return;
+    }
+    const resolved = resolveInputs(inputs);
+    if (!table.some((c) => c.city === resolved.city)) {
+      warnings.push({ row: i + 1, message: `unknown metro '${resolved.city}', using fallback multiplier and avg price` });
+    }
+    const { channels, ...out } = project(resolved, table);
+    const perChannel = {};
+    for (const ch of channels) {
+      for (const k of CHANNEL_OUTPUTS) perChannel[channelColumn(ch.id, k)] = ch[k];
+    }
+    rows.push({ ...extra, city: resolved.city, channelMix: describeMix(resolved.mix), spend: resolved.spend, ...out, ...perChannel });
+  });
+
+  return { rows, rejected, warnings };
+}
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseCsvObjects, toCsv } from "./csv.js";
+import { isInputColumn, parseNumberCell, projectRecords, recordToInputs } from "./batch.js";
+import { project } from "./projection.js";
+
+test("parseCsv handles quotes, escaped quotes, CRLF and blank lines", () => {
+  const rows = parseCsv('a,b,c\r\n"Austin, TX","say ""hi""",3\r\n\r\nx,,z\n');
+  assert.deepEqual(rows, [
+    ["a", "b", "c"],
+    ["Austin, TX", 'say "hi"', "3"],
+    ["x", "", "z"],
+  ]);
+});
+
+test("parseCsvObjects keys by header and strips a BOM", () => {
+  const recs = parseCsvObjects("\uFEFFname, metro\nAcme,Denver\nSolo");
+  assert.deepEqual(recs, [{ name: "Acme", metro: "Denver" }, { name: "Solo", metro: "" }]);
+});
+
+test("toCsv round-trips through parseCsv", () => {
+  const rows = [{ a: "Miami, FL", b: 'q"t', c: 1.5 }, { a: "", b: null, c: 0 }];
+  const text = toCsv(rows);
+  assert.deepEqual(parseCsvObjects(text), [{ a: "Miami, FL", b: 'q"t', c: "1.5" }, { a: "", b: "", c: "0" }]);
+});
+
+test("parseNumberCell accepts money and percents", () => {
+  assert.equal(parseNumberCell("$1,500"), 1500);
+  assert.equal(parseNumberCell("20%"), 0.2);
+  assert.equal(parseNumberCell(" 0.25 "), 0.25);
+  assert.ok(Number.isNaN(parseNumberCell("")));
+  assert.ok(Number.isNaN(parseNumberCell("lots")));
+});
+
+test("recordToInputs maps aliases and keeps extra columns", () => {
+  const { inputs, extra, errors } = recordToInputs({ Name: "Acme", Metro: "Austin, TX", Channel: "Google", Spend: "$2,000", appt_rate: "27%", pmc: "" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(extra, { Name: "Acme" });
+  assert.deepEqual(inputs, { city: "Austin, TX", channel: "google", spend: 2000, apptRate: 0.27 });
+  assert.ok(isInputColumn(" closeRate "));
+  assert.ok(!isInputColumn("constructor"));
+});
+
+test("projectRecords matches project() and reports bad rows", () => {
+  const records = parseCsvObjects([
+    "prospect,metro,channel,spend,pmc,gpc,apptRate,closeRate",
+    "Acme,\"Austin, TX\",meta,1000,500,0,0.2,0.25",
+    "Bad,Denver,tiktok,1000,,,,",
+    "Typo,\"Denver, CO\",meta,ten,,,,",
+    "Rural,\"Smallville, KS\",google,,,,,",
+  ].join("\n"));
+
+  const { rows, rejected, warnings } = projectRecords(records);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].prospect, "Acme");
+  assert.deepEqual(rows[0].pixelRevenue, project({ city: "Austin, TX", spend: 1000, pmc: 500, gpc: 0 }).pixelRevenue);
+  assert.equal(rows[1].metroAvg, 350000);
+  assert.equal(rows[1].spend, 1000);
+
+  assert.deepEqual(rejected.map((r) => r.row), [2, 3]);
+  assert.match(rejected[0].errors[0], /tiktok/);
+  assert.match(rejected[1].errors[0], /not a number/);
+  assert.deepEqual(warnings.map((w) => w.row), [4]);
+});
+
+test("channel-mix columns build a blended projection", () => {
+  const [rec] = parseCsvObjects("metro,spend,meta_share,google_share,google_cpl,googleApptRate\n\"Houston, TX\",1000,60%,40%,100,0.3\n");
+  const { inputs, errors } = recordToInputs(rec);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(inputs.mix, { meta: { share: 0.6 }, google: { share: 0.4, baseCpl: 100, apptRate: 0.3 } });
+
+  const { rows } = projectRecords([rec]);
+  assert.equal(rows[0].channelMix, "Meta (FB/IG) 60% / Google Search 40%");
+  assert.equal(rows[0].metaSpend, 600);
+  assert.equal(rows[0].googleSpend, 400);
+  assert.equal(rows[0].channels, undefined);
+  assert.equal(rows[0].pixelRevenue, rows[0].metaPixelRevenue + rows[0].googlePixelRevenue);
+});
@@ -0,0 +1,168 @@
+/**
+ * Named competitor profiles — a library of rival vendors to compare Pixel
+ * against, next to the scenario's generic "Competitor" (baseline CPL, the
+ * competitor fees in the Fees editor).
+ *
+ * A profile is a flat row: { id, name, cplEfficiency, monthly, pctOfSpend,
+ * setup, contractMonths, minSpend, apptRateAdj, closeRateAdj, asOf }.
+ * - cplEfficiency: CPL vs the channel baselines, like Pixel's uplift
+ *   (0.1 = 10% lower CPL, -0.2 = 20% higher).
+ * - apptRateAdj / closeRateAdj: relative change to the scenario's rates
+ *   (-0.25 = a quarter fewer bookings); adjusted rates are capped at 100%.
+ * - minSpend: the vendor's minimum monthly ad spend; a client below it is
+ *   projected (and charged) at the minimum.
+ * - monthly, pctOfSpend, setup, contractMonths: fees and contract terms, as
+ *   in the Fees editor.
+ * The library is JSON-exportable so the sales team can share one set.
+ */
+import { CITY_TABLE, project, resolveInputs } from "./projection.js";
+import { sideRoi } from "./roi.js";
+import { todayIso } from "./metros.js";
+
+// Inclusive [min, max]
+export const COMPETITOR_LIMITS = {
+  cplEfficiency: [-1, 0.9],
+  monthly: [0, 100000],
+  pctOfSpend: [0, 1],
+  setup: [0, 100000],
+  contractMonths: [1, 60],
+  minSpend: [0, 1000000],
+  apptRateAdj: [-1, 2],
+  closeRateAdj: [-1, 2],
+};
+
+export const COMPETITOR_FIELDS = Object.keys(COMPETITOR_LIMITS);
+
+// Starting library: archetypes to edit or replace with real vendors
+export const DEFAULT_COMPETITORS = [
+  { id: "generic-agency", name: "Generic agency", cplEfficiency: 0, monthly: 500, pctOfSpend: 0, setup: 0, contractMonths: 12, minSpend: 0, apptRateAdj: 0, closeRateAdj: 0, asOf: "2026-10-19" },
+  { id: "lead-marketplace", name: "Shared-lead marketplace", cplEfficiency: 0.2, monthly: 0, pctOfSpend: 0.3, setup: 0, contractMonths: 1, minSpend: 1500, apptRateAdj: -0.4, closeRateAdj: -0.2, asOf: "2026-10-19" },
+  { id: "premium-agency", name: "Premium agency", cplEfficiency: 0.1, monthly: 2000, pctOfSpend: 0.1, setup: 1500, contractMonths: 6, minSpend: 3000, apptRateAdj: 0.1, closeRateAdj: 0, asOf: "2026-10-19" },
+];
+
+export function slugify(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+}
+
+// Validates one profile (strings allowed for numbers, e.g. "$500").
+// Returns { competitor } or { error }. Missing numbers default to 0 (contract to
+// 12 months); a missing id is derived from the name, a missing asOf is `defaultAsOf`.
+export function validateCompetitor(raw, defaultAsOf = todayIso()) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "not a profile" };
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return { error: "missing name" };
+  const id = slugify(raw.id ?? name);
+  if (!id) return { error: `"${name}" needs an id with letters or digits` };
+
+  const competitor = { id, name };
+  for (const [key, [min, max]] of Object.entries(COMPETITOR_LIMITS)) {
+    const given = raw[key] !== undefined && raw[key] !== null && raw[key] !== "";
+    const n = !given ? (key === "contractMonths" ? 12 : 0) : typeof raw[key] === "number" ? raw[key] : Number(String(raw[key]).replace(/[$,\s]/g, ""));
+    if (!Number.isFinite(n)) return { error: `${key} is not a number` };
+    if (n < min || n > max) return { error: `${key} ${n} is outside ${min}–${max}` };
+    competitor[key] = key === "contractMonths" ? Math.round(n) : n;
+  }
+
+  const asOf = raw.asOf === undefined || raw.asOf === "" ? defaultAsOf : String(raw.asOf).trim();
+  if (!isIsoDate(asOf)) return { error: `as-of date "${raw.asOf}" is not YYYY-MM-DD` };
+  competitor.asOf = asOf;
+
+  return { competitor };
+}
+
+// ---------------- Library edits ----------------
+export function upsertCompetitor(library, competitor) {
+  const i = library.findIndex((c) => c.id === competitor.id);
+  if (i < 0) return [...library, competitor];
+  return library.map((c, j) => (j === i ? competitor : c));
+}
+
+export function removeCompetitor(library, id) {
+  return library.filter((c) => c.id !== id);
+}
+
+// Imported profiles replace library entries with the same id and add the rest
+export function mergeImportedCompetitors(library, competitors) {
+  return competitors.reduce(upsertCompetitor, library);
+}
+
+// ---------------- Import / export ----------------
+// JSON: an array, or { competitors: [...] } as exported. Duplicate ids: the last
+// one wins. Returns { competitors, rejected: [{ row, name, error }] }; row is 1-based.
+export function parseCompetitorFile(text, defaultAsOf = todayIso()) {
+  const data = JSON.parse(String(text).trim());
+  const rows = Array.isArray(data) ? data : data && data.competitors;
+  if (!Array.isArray(rows)) throw new Error("No competitor profiles found in file.");
+
+  const byId = new Map();
+  const rejected = [];
+  rows.forEach((raw, i) => {
+    const { competitor, error } = validateCompetitor(raw, defaultAsOf);
+    if (competitor) byId.set(competitor.id, competitor);
+    else rejected.push({ row: i + 1, name: raw && typeof raw === "object" ? String(raw.name ?? "") : "", error });
+  });
+  return { competitors: [...byId.values()], rejected };
+}
+
+export function competitorsToJson(library, now = new Date()) {
+  return JSON.stringify({ exportedAt: now.toISOString(), competitors: library }, null, 2);
+}
+
+// ---------------- Projection ----------------
+const capRate = (rate, adj) => Math.min(1, Math.max(0, rate * (1 + adj)));
+
+/**
+ * One named competitor on the scenario's metro, channel mix and funnel:
+ * baseline CPLs scaled by its efficiency, its rate adjustments, its fees and
+ * its minimum spend (client spend only; funded media is Pixel's).
+ * Returns { id, name, spend, minSpendApplied, cpl, leads, appts, cpa, closed,
+ * revenue, net, deltaRevenue, deltaNetProfit } where net is sideRoi() output
+ * and the deltas are Pixel minus this competitor.
+ */
+export function projectCompetitor(inputs, competitor, table = CITY_TABLE, pixel = null) {
+  const resolved = resolveInputs(inputs);
+  const clientSpend = Math.max(0, resolved.spend);
+  const spend = Math.max(clientSpend, competitor.minSpend);
+  const mix = Object.fromEntries(Object.entries(resolved.mix).map(([id, m]) => [id, {
+    ...m,
+    baseCpl: m.baseCpl * (1 - competitor.cplEfficiency),
+    apptRate: capRate(m.apptRate, competitor.apptRateAdj),
+  }]));
+  const out = project({ ...resolved, spend, mix, closeRate: capRate(resolved.closeRate, competitor.closeRateAdj) }, table);
+  const fee = { monthly: competitor.monthly, pctOfSpend: competitor.pctOfSpend, setup: competitor.setup, contractMonths: competitor.contractMonths };
+  const net = sideRoi({ revenue: out.competitorRevenue, closed: out.competitorClosed, spend, fee });
+
+  const base = pixel || pixelSide(resolved, table);
+  return {
+    id: competitor.id,
+    name: competitor.name,
+    spend,
+    minSpendApplied: spend > clientSpend,
+    cpl: out.competitorCpl,
+    leads: out.competitorLeads,
+    appts: out.competitorAppts,
+    cpa: out.competitorCpa,
+    closed: out.competitorClosed,
+    revenue: out.competitorRevenue,
+    net,
+    deltaRevenue: base.revenue - out.competitorRevenue,
+    deltaNetProfit: base.netProfit - net.netProfit,
+  };
+}
+
+function pixelSide(resolved, table) {
+  const out = project(resolved, table);
+  const net = sideRoi({ revenue: out.pixelRevenue, closed: out.pixelClosed, spend: Math.max(0, resolved.spend), fee: resolved.fees.pixel });
+  return { revenue: out.pixelRevenue, netProfit: net.netProfit };
+}
+
+// Every selected profile against the same Pixel projection, in library order
+export function compareCompetitors(inputs, competitors, table = CITY_TABLE) {
+  const resolved = resolveInputs(inputs);
+  const pixel = pixelSide(resolved, table);
+  return competitors.map((c) => projectCompetitor(resolved, c, table, pixel));
+}
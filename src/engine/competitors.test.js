@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, project } from "./projection.js";
+import { projectRoi } from "./roi.js";
+import { buildSummary, summaryToCsv, summaryToMarkdown } from "./summary.js";
+import {
+  DEFAULT_COMPETITORS,
+  compareCompetitors,
+  competitorsToJson,
+  mergeImportedCompetitors,
+  parseCompetitorFile,
+  projectCompetitor,
+  validateCompetitor,
+} from "./competitors.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+
+const plain = validateCompetitor({ name: "Plain Vendor" }).competitor;
+
+test("a zero-adjustment profile with the scenario's fees matches the generic competitor", () => {
+  const fees = { ...DEFAULT_INPUTS.fees, competitor: { monthly: 400, pctOfSpend: 0.1, setup: 1200, contractMonths: 12 } };
+  const inputs = { ...DEFAULT_INPUTS, fees };
+  const c = projectCompetitor(inputs, { ...plain, ...fees.competitor });
+  const out = project(inputs);
+  const roi = projectRoi(inputs);
+  approx(c.revenue, out.competitorRevenue);
+  approx(c.cpl, out.competitorCpl);
+  approx(c.net.netProfit, roi.competitor.netProfit);
+  approx(c.deltaRevenue, out.deltaRevenue);
+  approx(c.deltaNetProfit, roi.deltaNetProfit);
+  assert.equal(c.minSpendApplied, false);
+});
+
+test("efficiency, rate adjustments and minimum spend shape a competitor", () => {
+  const base = project();
+  const c = projectCompetitor(DEFAULT_INPUTS, { ...plain, cplEfficiency: 0.2, apptRateAdj: -0.5, closeRateAdj: 0.2, minSpend: 2000 });
+  assert.equal(c.spend, 2000);
+  assert.equal(c.minSpendApplied, true);
+  approx(c.cpl, base.competitorCpl * 0.8);
+  approx(c.leads, 2000 / (base.competitorCpl * 0.8));
+  approx(c.appts, c.leads * 0.1);
+  approx(c.closed, c.appts * 0.3);
+  approx(c.net.totalCost, 2000); // charged at the minimum; no fees
+  // adjusted rates are capped at 100%
+  const capped = projectCompetitor({ ...DEFAULT_INPUTS, closeRate: 0.9 }, { ...plain, closeRateAdj: 1 });
+  approx(capped.closed, capped.appts);
+});
+
+test("compareCompetitors keeps the given order against one Pixel projection", () => {
+  const rows = compareCompetitors(DEFAULT_INPUTS, [DEFAULT_COMPETITORS[2], DEFAULT_COMPETITORS[0]]);
+  assert.deepEqual(rows.map((r) => r.id), ["premium-agency", "generic-agency"]);
+  const pixel = project().pixelRevenue;
+  for (const r of rows) approx(r.deltaRevenue, pixel - r.revenue);
+});
+
+test("profiles are validated with defaults, and bad rows are rejected", () => {
+  assert.deepEqual(validateCompetitor({ name: " Acme Leads ", monthly: "$1,000", pctOfSpend: "0.2" }, "2026-01-01").competitor, {
+    id: "acme-leads", name: "Acme Leads", cplEfficiency: 0, monthly: 1000, pctOfSpend: 0.2, setup: 0, contractMonths: 12, minSpend: 0, apptRateAdj: 0, closeRateAdj: 0, asOf: "2026-01-01",
+  });
+  assert.match(validateCompetitor({}).error, /missing name/);
+  assert.match(validateCompetitor({ name: "X", cplEfficiency: 1 }).error, /cplEfficiency 1 is outside/);
+  assert.match(validateCompetitor({ name: "X", monthly: "lots" }).error, /monthly is not a number/);
+  assert.match(validateCompetitor({ name: "X", asOf: "soon" }).error, /not YYYY-MM-DD/);
+  for (const c of DEFAULT_COMPETITORS) assert.deepEqual(validateCompetitor(c).competitor, c);
+});
+
+test("the library round-trips through JSON and imports merge by id", () => {
+  const json = competitorsToJson(DEFAULT_COMPETITORS, new Date("2026-10-01T00:00:00Z"));
+  assert.deepEqual(parseCompetitorFile(json), { competitors: DEFAULT_COMPETITORS, rejected: [] });
+
+  const { competitors, rejected } = parseCompetitorFile(JSON.stringify([{ id: "generic-agency", name: "Generic agency", monthly: 900 }, { name: "" }, { name: "New Co", asOf: "2026-09-30" }]), "2026-10-01");
+  assert.deepEqual(rejected, [{ row: 2, name: "", error: "missing name" }]);
+  const merged = mergeImportedCompetitors(DEFAULT_COMPETITORS, competitors);
+  assert.deepEqual(merged.map((c) => c.id), ["generic-agency", "lead-marketplace", "premium-agency", "new-co"]);
+  assert.equal(merged[0].monthly, 900);
+  assert.throws(() => parseCompetitorFile('{"metros": []}'), /No competitor profiles/);
+});
+
+test("compared profiles appear in the summary and its exports", () => {
+  const out = project();
+  const roi = projectRoi(DEFAULT_INPUTS);
+  const competitors = compareCompetitors(DEFAULT_INPUTS, [DEFAULT_COMPETITORS[2]]);
+  const summary = buildSummary(DEFAULT_INPUTS, out, { roi, competitors });
+  assert.equal(summary.named_competitors[0].name, "Premium agency");
+  assert.equal(summary.named_competitors[0].min_spend_applied, true);
+  assert.equal(buildSummary(DEFAULT_INPUTS, out, { roi }).named_competitors, undefined);
+
+  const meta = { generatedAt: new Date("2026-10-01T12:00:00Z"), query: "city=x" };
+  const md = summaryToMarkdown(summary, meta);
+  assert.match(md, /^\| \| Competitor \| Premium agency \| Pixel \|$/m);
+  assert.match(md, /^\|---\|---:\|---:\|---:\|$/m);
+  assert.match(md, /Projected at minimum spend: Premium agency at its \$3,000\.00\/mo minimum\./);
+  const csv = summaryToCsv(summary, DEFAULT_INPUTS, meta);
+  assert.match(csv, /competitor:premium-agency,spend,3000/);
+  assert.match(csv, /competitor:premium-agency,net_profit,/);
+});
+
+test("names with pipes or line breaks stay inside their Markdown table cell", () => {
+  const odd = validateCompetitor({ name: "Leads | Co\nWest" }).competitor;
+  const summary = buildSummary({ ...DEFAULT_INPUTS, city: "Austin, TX" }, project(), { competitors: compareCompetitors(DEFAULT_INPUTS, [odd]) });
+  const md = summaryToMarkdown({ ...summary, city: "Boise | ID\r\nNorth" }, { generatedAt: new Date("2026-10-01T12:00:00Z"), query: "" });
+  assert.match(md, /^\| \| Competitor \| Leads \\\| Co West \| Pixel \|$/m);
+  assert.match(md, /^## Pixel projection: Boise \\\| ID North$/m);
+  assert.match(md, /^- Metro: Boise \\\| ID North \(data as of built-in\)$/m);
+  // every table row keeps its column count
+  for (const line of md.split("\n").filter((l) => l.startsWith("|"))) assert.equal(line.replace(/\\\|/g, "").split("|").length, 6, line);
+});
@@ -0,0 +1,63 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting, comma separated).
+ * Good enough for spreadsheet exports; no streaming.
+ */
+
+// Parse CSV text into an array of string arrays. Blank lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Parse CSV text with a header row into objects keyed by trimmed header names.
+export function parseCsvObjects(text) {
+  const [header = [], ...body] = parseCsv(text);
+  const keys = header.map((h) => h.trim());
+  return body.map((cells) => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? "").trim()])));
+}
+
+function escapeCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Serialize objects to CSV. Columns default to the keys of the first row.
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => escapeCell(r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
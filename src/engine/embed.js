@@ -0,0 +1,117 @@
+/**
+ * Embed API — the postMessage protocol between the console and a host page
+ * that iframes it (deck builders, the marketing site). Pure message handling
+ * only; the window wiring is src/useEmbedApi.js and the host side is
+ * public/pixel-embed.js. Documented in the README ("Embed API").
+ *
+ * Every message is a plain object tagged with the protocol version:
+ * - host -> console: { target: "pixel-console", v: 1, id, type, ... }
+ *   type "setInputs" { inputs } | "getState" | "subscribe" | "unsubscribe"
+ * - console -> host: { source: "pixel-console", v: 1, type, ... }
+ *   "ready" { version }, "size" { width, height }, "ack" { id, notices },
+ *   "state" { id, state, query, outputs }, "outputs" { state, query, outputs },
+ *   "error" { id, code, message }
+ *
+ * Only origins on EMBED_ORIGINS may send commands. The list mirrors the
+ * frame-ancestors CSP in vercel.json ("'self'" is the console's own origin,
+ * which is also how public/embed.html relays for its host).
+ */
+import { CITY_TABLE } from "./projection.js";
+import { FUNNEL_PROFILES, applyProfile } from "./profiles.js";
+import { NUMERIC_RANGES, decodeScenario, encodeScenario, flattenScenario } from "./scenarioParams.js";
+
+export const EMBED_API_VERSION = 1;
+export const EMBED_NAME = "pixel-console";
+
+// Keep in sync with frame-ancestors in vercel.json (a test compares them)
+export const EMBED_ORIGINS = [
+  "'self'",
+  "https://*.canva.com",
+  "https://*.canva.cn",
+  "https://codepen.io",
+  "https://*.codepen.io",
+  "https://*.codesandbox.io",
+  "https://*.csb.app",
+];
+
+export const HOST_MESSAGE_TYPES = ["setInputs", "getState", "subscribe", "unsubscribe"];
+
+// CSP source matching: "https://*.x.com" covers any subdomain of x.com but not x.com itself
+export function isAllowedOrigin(origin, selfOrigin, allowlist = EMBED_ORIGINS) {
+  if (typeof origin !== "string" || origin === "null") return false;
+  return allowlist.some((source) => {
+    if (source === "'self'") return origin === selfOrigin;
+    const wild = source.match(/^(https?:\/\/)\*\.(.+)$/);
+    if (!wild) return origin === source;
+    return origin.startsWith(wild[1]) && origin.slice(wild[1].length).endsWith(`.${wild[2]}`);
+  });
+}
+
+// public/embed.html wraps what its host sends as { relay: EMBED_RELAY, origin, data }
+// (origin = the host's, as seen by the relay) and unwraps replies addressed back to it.
+export const EMBED_RELAY = "pixel-embed-relay";
+
+// The sender to check and answer: the relay's host for relayed messages, else the window itself
+export function unwrapRelay(data, origin, selfOrigin) {
+  if (origin === selfOrigin && data && data.relay === EMBED_RELAY && typeof data.origin === "string") {
+    return { data: data.data, origin: data.origin, relayed: true };
+  }
+  return { data, origin, relayed: false };
+}
+
+export function consoleMessage(type, fields = {}) {
+  return { source: EMBED_NAME, v: EMBED_API_VERSION, type, ...fields };
+}
+
+/**
+ * Classify an incoming message. Returns null when it is not addressed to the
+ * console (other scripts share the channel), { error } for a malformed or
+ * unsupported command (reply with an "error" message), else { message }.
+ */
+export function parseHostMessage(data) {
+  if (!data || typeof data !== "object" || data.target !== EMBED_NAME) return null;
+  const id = data.id === undefined ? null : data.id;
+  if (data.v !== EMBED_API_VERSION) {
+    return { error: { id, code: "unsupported_version", message: `Protocol version ${data.v} is not supported; use v: ${EMBED_API_VERSION}.` } };
+  }
+  if (!HOST_MESSAGE_TYPES.includes(data.type)) {
+    return { error: { id, code: "unknown_type", message: `Unknown message type "${data.type}". Expected ${HOST_MESSAGE_TYPES.join(", ")}.` } };
+  }
+  if (data.type === "setInputs" && (!data.inputs || typeof data.inputs !== "object" || Array.isArray(data.inputs))) {
+    return { error: { id, code: "invalid_inputs", message: "setInputs needs an inputs object." } };
+  }
+  return { message: { ...data, id } };
+}
+
+// Top-level input names a host may set (same names as share links and saved scenarios)
+const INPUT_KEYS = ["city", ...Object.keys(NUMERIC_RANGES), "fundedSplit", "mix", "fees", "profile", "acvModel", "acvParams", "stages", "stageRates"];
+
+/**
+ * Apply a partial inputs object on top of the current state. Each field is
+ * validated like a share-link param; rejected or unknown fields keep the
+ * current value and come back as notices. A new profile brings its defaults
+ * (ACV model, rates) unless the same message sets them. Returns { state, notices }.
+ */
+export function mergeInputs(current, partial, table = CITY_TABLE) {
+  const notices = [];
+  for (const key of Object.keys(partial)) {
+    if (!INPUT_KEYS.includes(key)) notices.push(`Unknown input "${key}"; ignored.`);
+  }
+  const known = Object.fromEntries(Object.entries(partial).filter(([key]) => INPUT_KEYS.includes(key)));
+
+  const switching = known.profile !== current.profile && FUNNEL_PROFILES.some((p) => p.id === known.profile);
+  const params = new URLSearchParams(encodeScenario(switching ? applyProfile(current, known.profile) : current));
+  for (const [key, value] of flattenScenario(known)) {
+    if (decodeScenario(new URLSearchParams([[key, value]]).toString(), table).notices.length) {
+      notices.push(`${key}=${value} was rejected; keeping ${params.get(key) ?? "the current value"}.`);
+    } else {
+      params.set(key, value);
+    }
+  }
+  return { state: decodeScenario(params.toString(), table).state, notices };
+}
+
+// Reply body for "getState" and the "outputs" events
+export function statePayload(state, outputs) {
+  return { state, query: encodeScenario(state), outputs };
+}
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { DEFAULT_INPUTS } from "./projection.js";
+import { EMBED_ORIGINS, EMBED_RELAY, consoleMessage, isAllowedOrigin, mergeInputs, parseHostMessage, unwrapRelay } from "./embed.js";
+
+const self = "https://pixel-live-demo.vercel.app";
+
+test("origin allowlist matches the frame-ancestors CSP", () => {
+  const config = JSON.parse(readFileSync(new URL("../../vercel.json", import.meta.url), "utf8"));
+  const csp = config.headers.flatMap((h) => h.headers).find((h) => h.key === "Content-Security-Policy").value;
+  const sources = csp.match(/frame-ancestors ([^;]+)/)[1].trim().split(/\s+/);
+  assert.deepEqual([...EMBED_ORIGINS].sort(), sources.sort());
+});
+
+test("origins are matched like CSP sources", () => {
+  assert.ok(isAllowedOrigin(self, self));
+  assert.ok(isAllowedOrigin("https://www.canva.com", self));
+  assert.ok(isAllowedOrigin("https://a.b.canva.com", self));
+  assert.ok(isAllowedOrigin("https://codepen.io", self));
+  assert.ok(isAllowedOrigin("https://cdpn.codepen.io", self));
+  assert.ok(!isAllowedOrigin("https://canva.com", self));
+  assert.ok(!isAllowedOrigin("https://evilcanva.com", self));
+  assert.ok(!isAllowedOrigin("http://www.canva.com", self));
+  assert.ok(!isAllowedOrigin("https://www.canva.com.evil.io", self));
+  assert.ok(!isAllowedOrigin("null", self));
+});
+
+test("host messages are versioned and validated", () => {
+  assert.equal(parseHostMessage({ type: "getState" }), null);
+  assert.equal(parseHostMessage("hello"), null);
+  assert.deepEqual(parseHostMessage({ target: "pixel-console", v: 1, id: 7, type: "getState" }).message, { target: "pixel-console", v: 1, id: 7, type: "getState" });
+  assert.equal(parseHostMessage({ target: "pixel-console", v: 2, id: 1, type: "getState" }).error.code, "unsupported_version");
+  assert.equal(parseHostMessage({ target: "pixel-console", v: 1, type: "reset" }).error.code, "unknown_type");
+  assert.equal(parseHostMessage({ target: "pixel-console", v: 1, type: "setInputs", inputs: [1] }).error.code, "invalid_inputs");
+  assert.deepEqual(consoleMessage("ready", { version: 1 }), { source: "pixel-console", v: 1, type: "ready", version: 1 });
+});
+
+test("setInputs merges onto the current state and keeps it for rejected fields", () => {
+  const current = { ...DEFAULT_INPUTS, spend: 2000 };
+  const { state, notices } = mergeInputs(current, {
+    city: "Austin, TX",
+    closeRate: 3,
+    mix: { google: { share: 0.5 } },
+    fees: { pixel: { monthly: 750 } },
+    prospect: "Acme",
+  });
+  assert.equal(state.city, "Austin, TX");
+  assert.equal(state.spend, 2000);
+  assert.equal(state.closeRate, DEFAULT_INPUTS.closeRate);
+  assert.equal(state.mix.google.share, 0.5);
+  assert.equal(state.mix.meta.share, 1);
+  assert.equal(state.fees.pixel.monthly, 750);
+  assert.deepEqual(notices, ['Unknown input "prospect"; ignored.', "closeRate=3 was rejected; keeping 0.25."]);
+
+  assert.match(mergeInputs(current, { city: "Atlantis" }).notices[0], /city=Atlantis was rejected; keeping New York, NY/);
+});
+
+test("relayed messages are checked against the host's origin", () => {
+  const msg = { target: "pixel-console", v: 1, type: "getState" };
+  assert.deepEqual(unwrapRelay({ relay: EMBED_RELAY, origin: "https://www.canva.com", data: msg }, self, self), { data: msg, origin: "https://www.canva.com", relayed: true });
+  // only the console's own origin (public/embed.html) may relay
+  const forged = { relay: EMBED_RELAY, origin: self, data: msg };
+  assert.deepEqual(unwrapRelay(forged, "https://evil.example", self), { data: forged, origin: "https://evil.example", relayed: false });
+});
@@ -0,0 +1,50 @@
+/**
+ * Glossary terms shown under the calculator and on the printed one-pager.
+ * `when(ctx)` limits a term to scenarios that use it; ctx is
+ * { state, out, timeline, uncertainty, sensitivity, goalSeek, competitors } (the last five
+ * booleans; competitors = named competitor profiles are being compared).
+ * The funnel profile and ACV model add their own terms (see ./profiles.js).
+ */
+import { findAcvModel, findProfile } from "./profiles.js";
+
+const activeChannels = (out) => out.channels.filter((ch) => ch.pixelBudget > 0).length;
+
+export const GLOSSARY = [
+  { term: "CPL", text: "Cost Per Lead. Dollars spent to generate one lead." },
+  { term: "Appointment Rate", text: "% of leads that book an appointment (Lead -> Appointment)." },
+  { term: "CPA", text: "Cost Per Appointment. Total spend divided by appointments." },
+  { term: "ACV", text: "Average Client Value: revenue per closed client. By default Metro Avg Price × Commission Rate; the ACV model sets the formula." },
+  { term: "Close Rate", text: "% appointments that close into clients (Appointment -> Closed)." },
+  { term: "PMC", text: "Pixel Media Credit. Extra paid media Pixel contributes.", when: ({ state }) => state.pmc > 0 },
+  { term: "GPC", text: "Growth Partner Credit. Additional funded media from partners.", when: ({ state }) => state.gpc > 0 },
+  { term: "Funded Cap", text: "The maximum PMC+GPC allowed in projections.", when: ({ out }) => out.funded > 0 },
+  { term: "Pixel Budget", text: "Client spend plus funded media used in Pixel projections." },
+  { term: "Channel Mix", text: "How monthly spend (and optionally funded media) is split across ad channels; blended results are the channel totals.", when: ({ out }) => activeChannels(out) > 1 },
+  { term: "Metro Multiplier", text: "Scales baseline CPL for the market. Edited and custom metros show the date their numbers were last updated." },
+  { term: "Efficiency", text: "Pixel CPL improvement vs competitor (e.g., 15% lower CPL)." },
+  { term: "Competitor Profile", text: "A named vendor with its own CPL vs baseline, fees, minimum spend, contract and appointment/close rate adjustments; a client below the minimum is projected at it.", when: ({ competitors }) => competitors },
+  { term: "Cost of Waiting", text: "Estimated monthly revenue forfeited if launch is delayed 30 days. In timeline mode: cumulative Pixel revenue lost over the horizon by launching k months later." },
+  { term: "Ramp", text: "Learning-phase CPL penalty in month 1 that shrinks to zero as campaigns optimize.", when: ({ timeline }) => timeline },
+  { term: "Sensitivity", text: "How much one driver moves revenue when varied up and down with everything else fixed; the tornado chart lists the biggest levers first.", when: ({ sensitivity }) => sensitivity },
+  { term: "Goal Seek", text: "Works backwards from a monthly target to the spend or rate each side needs; savings are the competitor's required spend minus Pixel's.", when: ({ goalSeek }) => goalSeek },
+  { term: "P10 / P50 / P90", text: "In uncertainty mode, 10% of simulated months come in below P10, half below P50 (the median) and 90% below P90.", when: ({ uncertainty }) => uncertainty },
+  { term: "Management Fees", text: "What each side charges on top of ad spend: flat monthly, % of client ad spend and a one-time setup fee spread over the contract." },
+  { term: "Net Profit", text: "Monthly revenue minus client ad spend and management fees (setup spread over the contract)." },
+  { term: "ROAS", text: "Return On Ad Spend. Revenue per dollar of client ad spend; funded media is free to the client." },
+  { term: "ROI", text: "Net profit as a % of total monthly cost (ad spend + fees)." },
+  { term: "Payback", text: "First month whose cumulative net covers the setup fee." },
+  { term: "Break-even Spend", text: "Client spend at which Pixel's monthly net profit matches the competitor's." },
+  { term: "Delta Revenue", text: "Pixel revenue minus competitor revenue for the same period." },
+];
+
+// Terms the scenario's funnel profile and ACV model bring
+export function nicheTerms(state) {
+  const terms = [...findProfile(state.profile).glossary, ...findAcvModel(state.acvModel).glossary];
+  return terms.filter((g, i) => terms.findIndex((t) => t.term === g.term) === i);
+}
+
+// Terms relevant to one scenario (for exports); the on-screen glossary shows
+// all of GLOSSARY plus the niche terms
+export function glossaryFor(ctx) {
+  return [...GLOSSARY.filter((g) => !g.when || g.when(ctx)), ...nicheTerms(ctx.state)];
+}
@@ -0,0 +1,208 @@
+/**
+ * Goal seek — the calculator run backwards. The rep picks a monthly target
+ * (closed deals, appointments, leads or revenue) and one unknown input; the
+ * unknown is solved with every other input held at the current scenario.
+ *
+ * Each unknown moves the funnel monotonically, so each side is solved by
+ * bisection over the input's allowed range. Funded media (PMC+GPC, clamped to
+ * the funded cap) stays in Pixel's budget, so Pixel can need less client spend
+ * than the competitor, or none when credits alone cover the target. When
+ * solving for spend, the competitor's required spend gives the savings, both in
+ * ad spend and in total monthly cost with each side's fees. Revenue per client
+ * is solved through the active ACV model's own parameter (commission rate,
+ * deal value or basis points).
+ */
+import { CITY_TABLE, project, resolveInputs } from "./projection.js";
+import { ACV_FIELDS, findAcvModel } from "./profiles.js";
+import { NUMERIC_RANGES } from "./scenarioParams.js";
+import { totalMonthlyCost } from "./roi.js";
+import { describeAcv, formatValue } from "./summary.js";
+
+// suffix = projection output name after the side prefix (pixelClosed, competitorLeads...)
+export const GOAL_METRICS = [
+  { key: "closed", label: "Closed clients / mo", noun: "closed clients", format: "count2", suffix: "Closed" },
+  { key: "appts", label: "Appointments / mo", noun: "appointments", format: "count1", suffix: "Appts" },
+  { key: "leads", label: "Leads / mo", noun: "leads", format: "count1", suffix: "Leads" },
+  { key: "revenue", label: "Revenue / mo", noun: "revenue", format: "money", suffix: "Revenue" },
+];
+
+const setMixField = (mix, field, v) => Object.fromEntries(Object.entries(mix).map(([id, c]) => [id, { ...c, [field]: v }]));
+
+// An ACV model parameter (./profiles.js) as an unknown; it only exists under `models`
+const acvParam = (key, models) => ({
+  key,
+  label: ACV_FIELDS[key].label.replace(/ \(\$\)$/, ""),
+  format: ACV_FIELDS[key].format,
+  range: ACV_FIELDS[key].range,
+  affects: ["revenue"],
+  sides: ["pixel", "competitor"],
+  models,
+  apply: (inputs, v) => ({ ...inputs, acvParams: { ...inputs.acvParams, [key]: v } }),
+  read: (inputs) => inputs.acvParams[key],
+});
+
+// apply(inputs, value) -> inputs; read(inputs, out) -> current value.
+// `affects` lists the goal metrics the unknown can move; `sides` the sides it applies to;
+// `models`, when set, the ACV models that read it.
+export const GOAL_UNKNOWNS = [
+  {
+    key: "spend",
+    label: "Monthly client spend",
+    format: "money",
+    range: NUMERIC_RANGES.spend,
+    affects: ["closed", "appts", "leads", "revenue"],
+    sides: ["pixel", "competitor"],
+    apply: (inputs, v) => ({ ...inputs, spend: v }),
+    read: (inputs) => Math.max(0, inputs.spend),
+  },
+  {
+    key: "closeRate",
+    label: "Close rate",
+    format: "pct",
+    range: NUMERIC_RANGES.closeRate,
+    affects: ["closed", "revenue"],
+    sides: ["pixel", "competitor"],
+    apply: (inputs, v) => ({ ...inputs, closeRate: v }),
+    read: (inputs) => inputs.closeRate,
+  },
+  {
+    // One rate for every channel in the mix
+    key: "apptRate",
+    label: "Appointment rate",
+    format: "pct",
+    range: [0, 1],
+    affects: ["closed", "appts", "revenue"],
+    sides: ["pixel", "competitor"],
+    apply: (inputs, v) => ({ ...inputs, mix: setMixField(inputs.mix, "apptRate", v) }),
+    read: (inputs, out) => out.apptRate,
+  },
+  {
+    key: "commissionRate",
+    label: "Commission rate",
+    format: "pct",
+    range: NUMERIC_RANGES.commissionRate,
+    affects: ["revenue"],
+    sides: ["pixel", "competitor"],
+    models: ["commission"],
+    apply: (inputs, v) => ({ ...inputs, commissionRate: v }),
+    read: (inputs) => inputs.commissionRate,
+  },
+  acvParam("dealValue", ["flat", "ltv"]),
+  acvParam("bps", ["mortgage"]),
+  {
+    key: "uplift",
+    label: "Pixel efficiency",
+    format: "pct",
+    range: NUMERIC_RANGES.uplift,
+    affects: ["closed", "appts", "leads", "revenue"],
+    sides: ["pixel"],
+    apply: (inputs, v) => ({ ...inputs, uplift: v }),
+    read: (inputs) => inputs.uplift,
+  },
+];
+
+export const DEFAULT_GOAL = { metric: "closed", target: 3, solveFor: "spend" };
+
+// The unknowns that mean something under the given ACV model
+export function goalUnknowns(acvModel) {
+  const model = findAcvModel(acvModel).id;
+  return GOAL_UNKNOWNS.filter((u) => !u.models || u.models.includes(model));
+}
+
+function lookup(list, key, what) {
+  const item = list.find((x) => x.key === key);
+  if (!item) throw new Error(`Unknown goal ${what} "${key}"`);
+  return item;
+}
+
+const sideLabel = (side) => (side === "pixel" ? "Pixel" : "The competitor");
+
+// Why a side cannot get past zero: the first funnel stage that is empty at the top of the range
+function zeroStage(side, metric, unknown, inputs, out) {
+  const get = (suffix) => out[`${side}${suffix}`];
+  if (get("Leads") <= 0) {
+    if (unknown.key === "spend") return "no channel has a share of client spend.";
+    return side === "pixel" ? "there is no ad budget (client spend and funded media are $0)." : "client spend is $0.";
+  }
+  if (metric.key === "leads") return null;
+  if (get("Appts") <= 0) return "the appointment rate is 0%.";
+  if (metric.key === "appts") return null;
+  if (get("Closed") <= 0) return "the close rate is 0%.";
+  if (metric.key === "closed") return null;
+  if (get("Revenue") <= 0) return `ACV is $0 (${describeAcv(inputs, out.metroAvg)}).`;
+  return null;
+}
+
+function solveSide(resolved, side, metric, unknown, target, table) {
+  const [min, max] = unknown.range;
+  const reach = (v) => project(unknown.apply(resolved, v), table)[`${side}${metric.suffix}`];
+
+  const atMin = reach(min);
+  if (atMin >= target) {
+    return { status: "ok", value: min, achieved: atMin, atMinimum: true, inputs: unknown.apply(resolved, min) };
+  }
+  const top = unknown.apply(resolved, max);
+  const topOut = project(top, table);
+  const atMax = topOut[`${side}${metric.suffix}`];
+  if (atMax < target) {
+    const blocked = zeroStage(side, metric, unknown, top, topOut);
+    const reason = blocked
+      ? `${sideLabel(side)} cannot reach any ${metric.noun}: ${blocked}`
+      : `${sideLabel(side)} reaches only ${formatValue(atMax, metric.format)} ${metric.noun} even at ${unknown.label.toLowerCase()} ${formatValue(max, unknown.format)}.`;
+    return { status: "unreachable", value: null, achieved: atMax, reason };
+  }
+
+  let lo = min;
+  let hi = max;
+  for (let i = 0; i < 200 && hi - lo > 1e-9 * Math.max(1, hi); i++) {
+    const mid = (lo + hi) / 2;
+    if (reach(mid) >= target) hi = mid;
+    else lo = mid;
+  }
+  return { status: "ok", value: hi, achieved: reach(hi), atMinimum: false, inputs: unknown.apply(resolved, hi) };
+}
+
+/**
+ * Solve `solveFor` so each side produces `target` of `metric` per month.
+ * An unknown the scenario's ACV model does not read is 'n/a' on both sides.
+ * Returns { metric, target, solveFor, current, pixel, competitor, savings } where
+ * each side is { status: 'ok'|'unreachable'|'n/a', value, achieved, atMinimum?, inputs?, reason? }
+ * (inputs = the scenario with the solved value applied) and savings is
+ * { spend, cost } (competitor minus Pixel) when solving for spend and both sides
+ * can reach the target, else null.
+ * Throws on an unknown metric/unknown or a target that is not a positive number.
+ */
+export function goalSeek(inputs = {}, goal = DEFAULT_GOAL, table = CITY_TABLE) {
+  const { metric: metricKey, target, solveFor } = { ...DEFAULT_GOAL, ...goal };
+  const metric = lookup(GOAL_METRICS, metricKey, "metric");
+  const unknown = lookup(GOAL_UNKNOWNS, solveFor, "unknown");
+  if (!Number.isFinite(target) || target <= 0) throw new Error("Goal target must be a positive number");
+
+  const resolved = resolveInputs(inputs);
+  const current = unknown.read(resolved, project(resolved, table));
+
+  const model = findAcvModel(resolved.acvModel);
+  const solve = (side) => {
+    if (unknown.models && !unknown.models.includes(model.id)) {
+      return { status: "n/a", value: null, achieved: null, reason: `${unknown.label} is not used by the ${model.label} ACV model.` };
+    }
+    if (!unknown.sides.includes(side)) {
+      return { status: "n/a", value: null, achieved: null, reason: `${unknown.label} applies to Pixel only.` };
+    }
+    if (!unknown.affects.includes(metric.key)) {
+      return { status: "unreachable", value: null, achieved: null, reason: `${unknown.label} does not change ${metric.noun}; solve for another input.` };
+    }
+    return solveSide(resolved, side, metric, unknown, target, table);
+  };
+  const pixel = solve("pixel");
+  const competitor = solve("competitor");
+
+  const savings = unknown.key === "spend" && pixel.status === "ok" && competitor.status === "ok"
+    ? {
+      spend: competitor.value - pixel.value,
+      cost: totalMonthlyCost(resolved.fees.competitor, competitor.value) - totalMonthlyCost(resolved.fees.pixel, pixel.value),
+    }
+    : null;
+
+  return { metric: metric.key, target, solveFor: unknown.key, current, pixel, competitor, savings };
+}
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, project } from "./projection.js";
+import { goalSeek, goalUnknowns } from "./goalseek.js";
+
+const approx = (a, b, eps = 1e-4) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+
+// NY on Meta: competitor CPL 21.6, Pixel CPL 18.36, 20% appts, 25% close, $500 PMC
+test("solves client spend for a closings target, counting funded media", () => {
+  const g = goalSeek({}, { metric: "closed", target: 3, solveFor: "spend" });
+  approx(g.pixel.value, 3 * 18.36 / 0.05 - 500);
+  approx(g.competitor.value, 3 * 21.6 / 0.05);
+  approx(g.pixel.achieved, 3);
+  approx(g.savings.spend, g.competitor.value - g.pixel.value);
+  approx(g.current, 1000);
+  approx(project(g.pixel.inputs).pixelClosed, 3);
+});
+
+test("credits alone can cover a small target", () => {
+  const g = goalSeek({}, { metric: "leads", target: 20, solveFor: "spend" });
+  assert.equal(g.pixel.value, 0);
+  assert.equal(g.pixel.atMinimum, true);
+  approx(g.competitor.value, 20 * 21.6);
+  // the cap limits how far credits go
+  const capped = goalSeek({ pmc: 5000, fundedCap: 300 }, { metric: "leads", target: 20, solveFor: "spend" });
+  approx(capped.pixel.value, 20 * 18.36 - 300);
+});
+
+test("savings include each side's fees", () => {
+  const fees = { ...DEFAULT_INPUTS.fees, pixel: { monthly: 500, pctOfSpend: 0.1, setup: 1200, contractMonths: 12 } };
+  const g = goalSeek({ fees }, { metric: "closed", target: 3, solveFor: "spend" });
+  approx(g.savings.cost, g.competitor.value - (g.pixel.value * 1.1 + 500 + 100));
+});
+
+test("solves the close rate needed at a fixed budget", () => {
+  const g = goalSeek({}, { metric: "closed", target: 3, solveFor: "closeRate" });
+  approx(g.pixel.value, 3 / (1500 / 18.36 * 0.2));
+  approx(g.competitor.value, 3 / (1000 / 21.6 * 0.2));
+  assert.equal(g.savings, null);
+
+  const revenue = goalSeek({}, { metric: "revenue", target: 40000, solveFor: "commissionRate" });
+  approx(project(revenue.pixel.inputs).pixelRevenue, 40000, 1e-2);
+});
+
+test("solves the ACV model's own parameter for a revenue target", () => {
+  for (const [acvModel, solveFor] of [["flat", "dealValue"], ["ltv", "dealValue"], ["mortgage", "bps"]]) {
+    const g = goalSeek({ acvModel }, { metric: "revenue", target: 40000, solveFor });
+    assert.equal(g.pixel.status, "ok", acvModel);
+    assert.equal(g.pixel.atMinimum, false);
+    approx(project(g.pixel.inputs).pixelRevenue, 40000, 1e-2);
+    approx(project(g.competitor.inputs).competitorRevenue, 40000, 1e-2);
+
+    // the commission rate means nothing outside the commission model
+    const unused = goalSeek({ acvModel }, { metric: "revenue", target: 1000, solveFor: "commissionRate" });
+    assert.equal(unused.pixel.status, "n/a");
+    assert.equal(unused.competitor.status, "n/a");
+    assert.match(unused.pixel.reason, /Commission rate is not used by the .+ ACV model/);
+  }
+  assert.deepEqual(goalUnknowns("mortgage").map((u) => u.key), ["spend", "closeRate", "apptRate", "bps", "uplift"]);
+  assert.deepEqual(goalUnknowns("flat").map((u) => u.key), ["spend", "closeRate", "apptRate", "dealValue", "uplift"]);
+  assert.equal(goalSeek({}, { metric: "revenue", target: 1000, solveFor: "bps" }).pixel.status, "n/a");
+
+  const noLoan = goalSeek({ acvModel: "mortgage", acvParams: { loanToValue: 0 } }, { metric: "revenue", target: 1000, solveFor: "bps" });
+  assert.match(noLoan.pixel.reason, /ACV is \$0 \(Mortgage basis points: /);
+});
+
+test("explains targets that cannot be reached", () => {
+  const zero = goalSeek({ closeRate: 0 }, { metric: "closed", target: 3, solveFor: "spend" });
+  assert.equal(zero.pixel.status, "unreachable");
+  assert.match(zero.pixel.reason, /close rate is 0%/);
+  assert.equal(zero.savings, null);
+
+  const noBudget = goalSeek({ spend: 0, pmc: 0 }, { metric: "closed", target: 1, solveFor: "closeRate" });
+  assert.match(noBudget.pixel.reason, /no ad budget/);
+
+  const tooHigh = goalSeek({}, { metric: "closed", target: 100, solveFor: "closeRate" });
+  assert.match(tooHigh.pixel.reason, /reaches only 16\.34 closed clients even at close rate 100%/);
+
+  const unrelated = goalSeek({}, { metric: "leads", target: 50, solveFor: "closeRate" });
+  assert.match(unrelated.pixel.reason, /does not change leads/);
+
+  const efficiency = goalSeek({}, { metric: "closed", target: 2, solveFor: "uplift" });
+  assert.equal(efficiency.competitor.status, "n/a");
+  assert.equal(efficiency.pixel.status, "ok");
+
+  assert.throws(() => goalSeek({}, { target: 0 }), /positive number/);
+  assert.throws(() => goalSeek({}, { solveFor: "city" }), /Unknown goal unknown/);
+});
@@ -0,0 +1,146 @@
+/**
+ * Metro table overrides — edit built-in metros, add custom ones, import/export.
+ *
+ * Overrides are a list of { city, mult, avg, asOf } rows. Applied on top of
+ * CITY_TABLE they replace a built-in metro with the same name or add a custom
+ * metro after the built-ins. Resetting a metro drops its override row.
+ * asOf (YYYY-MM-DD) records how fresh the numbers are.
+ */
+import { parseCsvObjects, toCsv } from "./csv.js";
+import { CITY_TABLE } from "./projection.js";
+
+// Inclusive [min, max]
+export const METRO_LIMITS = {
+  mult: [0.1, 5],
+  avg: [10000, 50000000],
+};
+
+// Header aliases for imports (case-insensitive, spaces/underscores ignored)
+const FIELD_ALIASES = {
+  city: "city",
+  metro: "city",
+  market: "city",
+  mult: "mult",
+  multiplier: "mult",
+  cplmult: "mult",
+  cplmultiplier: "mult",
+  avg: "avg",
+  avgprice: "avg",
+  averageprice: "avg",
+  metroavgprice: "avg",
+  averagehomevalue: "avg",
+  asof: "asOf",
+  dataasof: "asOf",
+  date: "asOf",
+};
+
+const fieldFor = (key) => FIELD_ALIASES[String(key).toLowerCase().replace(/[\s_-]/g, "")];
+
+export function todayIso(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+}
+
+// Validates one metro row (strings allowed for numbers, e.g. "$480,000").
+// Returns { metro } or { error }. A missing asOf is filled with `defaultAsOf`.
+export function validateMetro(raw, defaultAsOf = todayIso()) {
+  if (!raw || typeof raw !== "object") return { error: "not a row" };
+  const row = {};
+  for (const [k, v] of Object.entries(raw)) {
+    const f = fieldFor(k);
+    if (f && row[f] === undefined) row[f] = v;
+  }
+
+  const city = typeof row.city === "string" ? row.city.trim() : "";
+  if (!city) return { error: "missing city" };
+
+  const metro = { city };
+  for (const [key, [min, max]] of Object.entries(METRO_LIMITS)) {
+    const n = typeof row[key] === "number" ? row[key] : Number(String(row[key] ?? "").replace(/[$,\s]/g, ""));
+    if (row[key] === undefined || row[key] === "" || !Number.isFinite(n)) return { error: `${key} is missing or not a number` };
+    if (n < min || n > max) return { error: `${key} ${n} is outside ${min}–${max}` };
+    metro[key] = n;
+  }
+
+  const asOf = row.asOf === undefined || row.asOf === "" ? defaultAsOf : String(row.asOf).trim();
+  if (!isIsoDate(asOf)) return { error: `as-of date "${row.asOf}" is not YYYY-MM-DD` };
+  metro.asOf = asOf;
+
+  return { metro };
+}
+
+// ---------------- Overrides ----------------
+// Effective table: built-ins (edited ones replaced) then custom metros.
+// Each row gains source: 'default' | 'edited' | 'custom'.
+export function applyMetroOverrides(overrides, base = CITY_TABLE) {
+  const byCity = new Map(overrides.map((o) => [o.city, o]));
+  const table = base.map((m) => (byCity.has(m.city) ? { ...byCity.get(m.city), source: "edited" } : { ...m, source: "default" }));
+  const builtIn = new Set(base.map((m) => m.city));
+  for (const o of overrides) if (!builtIn.has(o.city)) table.push({ ...o, source: "custom" });
+  return table;
+}
+
+export function upsertOverride(overrides, metro) {
+  const i = overrides.findIndex((o) => o.city === metro.city);
+  if (i < 0) return [...overrides, metro];
+  return overrides.map((o, j) => (j === i ? metro : o));
+}
+
+export function removeOverride(overrides, city) {
+  return overrides.filter((o) => o.city !== city);
+}
+
+// Imported rows become overrides; a row that matches its built-in metro exactly
+// (e.g. re-importing an export) clears the override instead.
+export function mergeImportedMetros(overrides, metros, base = CITY_TABLE) {
+  const builtIn = new Map(base.map((m) => [m.city, m]));
+  return metros.reduce((acc, m) => {
+    const b = builtIn.get(m.city);
+    return b && b.mult === m.mult && b.avg === m.avg ? removeOverride(acc, m.city) : upsertOverride(acc, m);
+  }, overrides);
+}
+
+// Case-insensitive substring match on the city name; empty query returns everything
+export function searchMetros(table, query) {
+  const q = query.trim().toLowerCase();
+  return q ? table.filter((m) => m.city.toLowerCase().includes(q)) : table;
+}
+
+// ---------------- Import / export ----------------
+// Accepts CSV (header row) or JSON (array, or { metros: [...] }). Duplicate cities:
+// the last row wins. Returns { metros, rejected: [{ row, city, error }] }; row is 1-based.
+export function parseMetroFile(text, filename = "", defaultAsOf = todayIso()) {
+  const trimmed = String(text).trim();
+  const isJson = /\.json$/i.test(filename) || trimmed.startsWith("[") || trimmed.startsWith("{");
+
+  let rows;
+  if (isJson) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data && data.metros;
+    if (!Array.isArray(rows)) throw new Error("No metros found in file.");
+  } else {
+    rows = parseCsvObjects(trimmed);
+  }
+
+  const byCity = new Map();
+  const rejected = [];
+  rows.forEach((raw, i) => {
+    const { metro, error } = validateMetro(raw, defaultAsOf);
+    if (metro) byCity.set(metro.city, metro);
+    else rejected.push({ row: i + 1, city: raw && typeof raw === "object" ? String(raw.city ?? raw.metro ?? "") : "", error });
+  });
+  return { metros: [...byCity.values()], rejected };
+}
+
+const exportRow = ({ city, mult, avg, asOf }) => ({ city, mult, avg, asOf: asOf || "" });
+
+export function metrosToCsv(table) {
+  return toCsv(table.map(exportRow), ["city", "mult", "avg", "asOf"]);
+}
+
+export function metrosToJson(table, now = new Date()) {
+  return JSON.stringify({ exportedAt: now.toISOString(), metros: table.map(exportRow) }, null, 2);
+}
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CITY_TABLE, project } from "./projection.js";
+import {
+  applyMetroOverrides,
+  mergeImportedMetros,
+  metrosToCsv,
+  metrosToJson,
+  parseMetroFile,
+  removeOverride,
+  searchMetros,
+  upsertOverride,
+  validateMetro,
+} from "./metros.js";
+
+const AS_OF = "2026-03-01";
+
+test("validateMetro normalizes aliases, money strings and dates", () => {
+  assert.deepEqual(validateMetro({ Metro: " Boise, ID ", Multiplier: "0.95", "Avg Price": "$450,000", "Data as of": "2026-02-01" }), {
+    metro: { city: "Boise, ID", mult: 0.95, avg: 450000, asOf: "2026-02-01" },
+  });
+  assert.equal(validateMetro({ city: "Boise, ID", mult: 1, avg: 400000 }, AS_OF).metro.asOf, AS_OF);
+});
+
+test("validateMetro rejects bad rows with a reason", () => {
+  assert.match(validateMetro({ mult: 1, avg: 400000 }).error, /missing city/);
+  assert.match(validateMetro({ city: "X", mult: "abc", avg: 400000 }).error, /mult/);
+  assert.match(validateMetro({ city: "X", mult: 9, avg: 400000 }).error, /outside/);
+  assert.match(validateMetro({ city: "X", mult: 1, avg: 500 }).error, /avg 500/);
+  assert.match(validateMetro({ city: "X", mult: 1, avg: 400000, asOf: "03/01/2026" }).error, /YYYY-MM-DD/);
+  assert.match(validateMetro(null).error, /not a row/);
+});
+
+test("overrides replace built-ins in place and append custom metros", () => {
+  let overrides = upsertOverride([], { city: "Austin, TX", mult: 1.1, avg: 500000, asOf: AS_OF });
+  overrides = upsertOverride(overrides, { city: "Boise, ID", mult: 0.95, avg: 450000, asOf: AS_OF });
+  overrides = upsertOverride(overrides, { city: "Austin, TX", mult: 1.05, avg: 510000, asOf: AS_OF });
+  assert.equal(overrides.length, 2);
+
+  const table = applyMetroOverrides(overrides);
+  assert.equal(table.length, CITY_TABLE.length + 1);
+  const austin = table.find((m) => m.city === "Austin, TX");
+  assert.deepEqual(austin, { city: "Austin, TX", mult: 1.05, avg: 510000, asOf: AS_OF, source: "edited" });
+  assert.equal(table.indexOf(austin), CITY_TABLE.findIndex((m) => m.city === "Austin, TX"));
+  assert.equal(table[table.length - 1].source, "custom");
+  assert.equal(table[0].source, "default");
+
+  // the engine projects against the effective table
+  assert.equal(project({ city: "Boise, ID" }, table).metroAvg, 450000);
+
+  const reset = applyMetroOverrides(removeOverride(overrides, "Austin, TX"));
+  assert.equal(reset.find((m) => m.city === "Austin, TX").avg, 480000);
+});
+
+test("parseMetroFile reads CSV and reports rejected rows", () => {
+  const csv = "metro,multiplier,avg_price,as_of\n\"Boise, ID\",0.95,\"$450,000\",2026-02-01\nBad,,300000,\n\"Fresno, CA\",1.0,390000,\n\"Boise, ID\",0.97,455000,2026-02-15\n";
+  const { metros, rejected } = parseMetroFile(csv, "metros.csv", AS_OF);
+  assert.deepEqual(metros, [
+    { city: "Boise, ID", mult: 0.97, avg: 455000, asOf: "2026-02-15" },
+    { city: "Fresno, CA", mult: 1, avg: 390000, asOf: AS_OF },
+  ]);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].row, 2);
+  assert.equal(rejected[0].city, "Bad");
+});
+
+test("parseMetroFile reads JSON arrays and objects", () => {
+  assert.equal(parseMetroFile('[{"city":"Boise, ID","mult":1,"avg":400000}]').metros.length, 1);
+  assert.equal(parseMetroFile('{"metros":[{"city":"Boise, ID","mult":1,"avg":400000}]}', "x.json").metros.length, 1);
+  assert.throws(() => parseMetroFile('{"nope":1}'), /No metros/);
+});
+
+test("export round-trips through import", () => {
+  const table = applyMetroOverrides([{ city: "Boise, ID", mult: 0.95, avg: 450000, asOf: AS_OF }]);
+  for (const text of [metrosToCsv(table), metrosToJson(table)]) {
+    const { metros, rejected } = parseMetroFile(text, "", AS_OF);
+    assert.deepEqual(rejected, []);
+    assert.equal(metros.length, table.length);
+    assert.deepEqual(metros[metros.length - 1], { city: "Boise, ID", mult: 0.95, avg: 450000, asOf: AS_OF });
+  }
+});
+
+test("re-importing unchanged built-ins does not mark them edited", () => {
+  const { metros } = parseMetroFile(metrosToCsv(applyMetroOverrides([])), "", AS_OF);
+  const stale = [{ city: "Austin, TX", mult: 2, avg: 100000, asOf: "2020-01-01" }];
+  assert.deepEqual(mergeImportedMetros(stale, metros), []);
+});
+
+test("searchMetros is case-insensitive", () => {
+  const table = applyMetroOverrides([]);
+  assert.deepEqual(searchMetros(table, "  san ").map((m) => m.city), ["San Francisco, CA", "San Jose, CA", "San Diego, CA", "San Antonio, TX", "San Juan, PR"]);
+  assert.equal(searchMetros(table, "TX").length, 4);
+  assert.equal(searchMetros(table, "").length, table.length);
+});
@@ -0,0 +1,212 @@
+/**
+ * Monte Carlo projections — P10/P50/P90 instead of a single point estimate.
+ *
+ * Five assumptions can be uncertain: appointment rate, close rate, Pixel
+ * efficiency (uplift), competitor CPL and ACV. Each takes a distribution:
+ *   { type: "fixed" }                          current value (default)
+ *   { type: "uniform", min, max }
+ *   { type: "triangular", min, mode, max }
+ *   { type: "normal", mean, sd, min?, max? }   clamped to [min, max] and the input's limits
+ * Values are absolute (e.g. close rate 0.15–0.30, CPL in dollars). Appointment
+ * rate and CPL scale every channel so the mix keeps its shape; a drawn ACV
+ * replaces the ACV model's value (any model). Runs are deterministic for a given seed.
+ */
+import { CITY_TABLE, project, resolveInputs } from "./projection.js";
+
+// Inclusive [min, max]. Uplift may go negative here: a Pixel that underperforms
+// the competitor is what gives "probability Pixel wins" its meaning.
+export const UNCERTAIN_INPUTS = [
+  { key: "apptRate", label: "Appointment rate", format: "pct", limits: [0, 1] },
+  { key: "closeRate", label: "Close rate", format: "pct", limits: [0, 1] },
+  { key: "uplift", label: "Pixel efficiency", format: "pct", limits: [-0.5, 0.9] },
+  { key: "cpl", label: "Competitor CPL", format: "money", limits: [0.01, 10000] },
+  { key: "acv", label: "Avg client value", format: "money", limits: [0, 10000000] },
+];
+
+export const DISTRIBUTION_TYPES = ["fixed", "uniform", "triangular", "normal"];
+
+export const SIMULATION_LIMITS = {
+  runs: [100, 20000],
+  bins: [5, 60],
+};
+
+export const DEFAULT_SIMULATION = { runs: 2000, seed: 1, bins: 24 };
+
+export const SIMULATION_METRICS = [
+  { key: "pixelRevenue", label: "Pixel revenue", format: "money" },
+  { key: "pixelClosed", label: "Pixel closings", format: "count" },
+  { key: "deltaRevenue", label: "Delta revenue", format: "money" },
+];
+
+const clamp = (x, [min, max]) => Math.min(max, Math.max(min, x));
+const limitsFor = (key) => UNCERTAIN_INPUTS.find((u) => u.key === key).limits;
+
+// ---------------- RNG ----------------
+// mulberry32: small, fast, good enough for sampling; returns floats in [0, 1)
+export function createRng(seed = 1) {
+  let a = Math.trunc(Number(seed) || 0) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box–Muller
+function standardNormal(rng) {
+  const u = 1 - rng(); // (0, 1]; log(0) would be -Infinity
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// ---------------- Distributions ----------------
+// Fixes up user-entered parameters: numbers clamped to the input's limits,
+// min <= mode <= max, sd >= 0. Unknown types become "fixed".
+export function normalizeDistribution(dist, key, current) {
+  const limits = limitsFor(key);
+  const num = (x, fallback) => clamp(Number.isFinite(x) ? x : fallback, limits);
+  const type = dist && DISTRIBUTION_TYPES.includes(dist.type) ? dist.type : "fixed";
+
+  if (type === "uniform" || type === "triangular") {
+    let min = num(dist.min, current);
+    let max = num(dist.max, current);
+    if (min > max) [min, max] = [max, min];
+    return type === "uniform" ? { type, min, max } : { type, min, mode: clamp(num(dist.mode, current), [min, max]), max };
+  }
+  if (type === "normal") {
+    const min = Number.isFinite(dist.min) ? num(dist.min, limits[0]) : limits[0];
+    const max = Number.isFinite(dist.max) ? num(dist.max, limits[1]) : limits[1];
+    return { type, mean: num(dist.mean, current), sd: Math.max(0, Number.isFinite(dist.sd) ? dist.sd : 0), min: Math.min(min, max), max: Math.max(min, max) };
+  }
+  return { type: "fixed", value: num(current, current) };
+}
+
+export function sampleDistribution(dist, rng) {
+  switch (dist.type) {
+    case "uniform":
+      return dist.min + (dist.max - dist.min) * rng();
+    case "triangular": {
+      const { min, mode, max } = dist;
+      const span = max - min;
+      if (span <= 0) return min;
+      const u = rng();
+      const c = (mode - min) / span;
+      return u < c ? min + Math.sqrt(u * span * (mode - min)) : max - Math.sqrt((1 - u) * span * (max - mode));
+    }
+    case "normal":
+      return clamp(dist.mean + dist.sd * standardNormal(rng), [dist.min, dist.max]);
+    default:
+      return dist.value;
+  }
+}
+
+// The current scenario's value for each uncertain input
+export function currentAssumptions(inputs = {}, table = CITY_TABLE) {
+  const resolved = resolveInputs(inputs);
+  const out = project(resolved, table);
+  return { apptRate: out.apptRate, closeRate: resolved.closeRate, uplift: resolved.uplift, cpl: out.competitorCpl, acv: out.acv };
+}
+
+// Triangular ±spread around the current values — a starting point for the editor
+export function defaultDistributions(current, spread = 0.25) {
+  return Object.fromEntries(UNCERTAIN_INPUTS.map(({ key, limits }) => {
+    const v = current[key];
+    const lo = clamp(v * (1 - spread), limits);
+    const hi = clamp(v * (1 + spread), limits);
+    return [key, { type: "triangular", min: Math.min(lo, hi), mode: v, max: Math.max(lo, hi) }];
+  }));
+}
+
+// Inputs for one draw. Channel rates and CPLs scale by draw / current blended value.
+function applyDraw(resolved, base, draw) {
+  const apptScale = base.apptRate > 0 ? draw.apptRate / base.apptRate : null;
+  const cplScale = base.competitorCpl > 0 ? draw.cpl / base.competitorCpl : null;
+  const mix = Object.fromEntries(Object.entries(resolved.mix).map(([id, c]) => [id, {
+    ...c,
+    apptRate: Math.min(1, apptScale === null ? draw.apptRate : c.apptRate * apptScale),
+    baseCpl: cplScale === null ? draw.cpl / (base.metroMult || 1) : c.baseCpl * cplScale,
+  }]));
+  return {
+    ...resolved,
+    mix,
+    closeRate: draw.closeRate,
+    uplift: draw.uplift,
+    // Any ACV model: the draw is used as a flat value per closed client
+    acvModel: "flat",
+    acvParams: { ...resolved.acvParams, dealValue: draw.acv },
+  };
+}
+
+// ---------------- Summaries ----------------
+// Linear interpolation between closest ranks; `sorted` ascending
+export function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const i = clamp(p, [0, 1]) * (sorted.length - 1);
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+// Equal-width bins over [min, max]; the last bin includes max
+export function histogram(sorted, bins) {
+  if (!sorted.length) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (max - min < 1e-9) return [{ from: min, to: max, count: sorted.length }];
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  for (const v of sorted) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+function summarize(values, bins) {
+  const sorted = Float64Array.from(values).sort();
+  const mean = sorted.reduce((a, v) => a + v, 0) / (sorted.length || 1);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    mean,
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0,
+    histogram: histogram(sorted, bins),
+  };
+}
+
+/**
+ * Runs the simulation. `distributions` is keyed by UNCERTAIN_INPUTS key; missing
+ * keys stay fixed at the current value.
+ * Returns { runs, seed, current, distributions, metrics: { [metric]: { p10, p50, p90, mean, min, max, histogram } }, probPixelWins }
+ * where probPixelWins is the share of runs with delta revenue > 0.
+ */
+export function simulate(inputs = {}, distributions = {}, options = {}, table = CITY_TABLE) {
+  const o = { ...DEFAULT_SIMULATION, ...options };
+  const runs = Math.round(clamp(Number.isFinite(o.runs) ? o.runs : DEFAULT_SIMULATION.runs, SIMULATION_LIMITS.runs));
+  const bins = Math.round(clamp(Number.isFinite(o.bins) ? o.bins : DEFAULT_SIMULATION.bins, SIMULATION_LIMITS.bins));
+  const rng = createRng(o.seed);
+
+  const resolved = resolveInputs(inputs);
+  const base = project(resolved, table);
+  const current = currentAssumptions(resolved, table);
+  const dists = Object.fromEntries(UNCERTAIN_INPUTS.map(({ key }) => [key, normalizeDistribution(distributions[key], key, current[key])]));
+
+  const samples = Object.fromEntries(SIMULATION_METRICS.map((m) => [m.key, new Float64Array(runs)]));
+  let wins = 0;
+  for (let r = 0; r < runs; r++) {
+    const draw = {};
+    for (const { key } of UNCERTAIN_INPUTS) draw[key] = sampleDistribution(dists[key], rng);
+    const out = project(applyDraw(resolved, base, draw), table);
+    for (const m of SIMULATION_METRICS) samples[m.key][r] = out[m.key];
+    if (out.deltaRevenue > 0) wins++;
+  }
+
+  return {
+    runs,
+    seed: o.seed,
+    current,
+    distributions: dists,
+    metrics: Object.fromEntries(SIMULATION_METRICS.map((m) => [m.key, summarize(samples[m.key], bins)])),
+    probPixelWins: wins / runs,
+  };
+}
@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { project } from "./projection.js";
+import {
+  createRng,
+  currentAssumptions,
+  defaultDistributions,
+  histogram,
+  normalizeDistribution,
+  percentile,
+  sampleDistribution,
+  simulate,
+} from "./montecarlo.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+
+test("the RNG is deterministic per seed and stays in [0, 1)", () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const c = createRng(43);
+  const xs = Array.from({ length: 1000 }, () => a());
+  assert.deepEqual(xs.slice(0, 5), Array.from({ length: 5 }, () => b()));
+  assert.notEqual(xs[0], c());
+  assert.ok(xs.every((x) => x >= 0 && x < 1));
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.05);
+});
+
+test("samples respect each distribution's bounds and centre", () => {
+  const rng = createRng(7);
+  const draw = (d, n = 4000) => Array.from({ length: n }, () => sampleDistribution(d, rng));
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+  const u = draw({ type: "uniform", min: 0.1, max: 0.3 });
+  assert.ok(u.every((x) => x >= 0.1 && x <= 0.3));
+  assert.ok(Math.abs(mean(u) - 0.2) < 0.005);
+
+  const t = draw({ type: "triangular", min: 0, mode: 0.3, max: 0.6 });
+  assert.ok(t.every((x) => x >= 0 && x <= 0.6));
+  assert.ok(Math.abs(mean(t) - 0.3) < 0.01);
+
+  const n = draw({ type: "normal", mean: 0.2, sd: 0.5, min: 0, max: 1 });
+  assert.ok(n.every((x) => x >= 0 && x <= 1), "normal draws are clamped");
+  assert.equal(sampleDistribution({ type: "fixed", value: 3 }, rng), 3);
+});
+
+test("distribution parameters are normalized", () => {
+  assert.deepEqual(normalizeDistribution({ type: "uniform", min: 0.4, max: 0.1 }, "closeRate", 0.25), { type: "uniform", min: 0.1, max: 0.4 });
+  assert.deepEqual(normalizeDistribution({ type: "triangular", min: 0.1, mode: 0.9, max: 1.5 }, "closeRate", 0.25), { type: "triangular", min: 0.1, mode: 0.9, max: 1 });
+  assert.deepEqual(normalizeDistribution({ type: "normal", mean: 20, sd: -1 }, "cpl", 20), { type: "normal", mean: 20, sd: 0, min: 0.01, max: 10000 });
+  assert.deepEqual(normalizeDistribution(undefined, "closeRate", 0.25), { type: "fixed", value: 0.25 });
+  assert.deepEqual(normalizeDistribution({ type: "lognormal" }, "uplift", 0.15), { type: "fixed", value: 0.15 });
+});
+
+test("percentiles interpolate and histograms count every value", () => {
+  const sorted = Float64Array.from([1, 2, 3, 4, 5]);
+  assert.equal(percentile(sorted, 0.5), 3);
+  approx(percentile(sorted, 0.1), 1.4);
+  assert.equal(percentile(sorted, 1), 5);
+  const h = histogram(Float64Array.from([0, 1, 2, 3, 4, 10]), 5);
+  assert.equal(h.length, 5);
+  assert.equal(h.reduce((s, b) => s + b.count, 0), 6);
+  assert.equal(h[4].count, 1);
+  assert.deepEqual(histogram(Float64Array.from([2, 2]), 5), [{ from: 2, to: 2, count: 2 }]);
+});
+
+test("all-fixed assumptions reproduce the point estimate", () => {
+  const out = project();
+  const sim = simulate({}, {}, { runs: 200 });
+  assert.equal(sim.runs, 200);
+  approx(sim.metrics.pixelRevenue.p10, out.pixelRevenue);
+  approx(sim.metrics.pixelRevenue.p90, out.pixelRevenue);
+  approx(sim.metrics.pixelClosed.p50, out.pixelClosed);
+  approx(sim.metrics.deltaRevenue.mean, out.deltaRevenue);
+  assert.equal(sim.probPixelWins, 1);
+  const cur = currentAssumptions();
+  approx(cur.cpl, 21.6);
+  approx(cur.acv, 17500);
+});
+
+test("same seed, same bands; ranges widen them in order", () => {
+  const dists = defaultDistributions(currentAssumptions());
+  const a = simulate({}, dists, { runs: 1000, seed: 9 });
+  const b = simulate({}, dists, { runs: 1000, seed: 9 });
+  assert.deepEqual(a.metrics, b.metrics);
+  const m = a.metrics.pixelRevenue;
+  assert.ok(m.p10 < m.p50 && m.p50 < m.p90);
+  assert.ok(m.min <= m.p10 && m.p90 <= m.max);
+  assert.notDeepEqual(simulate({}, dists, { runs: 1000, seed: 10 }).metrics.pixelRevenue.p50, m.p50);
+});
+
+test("probability Pixel wins reflects uplift that can go negative", () => {
+  // no funded media: Pixel only wins when its CPL is lower
+  const sim = simulate({ pmc: 0 }, { uplift: { type: "uniform", min: -0.2, max: 0.2 } }, { runs: 4000, seed: 3 });
+  assert.ok(Math.abs(sim.probPixelWins - 0.5) < 0.05, `got ${sim.probPixelWins}`);
+  assert.equal(simulate({}, {}, { runs: 100 }).probPixelWins, 1);
+});
+
+test("CPL and ACV draws map onto the channel mix and commission", () => {
+  const fixedCpl = simulate({ city: "Houston, TX" }, { cpl: { type: "uniform", min: 40, max: 40 }, acv: { type: "uniform", min: 10000, max: 10000 } }, { runs: 100 });
+  const expected = project({ city: "Houston, TX", mix: { meta: { baseCpl: 40 } }, commissionRate: 10000 / 330000 });
+  approx(fixedCpl.metrics.pixelRevenue.p50, expected.pixelRevenue);
+});
@@ -0,0 +1,294 @@
+/**
+ * Funnel profiles and ACV models — so the same console fits agents, lenders
+ * and brokerages.
+ *
+ * A profile is an ordered list of funnel stages. "lead", "appt" and "closed"
+ * are always there: the lead -> appt rate is each channel's apptRate and the
+ * appt -> closed rate is closeRate, whatever the profile calls those stages.
+ * Any other stage is an extra step with its own rate (inputs.stageRates[key]),
+ * either before the appointment stage (lead -> contacted) or after it
+ * (appointment -> showed). Profiles also carry display labels, their defaults
+ * and glossary entries.
+ *
+ * A scenario may replace its profile's extra stages with its own list
+ * (inputs.stages: [{ key, label, rate, at: "before" | "after" }], rate = the
+ * default conversion, at = before or after appointments); null keeps the
+ * profile's. Custom profiles are a built-in profile plus such a list, named
+ * and kept in a per-browser library with JSON import/export.
+ *
+ * An ACV model turns the metro and its parameters into revenue per closed
+ * client. commissionRate stays a top-level input (it predates models); every
+ * other parameter lives in inputs.acvParams.
+ */
+
+// ---------------- ACV models ----------------
+// fields: parameters the model reads (commissionRate top-level, others in acvParams)
+export const ACV_MODELS = [
+  {
+    id: "commission",
+    label: "Commission on metro price",
+    fields: ["commissionRate"],
+    acv: (metro, p) => metro.avg * p.commissionRate,
+    describe: (metro, p, fmt) => `${fmt.money(metro.avg)} × ${fmt.pct(p.commissionRate)} commission`,
+    glossary: [],
+  },
+  {
+    id: "flat",
+    label: "Flat deal value",
+    fields: ["dealValue"],
+    acv: (metro, p) => p.dealValue,
+    describe: (metro, p, fmt) => `${fmt.money(p.dealValue)} per deal`,
+    glossary: [{ term: "Deal Value", text: "Flat revenue per closed client, regardless of metro price." }],
+  },
+  {
+    id: "mortgage",
+    label: "Mortgage basis points",
+    fields: ["loanToValue", "bps"],
+    acv: (metro, p) => metro.avg * p.loanToValue * (p.bps / 10000),
+    describe: (metro, p, fmt) => `${p.bps} bps on ${fmt.money(metro.avg * p.loanToValue)} loan (${fmt.pct(p.loanToValue)} of ${fmt.money(metro.avg)})`,
+    glossary: [
+      { term: "Basis Points (bps)", text: "Lender revenue as hundredths of a percent of the loan amount: 100 bps = 1%." },
+      { term: "Loan-to-Value", text: "Loan amount as a share of the metro average price." },
+    ],
+  },
+  {
+    id: "ltv",
+    label: "Lifetime value",
+    fields: ["dealValue", "repeatRate"],
+    // Each client brings repeatRate more deals on average (repeat + referral), compounding
+    acv: (metro, p) => p.dealValue / (1 - p.repeatRate),
+    describe: (metro, p, fmt) => `${fmt.money(p.dealValue)} per deal ÷ (1 - ${fmt.pct(p.repeatRate)} repeat/referral)`,
+    glossary: [{ term: "Lifetime Value", text: "Deal value grossed up for repeat and referral business: deal value ÷ (1 - repeat/referral rate)." }],
+  },
+];
+
+// Field metadata for every model parameter (URL ranges, editor labels)
+export const ACV_FIELDS = {
+  commissionRate: { label: "Commission rate", format: "pct", range: [0, 1] },
+  dealValue: { label: "Deal value ($)", format: "money", range: [0, 10000000] },
+  loanToValue: { label: "Loan-to-value", format: "pct", range: [0, 1] },
+  bps: { label: "Basis points", format: "bps", range: [0, 1000] },
+  repeatRate: { label: "Repeat/referral rate", format: "pct", range: [0, 0.9] },
+};
+
+export const DEFAULT_ACV_PARAMS = { dealValue: 10000, loanToValue: 0.8, bps: 100, repeatRate: 0.2 };
+
+export function findAcvModel(id) {
+  return ACV_MODELS.find((m) => m.id === id) || ACV_MODELS[0];
+}
+
+// ---------------- Funnel profiles ----------------
+// stages: ordered; rate = default conversion from the previous stage for extra stages.
+// labels: singular/plural nouns for the appt and closed stages plus their rate fields.
+export const FUNNEL_PROFILES = [
+  {
+    id: "agent",
+    label: "Real estate agent",
+    stages: [
+      { key: "lead", label: "Leads" },
+      { key: "appt", label: "Appointments" },
+      { key: "closed", label: "Closed clients" },
+    ],
+    labels: { appt: "Appointment", appts: "Appointments", closed: "Closed client", closedPlural: "Closed clients", closeRate: "% appointments that close" },
+    defaults: { acvModel: "commission", commissionRate: 0.025, closeRate: 0.25 },
+    glossary: [],
+  },
+  {
+    id: "lender",
+    label: "Mortgage lender",
+    stages: [
+      { key: "lead", label: "Leads" },
+      { key: "contacted", label: "Contacted", rate: 0.6 },
+      { key: "appt", label: "Applications" },
+      { key: "closed", label: "Funded loans" },
+    ],
+    labels: { appt: "Application", appts: "Applications", closed: "Funded loan", closedPlural: "Funded loans", closeRate: "% applications that fund" },
+    defaults: { acvModel: "mortgage", commissionRate: 0.025, closeRate: 0.5, acvParams: { loanToValue: 0.8, bps: 100 } },
+    glossary: [
+      { term: "Contacted", text: "Leads a loan officer reached by phone or text." },
+      { term: "Application", text: "A contacted lead who submits a loan application (the channel rate is Contacted -> Application)." },
+      { term: "Funded Loan", text: "An application that closes and funds; lender revenue is earned here." },
+    ],
+  },
+  {
+    id: "brokerage",
+    label: "Brokerage",
+    stages: [
+      { key: "lead", label: "Leads" },
+      { key: "contacted", label: "Contacted", rate: 0.7 },
+      { key: "appt", label: "Appointments" },
+      { key: "showed", label: "Showed", rate: 0.8 },
+      { key: "closed", label: "Closed clients" },
+    ],
+    labels: { appt: "Appointment", appts: "Appointments", closed: "Closed client", closedPlural: "Closed clients", closeRate: "% shown appointments that close" },
+    defaults: { acvModel: "ltv", commissionRate: 0.025, closeRate: 0.3, acvParams: { dealValue: 9000, repeatRate: 0.2 } },
+    glossary: [
+      { term: "Contacted", text: "Leads an agent on the team reached by phone or text." },
+      { term: "Showed", text: "Booked appointments the client actually attended." },
+    ],
+  },
+];
+
+export const DEFAULT_PROFILE = FUNNEL_PROFILES[0].id;
+
+const ANCHORS = ["lead", "appt", "closed"];
+
+export function findProfile(id) {
+  return FUNNEL_PROFILES.find((p) => p.id === id) || FUNNEL_PROFILES[0];
+}
+
+// Extra stages (not lead/appt/closed) of every profile, for share-link keys
+export const EXTRA_STAGE_KEYS = [...new Set(FUNNEL_PROFILES.flatMap((p) => p.stages.filter((s) => !ANCHORS.includes(s.key)).map((s) => s.key)))];
+
+// ---------------- Stage lists ----------------
+export const STAGE_LIMITS = { count: 4, label: 40 };
+
+// Stage keys are share-link suffixes (stage.<key>): lowercase words joined by dashes
+export const STAGE_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export function stageKey(label) {
+  return String(label).toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 24).replace(/-$/, "");
+}
+
+// A profile's own extra stages as a stage list
+export function profileStages(profileId) {
+  const { stages } = findProfile(profileId);
+  const apptAt = stages.findIndex((s) => s.key === "appt");
+  return stages
+    .map((s, i) => ({ key: s.key, label: s.label, rate: s.rate, at: i < apptAt ? "before" : "after" }))
+    .filter((s) => !ANCHORS.includes(s.key));
+}
+
+/**
+ * Validates a stage list. Returns { stages } or { error }. Keys must be unique,
+ * match STAGE_KEY_PATTERN and not be lead/appt/closed; rates are 0–1.
+ */
+export function validateStages(raw) {
+  if (!Array.isArray(raw)) return { error: "stages is not a list" };
+  if (raw.length > STAGE_LIMITS.count) return { error: `at most ${STAGE_LIMITS.count} extra stages` };
+  const stages = [];
+  for (const s of raw) {
+    if (!s || typeof s !== "object") return { error: "stage is not an object" };
+    const label = typeof s.label === "string" ? s.label.replace(/\s+/g, " ").trim() : "";
+    if (!label || label.length > STAGE_LIMITS.label) return { error: `stage label must be 1–${STAGE_LIMITS.label} characters` };
+    const key = s.key === undefined ? stageKey(label) : s.key;
+    if (typeof key !== "string" || !STAGE_KEY_PATTERN.test(key) || ANCHORS.includes(key)) return { error: `stage key "${key}" is not usable` };
+    if (stages.some((x) => x.key === key)) return { error: `stage key "${key}" is used twice` };
+    const rate = typeof s.rate === "string" ? Number(s.rate) : s.rate;
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1) return { error: `stage "${label}" rate is not between 0 and 1` };
+    if (s.at !== "before" && s.at !== "after") return { error: `stage "${label}" must be before or after appointments` };
+    stages.push({ key, label, rate, at: s.at });
+  }
+  // before-appointment stages first, each group in the given order
+  return { stages: [...stages.filter((s) => s.at === "before"), ...stages.filter((s) => s.at === "after")] };
+}
+
+// Default rates for the extra stages (the scenario's list, else the profile's)
+export function defaultStageRates(profileId, stages = null) {
+  return Object.fromEntries((stages || profileStages(profileId)).map((s) => [s.key, s.rate]));
+}
+
+/**
+ * The scenario's stages with their rate source and position:
+ * [{ key, label, rate, anchor, from }] where rate is the stage's conversion from
+ * the previous one (null for lead; appt rates vary by channel), and `from` is
+ * the previous stage's label. Anchor labels come from the profile; extra stages
+ * from `stages` when given, else the profile.
+ * Also returns the products of extra-stage rates before and after "appt".
+ */
+export function funnelStages(profileId, stageRates = {}, closeRate = 0, stages = null) {
+  const profile = findProfile(profileId);
+  const anchor = (key) => profile.stages.find((s) => s.key === key);
+  const extras = stages || profileStages(profileId);
+  const list = [
+    anchor("lead"),
+    ...extras.filter((s) => s.at === "before"),
+    anchor("appt"),
+    ...extras.filter((s) => s.at === "after"),
+    anchor("closed"),
+  ];
+  let beforeAppt = 1;
+  let afterAppt = 1;
+  const out = list.map((s, i) => {
+    const from = i > 0 ? list[i - 1].label : null;
+    if (ANCHORS.includes(s.key)) {
+      return { key: s.key, label: s.label, rate: s.key === "closed" ? closeRate : null, anchor: true, from };
+    }
+    const rate = stageRates[s.key] ?? s.rate;
+    if (s.at === "before") beforeAppt *= rate;
+    else afterAppt *= rate;
+    return { key: s.key, label: s.label, rate, anchor: false, from };
+  });
+  return { stages: out, beforeAppt, afterAppt };
+}
+
+/**
+ * Inputs that switch the scenario to a profile: its ACV model, close rate,
+ * commission, model parameters and extra-stage rates. Spend, metro, credits,
+ * channels and fees are kept. A custom profile (see below) brings its stage list.
+ */
+export function applyProfile(inputs, profileId, custom = null) {
+  const profile = findProfile(profileId);
+  const { acvParams, ...rest } = profile.defaults;
+  const stages = custom ? custom.stages : null;
+  return {
+    ...inputs,
+    ...rest,
+    profile: profile.id,
+    acvParams: { ...DEFAULT_ACV_PARAMS, ...acvParams },
+    stages,
+    stageRates: defaultStageRates(profile.id, stages),
+  };
+}
+
+// ---------------- Custom profiles ----------------
+// { id, label, base, stages }: a built-in profile (labels, defaults, ACV model)
+// with its own extra stages. Saved per browser; teams share them as JSON.
+
+const sameStages = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Validates one custom profile. Returns { profile } or { error }.
+export function validateCustomProfile(raw) {
+  if (!raw || typeof raw !== "object") return { error: "not an object" };
+  const label = typeof raw.label === "string" ? raw.label.trim() : "";
+  if (!label) return { error: "missing label" };
+  if (!FUNNEL_PROFILES.some((p) => p.id === raw.base)) return { error: `unknown base profile "${raw.base}"` };
+  const { stages, error } = validateStages(raw.stages);
+  if (error) return { error };
+  const id = typeof raw.id === "string" && raw.id ? raw.id : stageKey(label) || "custom";
+  return { profile: { id, label, base: raw.base, stages } };
+}
+
+// Adds or replaces by id
+export function upsertCustomProfile(library, profile) {
+  const i = library.findIndex((p) => p.id === profile.id);
+  return i < 0 ? [...library, profile] : library.map((p, j) => (j === i ? profile : p));
+}
+
+export function removeCustomProfile(library, id) {
+  return library.filter((p) => p.id !== id);
+}
+
+// The custom profile whose base and stage list the scenario matches, if any
+export function matchCustomProfile(library, { profile, stages }) {
+  return (stages && library.find((p) => p.base === profile && sameStages(p.stages, stages))) || null;
+}
+
+// Accepts an exported file or a bare array. Returns { profiles, rejected: [{ row, label, error }] }.
+export function parseProfileFile(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data && data.profiles;
+  if (!Array.isArray(rows)) throw new Error("No funnel profiles found in file.");
+  const profiles = [];
+  const rejected = [];
+  rows.forEach((raw, i) => {
+    const { profile, error } = validateCustomProfile(raw);
+    if (profile) profiles.push(profile);
+    else rejected.push({ row: i + 1, label: raw && typeof raw.label === "string" ? raw.label : "", error });
+  });
+  return { profiles, rejected };
+}
+
+export function profilesToJson(library, now = new Date()) {
+  return JSON.stringify({ exportedAt: now.toISOString(), profiles: library }, null, 2);
+}
@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, project, resolveInputs } from "./projection.js";
+import {
+  ACV_MODELS,
+  applyProfile,
+  findAcvModel,
+  funnelStages,
+  matchCustomProfile,
+  parseProfileFile,
+  profileStages,
+  profilesToJson,
+  validateStages,
+} from "./profiles.js";
+import { decodeScenario, encodeScenario } from "./scenarioParams.js";
+import { mergeInputs } from "./embed.js";
+import { projectTimeline } from "./timeline.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+const flat = { months: 3, rampPenalty: 0, rampMonths: 1, closeLagMonths: 0, creditMonths: 24 };
+
+test("each ACV model prices a closed client from the metro", () => {
+  const metro = { avg: 500000 };
+  const p = { commissionRate: 0.03, dealValue: 8000, loanToValue: 0.8, bps: 125, repeatRate: 0.25 };
+  const acv = Object.fromEntries(ACV_MODELS.map((m) => [m.id, m.acv(metro, p)]));
+  assert.deepEqual(acv, { commission: 15000, flat: 8000, mortgage: 5000, ltv: 8000 / 0.75 });
+  assert.equal(findAcvModel("nope").id, "commission");
+
+  const out = project({ acvModel: "mortgage", acvParams: { loanToValue: 0.8, bps: 100 } });
+  approx(out.acv, 700000 * 0.8 * 0.01);
+  approx(out.pixelRevenue, out.pixelClosed * out.acv);
+});
+
+test("the agent profile keeps the three-stage funnel", () => {
+  const base = project();
+  const agent = project(applyProfile(DEFAULT_INPUTS, "agent"));
+  approx(agent.pixelRevenue, base.pixelRevenue);
+  assert.deepEqual(base.stages.map((s) => s.key), ["lead", "appt", "closed"]);
+  approx(base.apptToClose, 0.25);
+});
+
+test("lender and brokerage stages scale the funnel", () => {
+  const lender = project(applyProfile(DEFAULT_INPUTS, "lender"));
+  // Leads -> Contacted (60%) -> Applications (channel rate) -> Funded (50%)
+  approx(lender.pixelAppts, lender.pixelLeads * 0.6 * 0.2);
+  approx(lender.pixelClosed, lender.pixelAppts * 0.5);
+  approx(lender.apptRate, 0.2);
+  assert.deepEqual(lender.stages.map((s) => [s.key, s.from]), [["lead", null], ["contacted", "Leads"], ["appt", "Contacted"], ["closed", "Applications"]]);
+  approx(lender.stages[1].pixel, lender.pixelLeads * 0.6);
+
+  const brokerage = project({ ...applyProfile(DEFAULT_INPUTS, "brokerage"), stageRates: { contacted: 0.5, showed: 0.9 } });
+  approx(brokerage.pixelAppts, brokerage.pixelLeads * 0.5 * 0.2);
+  approx(brokerage.pixelClosed, brokerage.pixelAppts * 0.9 * 0.3);
+  approx(brokerage.stages.find((s) => s.key === "showed").competitor, brokerage.competitorAppts * 0.9);
+  approx(brokerage.acv, 9000 / 0.8);
+
+  const { beforeAppt, afterAppt } = funnelStages("brokerage", { contacted: 0.5 }, 0.3);
+  assert.deepEqual([beforeAppt, afterAppt], [0.5, 0.8]);
+});
+
+test("applying a profile loads its defaults and keeps spend and metro", () => {
+  const next = applyProfile({ ...DEFAULT_INPUTS, city: "Austin, TX", spend: 2500 }, "lender");
+  assert.equal(next.profile, "lender");
+  assert.equal(next.acvModel, "mortgage");
+  assert.equal(next.closeRate, 0.5);
+  assert.deepEqual(next.stageRates, { contacted: 0.6 });
+  assert.equal(next.city, "Austin, TX");
+  assert.equal(next.spend, 2500);
+  assert.deepEqual(applyProfile(next, "agent").stageRates, {});
+});
+
+test("profile, ACV model and stage rates round-trip through share links", () => {
+  const state = { ...applyProfile(DEFAULT_INPUTS, "brokerage"), acvParams: { dealValue: 12000, loanToValue: 0.8, bps: 100, repeatRate: 0.3 }, stageRates: { contacted: 0.65, showed: 0.75 } };
+  const query = encodeScenario(state);
+  assert.match(query, /profile=brokerage/);
+  assert.match(query, /acv\.dealValue=12000/);
+  assert.match(query, /stage\.showed=0\.75/);
+  const { state: back, notices } = decodeScenario(query);
+  assert.deepEqual(notices, []);
+  assert.equal(back.profile, "brokerage");
+  assert.equal(back.acvModel, "ltv");
+  assert.deepEqual(back.acvParams, state.acvParams);
+  assert.deepEqual(back.stageRates, state.stageRates);
+
+  const bad = decodeScenario("profile=insurer&acvModel=magic&acv.bps=5000&stage.showed=2");
+  assert.equal(bad.state.profile, "agent");
+  assert.equal(bad.state.acvModel, "commission");
+  assert.equal(bad.notices.length, 4);
+});
+
+test("extra stages can be added, renamed and removed, and the list travels with the scenario", () => {
+  // Agent funnel plus a pre-qualification step, with Showed renamed Toured
+  const brokerage = profileStages("brokerage");
+  assert.deepEqual(brokerage.map((s) => [s.key, s.at]), [["contacted", "before"], ["showed", "after"]]);
+  const stages = [{ key: "showed", label: "Toured", rate: 0.8, at: "after" }, { label: "Pre-qualified", rate: 0.5, at: "before" }];
+  const { stages: edited } = validateStages(stages);
+  assert.deepEqual(edited.map((s) => s.key), ["pre-qualified", "showed"]);
+
+  const inputs = { ...DEFAULT_INPUTS, profile: "agent", stages: edited, stageRates: { showed: 0.6, contacted: 0.9 } };
+  const out = project(inputs);
+  assert.deepEqual(out.stages.map((s) => s.label), ["Leads", "Pre-qualified", "Appointments", "Toured", "Closed clients"]);
+  approx(out.pixelRevenue, project().pixelRevenue * 0.5 * 0.6);
+  const resolved = resolveInputs(inputs);
+  assert.deepEqual(resolved.stageRates, { "pre-qualified": 0.5, showed: 0.6 }); // Contacted is not in this funnel
+
+  const query = encodeScenario(resolved);
+  assert.match(query, /stage\.pre-qualified=0\.5/);
+  assert.doesNotMatch(query, /stage\.contacted/);
+  const { state: back, notices } = decodeScenario(query);
+  assert.deepEqual(notices, []);
+  assert.deepEqual(back.stages, edited);
+  approx(project(back).pixelRevenue, out.pixelRevenue);
+  assert.equal(applyProfile(back, "agent").stages, null); // picking a profile brings its own stages
+
+  // Removing every extra stage leaves Lead -> Appointment -> Closed
+  approx(project({ ...inputs, stages: [] }).pixelRevenue, project().pixelRevenue);
+
+  assert.match(validateStages([{ key: "appt", label: "Booked", rate: 0.5, at: "before" }]).error, /not usable/);
+  assert.match(validateStages([...edited, { key: "showed", label: "Again", rate: 0.5, at: "after" }]).error, /used twice/);
+  assert.match(validateStages([{ label: " ", rate: 0.5, at: "before" }]).error, /label/);
+  assert.match(decodeScenario("stages=%5B%7B%22label%22%3A%22x%22%7D%5D").notices[0], /not a valid stage list/);
+});
+
+test("custom profiles validate, round-trip through JSON and match the scenario", () => {
+  const { profiles, rejected } = parseProfileFile(JSON.stringify([
+    { label: "Luxury team", base: "brokerage", stages: [{ label: "Vetted", rate: 0.4, at: "before" }] },
+    { label: "Insurer", base: "insurer", stages: [] },
+  ]));
+  assert.deepEqual(rejected, [{ row: 2, label: "Insurer", error: 'unknown base profile "insurer"' }]);
+  const [luxury] = profiles;
+  assert.equal(luxury.id, "luxury-team");
+  assert.deepEqual(parseProfileFile(profilesToJson(profiles)).profiles, profiles);
+
+  const state = applyProfile({ ...DEFAULT_INPUTS, spend: 2500 }, luxury.base, luxury);
+  assert.equal(state.spend, 2500);
+  assert.equal(state.acvModel, "ltv");
+  assert.deepEqual(state.stageRates, { vetted: 0.4 });
+  assert.equal(matchCustomProfile(profiles, state), luxury);
+  assert.equal(matchCustomProfile(profiles, applyProfile(state, "brokerage")), null);
+});
+
+test("an embed host switching profile gets the profile's defaults", () => {
+  const { state, notices } = mergeInputs(DEFAULT_INPUTS, { profile: "lender", closeRate: 0.4 });
+  assert.deepEqual(notices, []);
+  assert.equal(state.acvModel, "mortgage");
+  assert.equal(state.closeRate, 0.4);
+  assert.deepEqual(state.stageRates, { contacted: 0.6 });
+});
+
+test("the timeline runs every month through the extra stages", () => {
+  const inputs = applyProfile(DEFAULT_INPUTS, "brokerage");
+  const one = project(inputs);
+  const t = projectTimeline(inputs, flat);
+  for (const m of t.months) {
+    approx(m.pixel.appts, one.pixelAppts);
+    approx(m.pixel.revenue, one.pixelRevenue);
+  }
+});
@@ -0,0 +1,336 @@
+/**
+ * PIXEL CREATIVE STUDIO — Projection engine
+ * -----------------------------------------
+ * Pure funnel math shared by the console UI and the batch CLI.
+ * Inputs object in, outputs object out. No React, no DOM.
+ *
+ * Funnel: spend -> leads (CPL) -> appointments (apptRate) -> closed (closeRate) -> revenue (ACV)
+ * - Funnel profiles (./profiles.js) may add stages with their own rates before or after
+ *   appointments (lead -> contacted -> appointment -> showed -> closed) and rename them;
+ *   a scenario may carry its own extra stages instead (inputs.stages).
+ * - Spend is split across CHANNEL_TABLE by the channel mix; each channel runs its own funnel
+ *   and the blended outputs are the sums (CPL/CPA are budget over leads/appointments).
+ * - Competitor CPL = channel baseline CPL × metro multiplier.
+ * - Pixel CPL = competitor CPL × (1 - uplift).
+ * - Pixel budget = client spend + funded media (PMC+GPC, clamped to fundedCap) that the
+ *   channel shares allocate; with every share at 0 nothing is allocated.
+ * - ACV comes from the profile's ACV model; the default is metro avg price × commission rate.
+ */
+import { DEFAULT_ACV_PARAMS, DEFAULT_PROFILE, defaultStageRates, findAcvModel, findProfile, funnelStages, validateStages } from "./profiles.js";
+
+// ---------------- City table ----------------
+// mult = relative CPL multiplier; avg = rough metro average home value (USD)
+export const CITY_TABLE = [
+  { city: "New York, NY", mult: 1.35, avg: 700000 },
+  { city: "San Francisco, CA", mult: 1.35, avg: 1200000 },
+  { city: "Los Angeles, CA", mult: 1.3, avg: 900000 },
+  { city: "Miami, FL", mult: 1.3, avg: 600000 },
+  { city: "Boston, MA", mult: 1.3, avg: 800000 },
+  { city: "Washington, DC", mult: 1.3, avg: 750000 },
+  { city: "San Jose, CA", mult: 1.3, avg: 1300000 },
+  { city: "Seattle, WA", mult: 1.25, avg: 850000 },
+  { city: "San Diego, CA", mult: 1.25, avg: 900000 },
+  { city: "Austin, TX", mult: 1.2, avg: 480000 },
+  { city: "Denver, CO", mult: 1.2, avg: 550000 },
+  { city: "Chicago, IL", mult: 1.2, avg: 360000 },
+  { city: "Philadelphia, PA", mult: 1.2, avg: 350000 },
+  { city: "Portland, OR", mult: 1.2, avg: 525000 },
+  { city: "Phoenix, AZ", mult: 1.2, avg: 450000 },
+  { city: "Dallas, TX", mult: 1.15, avg: 420000 },
+  { city: "Atlanta, GA", mult: 1.15, avg: 400000 },
+  { city: "Tampa, FL", mult: 1.15, avg: 380000 },
+  { city: "Charlotte, NC", mult: 1.15, avg: 380000 },
+  { city: "Nashville, TN", mult: 1.15, avg: 475000 },
+  { city: "Orlando, FL", mult: 1.15, avg: 380000 },
+  { city: "Houston, TX", mult: 1.0, avg: 330000 },
+  { city: "Minneapolis, MN", mult: 1.0, avg: 370000 },
+  { city: "Raleigh, NC", mult: 1.0, avg: 420000 },
+  { city: "Salt Lake City, UT", mult: 1.0, avg: 500000 },
+  { city: "Las Vegas, NV", mult: 1.0, avg: 430000 },
+  { city: "San Antonio, TX", mult: 1.0, avg: 320000 },
+  { city: "Columbus, OH", mult: 1.0, avg: 300000 },
+  { city: "Indianapolis, IN", mult: 1.0, avg: 290000 },
+  { city: "Cincinnati, OH", mult: 1.0, avg: 285000 },
+  { city: "Kansas City, MO", mult: 1.0, avg: 310000 },
+  { city: "St. Louis, MO", mult: 1.0, avg: 280000 },
+  { city: "Oklahoma City, OK", mult: 0.9, avg: 260000 },
+  { city: "Jacksonville, FL", mult: 0.9, avg: 325000 },
+  { city: "Cleveland, OH", mult: 0.9, avg: 220000 },
+  { city: "Pittsburgh, PA", mult: 0.9, avg: 275000 },
+  { city: "Milwaukee, WI", mult: 0.9, avg: 285000 },
+  { city: "San Juan, PR", mult: 0.85, avg: 300000 },
+];
+
+// Used when a metro is not in the table
+export const FALLBACK_METRO = { mult: 1, avg: 350000 };
+
+// ---------------- Channel table ----------------
+// One entry per ad channel. Adding a channel (YouTube, Zillow...) is a new row here:
+// inputs, share links, the batch CLI and the UI all read from this table.
+// baseCpl = typical CPL before metro multiplier; apptRate = default lead -> appointment rate
+export const CHANNEL_TABLE = [
+  { id: "meta", label: "Meta (FB/IG)", baseCpl: 16, apptRate: 0.2 },
+  { id: "google", label: "Google Search", baseCpl: 85, apptRate: 0.2 },
+];
+
+// Baseline CPLs accepted from inputs, links and calibration
+export const BASE_CPL_RANGE = [1, 10000];
+
+// Calibrated baseline CPLs ({ id, baseCpl, asOf }, e.g. from post-launch actuals)
+// persist per browser and replace the built-in baseCpl for new scenarios.
+// Returns the channel table with them applied; asOf marks a calibrated channel.
+export function applyBaselineOverrides(overrides, base = CHANNEL_TABLE) {
+  const byId = new Map(overrides.map((o) => [o.id, o]));
+  return base.map((c) => (byId.has(c.id) ? { ...c, baseCpl: byId.get(c.id).baseCpl, asOf: byId.get(c.id).asOf } : c));
+}
+
+// Returns the override, or null for an unknown channel or an out-of-range CPL
+export function validateBaselineOverride(raw) {
+  if (!raw || typeof raw !== "object" || !CHANNEL_TABLE.some((c) => c.id === raw.id)) return null;
+  const [min, max] = BASE_CPL_RANGE;
+  if (!Number.isFinite(raw.baseCpl) || raw.baseCpl < min || raw.baseCpl > max) return null;
+  return { id: raw.id, baseCpl: raw.baseCpl, asOf: typeof raw.asOf === "string" ? raw.asOf : null };
+}
+
+// Legacy single-channel inputs (pre channel mix) and the channel each CPL belonged to
+const LEGACY_CPL_KEYS = { baseMeta: "meta", baseGoogle: "google" };
+
+// share = fraction of client spend; fundedShare = fraction of funded media when fundedSplit is 'custom'.
+// Shares are normalized, so they need not add up to exactly 1.
+function defaultMix(channels = CHANNEL_TABLE) {
+  return Object.fromEntries(channels.map((c, i) => {
+    const share = i === 0 ? 1 : 0;
+    return [c.id, { share, baseCpl: c.baseCpl, apptRate: c.apptRate, fundedShare: share }];
+  }));
+}
+
+// Management fees for each side: flat monthly, % of client ad spend, one-time setup
+// and contract length in months. Zero by default, so the gross comparison is
+// unchanged until fees are entered. Net ROI math lives in ./roi.js.
+export const FEE_SIDES = ["pixel", "competitor"];
+
+function defaultFees() {
+  return Object.fromEntries(FEE_SIDES.map((side) => [side, { monthly: 0, pctOfSpend: 0, setup: 0, contractMonths: 12 }]));
+}
+
+// Calculator defaults (same values the console starts with)
+export const DEFAULT_INPUTS = {
+  city: CITY_TABLE[0].city,
+  spend: 1000,
+  pmc: 500, // Pixel Media Credit
+  gpc: 0, // Growth Partner Credit
+  uplift: 0.15, // 15% lower CPL vs competitor
+  commissionRate: 0.025, // 2.5%
+  closeRate: 0.25, // % appointments that close
+  fundedCap: 1300,
+  fundedSplit: "spend", // 'spend' (follow spend split) | 'custom' (mix[].fundedShare)
+  mix: defaultMix(),
+  fees: defaultFees(),
+  profile: DEFAULT_PROFILE, // funnel profile id (./profiles.js)
+  acvModel: "commission", // 'commission' | 'flat' | 'mortgage' | 'ltv'
+  acvParams: DEFAULT_ACV_PARAMS, // dealValue, loanToValue, bps, repeatRate
+  stages: null, // custom extra stages [{ key, label, rate, at }] (null = the profile's)
+  stageRates: {}, // extra funnel stage rates by stage key (stage defaults fill the rest)
+};
+
+// DEFAULT_INPUTS with the channel baselines of `channels` (see applyBaselineOverrides)
+export function defaultInputsFor(channels = CHANNEL_TABLE) {
+  return { ...DEFAULT_INPUTS, mix: defaultMix(channels) };
+}
+
+// Fill defaults and translate legacy inputs (channel, baseMeta, baseGoogle, apptRate)
+// into the channel mix. Explicit mix fields win over legacy ones.
+export function resolveInputs(inputs = {}, defaults = DEFAULT_INPUTS) {
+  const { channel, apptRate, mix, fees, profile, acvModel, acvParams, stages, stageRates, ...rest } = inputs;
+  const legacy = Object.fromEntries(CHANNEL_TABLE.map((c) => [c.id, {}]));
+
+  if (channel !== undefined) {
+    for (const c of CHANNEL_TABLE) legacy[c.id].share = c.id === channel ? 1 : 0;
+  }
+  for (const [key, id] of Object.entries(LEGACY_CPL_KEYS)) {
+    if (rest[key] !== undefined && legacy[id]) legacy[id].baseCpl = rest[key];
+    delete rest[key];
+  }
+  if (apptRate !== undefined) {
+    for (const c of CHANNEL_TABLE) legacy[c.id].apptRate = apptRate;
+  }
+
+  const resolvedMix = {};
+  for (const c of CHANNEL_TABLE) {
+    resolvedMix[c.id] = { ...defaults.mix[c.id], ...legacy[c.id], ...(mix && mix[c.id]) };
+  }
+  const resolvedFees = Object.fromEntries(FEE_SIDES.map((side) => [side, { ...DEFAULT_INPUTS.fees[side], ...(fees && fees[side]) }]));
+  const resolvedProfile = findProfile(profile).id;
+  // An invalid stage list (hand-edited storage) falls back to the profile's stages
+  const resolvedStages = stages ? validateStages(stages).stages || null : null;
+  const stageDefaults = defaultStageRates(resolvedProfile, resolvedStages);
+  return {
+    ...defaults,
+    ...rest,
+    mix: resolvedMix,
+    fees: resolvedFees,
+    profile: resolvedProfile,
+    acvModel: findAcvModel(acvModel).id,
+    acvParams: { ...DEFAULT_ACV_PARAMS, ...acvParams },
+    stages: resolvedStages,
+    // rates of stages the funnel no longer has are dropped
+    stageRates: Object.fromEntries(Object.keys(stageDefaults).map((key) => [key, (stageRates && stageRates[key]) ?? stageDefaults[key]])),
+  };
+}
+
+// Normalize non-negative weights to fractions; all-zero stays all-zero
+function normalize(weights) {
+  const total = weights.reduce((a, w) => a + Math.max(0, w), 0);
+  return weights.map((w) => (total > 0 ? Math.max(0, w) / total : 0));
+}
+
+// "Meta (FB/IG) 60% / Google Search 40%" — channels with no spend are left out
+export function describeMix(mix) {
+  const shares = normalize(CHANNEL_TABLE.map((c) => (mix[c.id] ? mix[c.id].share : 0)));
+  const parts = CHANNEL_TABLE.map((c, i) => (shares[i] > 0 ? `${c.label} ${Math.round(shares[i] * 100)}%` : null)).filter(Boolean);
+  return parts.length ? parts.join(" / ") : "No channel spend";
+}
+
+// ---------------- Lookups ----------------
+export function findMetro(city, table = CITY_TABLE) {
+  return table.find((c) => c.city === city) || FALLBACK_METRO;
+}
+
+export function deriveAcv(metroAvg, commissionRate) {
+  return metroAvg * commissionRate;
+}
+
+// Revenue per closed client under the scenario's ACV model
+export function acvFor(metro, { acvModel, commissionRate, acvParams }) {
+  return findAcvModel(acvModel).acv(metro, { ...acvParams, commissionRate });
+}
+
+// ---------------- Projection ----------------
+// One channel's funnel given its own spend and funded media.
+// beforeAppt / afterAppt = products of the extra stage rates around appointments.
+function projectChannel(c, m, { spend, funded, metro, uplift, closeRate, acv, beforeAppt, afterAppt }) {
+  const competitorCpl = m.baseCpl * metro.mult;
+  const pixelCpl = competitorCpl * (1 - uplift);
+  const pixelBudget = spend + funded;
+
+  const competitorLeads = spend > 0 && competitorCpl > 0 ? spend / competitorCpl : 0;
+  const pixelLeads = pixelBudget > 0 && pixelCpl > 0 ? pixelBudget / pixelCpl : 0;
+
+  const leadToAppt = beforeAppt * m.apptRate;
+  const competitorAppts = competitorLeads * leadToAppt;
+  const pixelAppts = pixelLeads * leadToAppt;
+
+  const competitorClosed = competitorAppts * afterAppt * closeRate;
+  const pixelClosed = pixelAppts * afterAppt * closeRate;
+
+  return {
+    id: c.id,
+    label: c.label,
+    spend,
+    funded,
+    pixelBudget,
+    apptRate: m.apptRate,
+    leadToAppt,
+    competitorCpl,
+    pixelCpl,
+    competitorLeads,
+    pixelLeads,
+    competitorAppts,
+    pixelAppts,
+    competitorCpa: competitorAppts > 0 ? spend / competitorAppts : 0,
+    pixelCpa: pixelAppts > 0 ? pixelBudget / pixelAppts : 0,
+    competitorClosed,
+    pixelClosed,
+    competitorRevenue: competitorClosed * acv,
+    pixelRevenue: pixelClosed * acv,
+  };
+}
+
+// Blended CPL = budget / leads, i.e. the budget-weighted harmonic mean of channel CPLs.
+// With no budget, weight by the configured split so the CPL still reads sensibly.
+function blendedCpl(channels, cplKey, weights) {
+  const inv = channels.reduce((a, ch, i) => a + (ch[cplKey] > 0 ? weights[i] / ch[cplKey] : 0), 0);
+  return inv > 0 ? 1 / inv : 0;
+}
+
+const sum = (channels, key) => channels.reduce((a, ch) => a + ch[key], 0);
+
+// Missing inputs fall back to DEFAULT_INPUTS; legacy single-channel inputs are accepted.
+export function project(inputs = {}, table = CITY_TABLE) {
+  const resolved = resolveInputs(inputs);
+  const { city, spend, pmc, gpc, uplift, closeRate, fundedCap, fundedSplit, mix, profile, stages: stageList, stageRates } = resolved;
+
+  const metro = findMetro(city, table);
+  const acv = acvFor(metro, resolved);
+  const funnel = funnelStages(profile, stageRates, closeRate, stageList);
+  const { beforeAppt, afterAppt } = funnel;
+
+  const funded = Math.min(fundedCap, Math.max(0, pmc) + Math.max(0, gpc));
+  const clientSpend = Math.max(0, spend);
+
+  const spendShares = normalize(CHANNEL_TABLE.map((c) => mix[c.id].share));
+  const customFunded = normalize(CHANNEL_TABLE.map((c) => mix[c.id].fundedShare));
+  const fundedShares = fundedSplit === "custom" && customFunded.some((w) => w > 0) ? customFunded : spendShares;
+
+  const channels = CHANNEL_TABLE.map((c, i) =>
+    projectChannel(c, mix[c.id], { spend: clientSpend * spendShares[i], funded: funded * fundedShares[i], metro, uplift, closeRate, acv, beforeAppt, afterAppt })
+  );
+
+  const competitorLeads = sum(channels, "competitorLeads");
+  const pixelLeads = sum(channels, "pixelLeads");
+  const competitorAppts = sum(channels, "competitorAppts");
+  const pixelAppts = sum(channels, "pixelAppts");
+  const competitorClosed = sum(channels, "competitorClosed");
+  const pixelClosed = sum(channels, "pixelClosed");
+  const competitorRevenue = sum(channels, "competitorRevenue");
+  const pixelRevenue = sum(channels, "pixelRevenue");
+  // Only money that reached a channel: with every share at 0, spend buys nothing and isn't counted
+  const allocatedSpend = sum(channels, "spend");
+  const pixelBudget = sum(channels, "pixelBudget");
+
+  const pixelWeights = normalize(channels.map((ch, i) => (pixelBudget > 0 ? ch.pixelBudget : spendShares[i])));
+  const competitorCpl = blendedCpl(channels, "competitorCpl", spendShares);
+  const pixelCpl = blendedCpl(channels, "pixelCpl", pixelWeights);
+
+  const costOfWaiting = pixelRevenue; // opportunity cost of delaying 30 days
+
+  // Stage-by-stage counts: extra stages scale from the nearest anchor (leads or appointments)
+  let competitorAt = competitorLeads;
+  let pixelAt = pixelLeads;
+  const stages = funnel.stages.map((st) => {
+    if (st.key === "lead") [competitorAt, pixelAt] = [competitorLeads, pixelLeads];
+    else if (st.key === "appt") [competitorAt, pixelAt] = [competitorAppts, pixelAppts];
+    else if (st.key === "closed") [competitorAt, pixelAt] = [competitorClosed, pixelClosed];
+    else [competitorAt, pixelAt] = [competitorAt * st.rate, pixelAt * st.rate];
+    return { ...st, competitor: competitorAt, pixel: pixelAt };
+  });
+
+  return {
+    competitorCpl,
+    pixelCpl,
+    funded,
+    pixelBudget,
+    competitorLeads,
+    pixelLeads,
+    competitorAppts,
+    pixelAppts,
+    competitorCpa: competitorAppts > 0 ? allocatedSpend / competitorAppts : 0,
+    pixelCpa: pixelAppts > 0 ? pixelBudget / pixelAppts : 0,
+    competitorClosed,
+    pixelClosed,
+    competitorRevenue,
+    pixelRevenue,
+    costOfWaiting,
+    deltaAppts: pixelAppts - competitorAppts,
+    deltaRevenue: pixelRevenue - competitorRevenue,
+    acv,
+    // Blended channel appointment rate (Pixel leads; equals the channel rate for a single channel).
+    // With extra stages before appointments it is the rate from the last of them.
+    apptRate: pixelLeads > 0 && beforeAppt > 0 ? pixelAppts / (pixelLeads * beforeAppt) : CHANNEL_TABLE.reduce((a, c, i) => a + spendShares[i] * mix[c.id].apptRate, 0),
+    apptToClose: afterAppt * closeRate, // appointment -> closed through any extra stages
+    stages,
+    metroAvg: metro.avg,
+    metroMult: metro.mult,
+    channels,
+  };
+}
@@ -0,0 +1,200 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CHANNEL_TABLE, CITY_TABLE, DEFAULT_INPUTS, FALLBACK_METRO, deriveAcv, describeMix, findMetro, project, resolveInputs } from "./projection.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+
+test("defaults reproduce the console's opening numbers", () => {
+  const out = project();
+  // New York, Meta: 16 × 1.35 = 21.6 CPL; Pixel 15% lower
+  approx(out.competitorCpl, 21.6);
+  approx(out.pixelCpl, 18.36);
+  assert.equal(out.funded, 500);
+  assert.equal(out.pixelBudget, 1500);
+  approx(out.competitorLeads, 1000 / 21.6);
+  approx(out.pixelLeads, 1500 / 18.36);
+  approx(out.competitorAppts, (1000 / 21.6) * 0.2);
+  approx(out.pixelAppts, (1500 / 18.36) * 0.2);
+  approx(out.acv, 700000 * 0.025);
+  approx(out.pixelRevenue, out.pixelAppts * 0.25 * 17500);
+  approx(out.deltaRevenue, out.pixelRevenue - out.competitorRevenue);
+  approx(out.deltaAppts, out.pixelAppts - out.competitorAppts);
+  assert.equal(out.costOfWaiting, out.pixelRevenue);
+});
+
+test("google channel uses the google baseline", () => {
+  const out = project({ city: "Houston, TX", channel: "google" });
+  approx(out.competitorCpl, 85);
+  approx(out.pixelCpl, 85 * 0.85);
+});
+
+test("CPA is budget divided by appointments", () => {
+  const out = project({ city: "Austin, TX" });
+  approx(out.competitorCpa, 1000 / out.competitorAppts);
+  approx(out.pixelCpa, out.pixelBudget / out.pixelAppts);
+});
+
+test("zero spend: competitor gets nothing, Pixel runs on funded media only", () => {
+  const out = project({ spend: 0 });
+  assert.equal(out.competitorLeads, 0);
+  assert.equal(out.competitorAppts, 0);
+  assert.equal(out.competitorCpa, 0);
+  assert.equal(out.competitorRevenue, 0);
+  assert.equal(out.pixelBudget, 500);
+  assert.ok(out.pixelLeads > 0);
+});
+
+test("with every channel share at zero no spend is allocated or counted", () => {
+  const out = project({ spend: 2000, mix: { meta: { share: 0 }, google: { share: 0 } } });
+  assert.equal(out.pixelBudget, 0);
+  assert.equal(out.pixelLeads, 0);
+  assert.equal(out.pixelCpa, 0);
+  assert.equal(out.competitorCpa, 0);
+  // custom credit shares still place the funded media
+  const credits = project({ spend: 2000, fundedSplit: "custom", mix: { meta: { share: 0, fundedShare: 1 }, google: { share: 0, fundedShare: 0 } } });
+  assert.equal(credits.pixelBudget, 500);
+  assert.equal(credits.competitorLeads, 0);
+  approx(credits.pixelCpa, 500 / credits.pixelAppts);
+});
+
+test("zero spend and zero credits yields all-zero outputs without NaN", () => {
+  const out = project({ spend: 0, pmc: 0, gpc: 0 });
+  const { channels, stages, ...blended } = out;
+  for (const st of stages) assert.ok(Number.isFinite(st.competitor) && Number.isFinite(st.pixel), `${st.key} counts should be finite`);
+  for (const row of [blended, ...channels]) {
+    for (const [k, v] of Object.entries(row)) {
+      if (k !== "id" && k !== "label") assert.ok(Number.isFinite(v), `${k} should be finite`);
+    }
+  }
+  assert.equal(out.pixelLeads, 0);
+  assert.equal(out.pixelCpa, 0);
+  assert.equal(out.deltaRevenue, 0);
+});
+
+test("negative spend is treated as zero", () => {
+  const out = project({ spend: -500 });
+  assert.equal(out.competitorLeads, 0);
+  assert.equal(out.pixelBudget, 500);
+});
+
+test("funded media is clamped to the funded cap", () => {
+  assert.equal(project({ pmc: 1000, gpc: 1000 }).funded, 1300);
+  assert.equal(project({ pmc: 1000, gpc: 1000, fundedCap: 1500 }).funded, 1500);
+  assert.equal(project({ pmc: 200, gpc: 300, fundedCap: 1500 }).funded, 500);
+  assert.equal(project({ pmc: 1000, fundedCap: 0 }).funded, 0);
+});
+
+test("negative PMC/GPC never reduce the budget", () => {
+  assert.equal(project({ pmc: -400, gpc: 0 }).funded, 0);
+  assert.equal(project({ pmc: 300, gpc: -900 }).funded, 300);
+  assert.equal(project({ pmc: -1, gpc: -1 }).pixelBudget, 1000);
+});
+
+test("unknown metros fall back to mult 1 and $350k", () => {
+  assert.deepEqual(findMetro("Nowhere, ZZ"), FALLBACK_METRO);
+  assert.deepEqual(FALLBACK_METRO, { mult: 1, avg: 350000 });
+  const out = project({ city: "Nowhere, ZZ" });
+  assert.equal(out.metroMult, 1);
+  assert.equal(out.metroAvg, 350000);
+  approx(out.competitorCpl, 16);
+  approx(out.acv, 350000 * 0.025);
+});
+
+test("metro lookup is exact and can use a custom table", () => {
+  assert.equal(findMetro("Austin, TX").avg, 480000);
+  assert.deepEqual(findMetro("austin, tx"), FALLBACK_METRO);
+  const table = [{ city: "Boise, ID", mult: 0.95, avg: 450000 }];
+  const out = project({ city: "Boise, ID" }, table);
+  approx(out.competitorCpl, 16 * 0.95);
+  approx(out.acv, 450000 * 0.025);
+});
+
+test("ACV derives from metro avg × commission", () => {
+  approx(deriveAcv(480000, 0.03), 14400);
+  approx(project({ city: "San Jose, CA", commissionRate: 0.02 }).acv, 26000);
+  assert.equal(project({ commissionRate: 0 }).pixelRevenue, 0);
+});
+
+test("zero uplift makes Pixel CPL equal competitor CPL", () => {
+  const out = project({ uplift: 0, pmc: 0 });
+  assert.equal(out.pixelCpl, out.competitorCpl);
+  approx(out.deltaRevenue, 0);
+});
+
+test("100% uplift (zero Pixel CPL) does not divide by zero", () => {
+  const out = project({ uplift: 1 });
+  assert.equal(out.pixelCpl, 0);
+  assert.equal(out.pixelLeads, 0);
+});
+
+test("close rate of zero means no closings or revenue", () => {
+  const out = project({ closeRate: 0 });
+  assert.equal(out.pixelClosed, 0);
+  assert.equal(out.competitorRevenue, 0);
+});
+
+test("table and defaults are sane", () => {
+  assert.equal(CITY_TABLE.length, 38);
+  assert.equal(new Set(CITY_TABLE.map((c) => c.city)).size, CITY_TABLE.length);
+  assert.equal(DEFAULT_INPUTS.city, CITY_TABLE[0].city);
+  assert.equal(DEFAULT_INPUTS.fundedCap, 1300);
+});
+
+test("legacy single-channel inputs resolve into the channel mix", () => {
+  const r = resolveInputs({ channel: "google", baseMeta: 20, baseGoogle: 90, apptRate: 0.27 });
+  assert.deepEqual(r.mix.google, { share: 1, baseCpl: 90, apptRate: 0.27, fundedShare: 0 });
+  assert.deepEqual(r.mix.meta, { share: 0, baseCpl: 20, apptRate: 0.27, fundedShare: 1 });
+  assert.equal(r.channel, undefined);
+  assert.equal(r.baseMeta, undefined);
+  assert.equal(resolveInputs({ apptRate: 0.1, mix: { meta: { apptRate: 0.3 } } }).mix.meta.apptRate, 0.3);
+});
+
+test("blended spend splits across channels and sums their funnels", () => {
+  const mix = {
+    meta: { share: 0.6, baseCpl: 16, apptRate: 0.2 },
+    google: { share: 0.4, baseCpl: 80, apptRate: 0.3 },
+  };
+  const out = project({ city: "Houston, TX", spend: 1000, pmc: 500, mix });
+  const [meta, google] = out.channels;
+  assert.equal(meta.spend, 600);
+  assert.equal(google.spend, 400);
+  // funded media follows the spend split by default
+  assert.equal(meta.funded, 300);
+  assert.equal(google.funded, 200);
+  approx(meta.competitorLeads, 600 / 16);
+  approx(google.competitorAppts, (400 / 80) * 0.3);
+  approx(out.competitorLeads, 600 / 16 + 400 / 80);
+  approx(out.pixelRevenue, meta.pixelRevenue + google.pixelRevenue);
+  // blended CPL/CPA are budget over volume
+  approx(out.competitorCpl, 1000 / out.competitorLeads);
+  approx(out.pixelCpl, out.pixelBudget / out.pixelLeads);
+  approx(out.competitorCpa, 1000 / out.competitorAppts);
+  approx(out.apptRate, out.pixelAppts / out.pixelLeads);
+});
+
+test("custom funded split sends credits where chosen", () => {
+  const mix = { meta: { share: 1, fundedShare: 0 }, google: { share: 0, fundedShare: 1 } };
+  const out = project({ spend: 1000, pmc: 500, fundedSplit: "custom", mix });
+  assert.equal(out.channels[0].funded, 0);
+  assert.equal(out.channels[1].funded, 500);
+  assert.equal(out.channels[1].competitorLeads, 0);
+  assert.ok(out.channels[1].pixelLeads > 0);
+  // an all-zero custom split falls back to the spend split
+  const fallback = project({ pmc: 500, fundedSplit: "custom", mix: { meta: { fundedShare: 0 }, google: { fundedShare: 0 } } });
+  assert.equal(fallback.channels[0].funded, 500);
+});
+
+test("shares are normalized and an all-zero split allocates nothing", () => {
+  const out = project({ mix: { meta: { share: 3 }, google: { share: 1 } } });
+  assert.equal(out.channels[0].spend, 750);
+  const none = project({ mix: { meta: { share: 0 }, google: { share: 0 } }, pmc: 0 });
+  assert.equal(none.competitorLeads, 0);
+  assert.equal(none.competitorCpl, 0);
+});
+
+test("describeMix lists channels with spend", () => {
+  assert.equal(describeMix(DEFAULT_INPUTS.mix), "Meta (FB/IG) 100%");
+  assert.equal(describeMix({ meta: { share: 1 }, google: { share: 1 } }), "Meta (FB/IG) 50% / Google Search 50%");
+  assert.equal(describeMix({ meta: { share: 0 }, google: { share: 0 } }), "No channel spend");
+  assert.deepEqual(CHANNEL_TABLE.map((c) => c.id), Object.keys(DEFAULT_INPUTS.mix));
+});
@@ -0,0 +1,106 @@
+/**
+ * Net ROI — what each side earns after ad spend and management fees.
+ *
+ * Monthly cost = client ad spend + flat fee + % of client ad spend, plus the
+ * setup fee spread over the contract. Funded media (PMC+GPC) costs the client
+ * nothing and does not reduce fees. ROAS is revenue per dollar of client ad
+ * spend; ROI % is net profit over total monthly cost. Payback is the first month
+ * whose cumulative net covers the setup fee.
+ */
+import { CITY_TABLE, FEE_SIDES, project, resolveInputs } from "./projection.js";
+
+/**
+ * First month (1-based) where cumulative revenue covers the setup fee plus every
+ * month's running cost. `revenue` is a steady monthly amount, or a month-by-month
+ * series (timeline mode). Returns null if that never happens (within the series).
+ */
+export function paybackMonth(revenue, monthlyCost, setup) {
+  if (Array.isArray(revenue)) {
+    let cum = -setup;
+    for (let m = 0; m < revenue.length; m++) {
+      const margin = revenue[m] - monthlyCost;
+      cum += margin;
+      if (margin > 0 && cum >= -1e-9) return m + 1;
+    }
+    return null;
+  }
+  const margin = revenue - monthlyCost;
+  if (margin <= 0) return null;
+  return Math.max(1, Math.ceil(setup / margin - 1e-9));
+}
+
+// Client's monthly cost at a given ad spend: spend + fees, setup spread over the contract
+export function totalMonthlyCost(fee, spend) {
+  return spend + fee.monthly + fee.pctOfSpend * spend + fee.setup / fee.contractMonths;
+}
+
+// One side's net figures; also used for named competitor profiles (./competitors.js)
+export function sideRoi({ revenue, closed, spend, fee, revenueSeries }) {
+  const fees = fee.monthly + fee.pctOfSpend * spend;
+  const runningCost = spend + fees;
+  const totalCost = totalMonthlyCost(fee, spend);
+  const netProfit = revenue - totalCost;
+  return {
+    fees,
+    setupFee: fee.setup,
+    contractMonths: fee.contractMonths,
+    totalCost,
+    netProfit,
+    contractProfit: (revenue - runningCost) * fee.contractMonths - fee.setup,
+    roas: spend > 0 ? revenue / spend : 0,
+    roi: totalCost > 0 ? netProfit / totalCost : 0,
+    costPerClosed: closed > 0 ? totalCost / closed : 0,
+    paybackMonth: paybackMonth(revenueSeries || revenue, runningCost, fee.setup),
+  };
+}
+
+function netBySide(inputs, out, timeline) {
+  const spend = Math.max(0, inputs.spend);
+  return Object.fromEntries(FEE_SIDES.map((side) => [side, sideRoi({
+    revenue: out[`${side}Revenue`],
+    closed: out[`${side}Closed`],
+    spend,
+    fee: inputs.fees[side],
+    revenueSeries: timeline ? timeline.months.map((m) => m[side].revenue) : null,
+  })]));
+}
+
+/**
+ * Client spend at which Pixel's monthly net profit matches the competitor's.
+ * Both nets are linear in spend (funded media is fixed), so two probes solve it.
+ * status: 'above' (Pixel ahead above `spend`), 'below' (ahead below it),
+ * 'always' (ahead at any spend) or 'never'.
+ */
+export function breakEvenSpend(inputs = {}, table = CITY_TABLE) {
+  const resolved = resolveInputs(inputs);
+  const gap = (spend) => {
+    const probe = { ...resolved, spend };
+    const { pixel, competitor } = netBySide(probe, project(probe, table));
+    return pixel.netProfit - competitor.netProfit;
+  };
+  const step = 1000;
+  const g0 = gap(0);
+  const slope = (gap(step) - g0) / step;
+
+  if (Math.abs(slope) < 1e-12) return { status: g0 > 0 ? "always" : "never", spend: null };
+  const spend = -g0 / slope;
+  if (slope > 0) return spend <= 0 ? { status: "always", spend: null } : { status: "above", spend };
+  return spend <= 0 ? { status: "never", spend: null } : { status: "below", spend };
+}
+
+/**
+ * Net ROI for both sides plus the break-even spend.
+ * Pass `timeline` (projectTimeline result) to take payback from its month-by-month revenue.
+ * Returns { pixel, competitor, deltaNetProfit, breakEven } where each side is
+ * { fees, setupFee, contractMonths, totalCost, netProfit, contractProfit, roas, roi, costPerClosed, paybackMonth }.
+ */
+export function projectRoi(inputs = {}, table = CITY_TABLE, { timeline } = {}) {
+  const resolved = resolveInputs(inputs);
+  const { pixel, competitor } = netBySide(resolved, project(resolved, table), timeline);
+  return {
+    pixel,
+    competitor,
+    deltaNetProfit: pixel.netProfit - competitor.netProfit,
+    breakEven: breakEvenSpend(resolved, table),
+  };
+}
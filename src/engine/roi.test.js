@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { project } from "./projection.js";
+import { breakEvenSpend, paybackMonth, projectRoi } from "./roi.js";
+import { projectTimeline } from "./timeline.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+const fees = (pixel, competitor) => ({
+  pixel: { monthly: 0, pctOfSpend: 0, setup: 0, contractMonths: 12, ...pixel },
+  competitor: { monthly: 0, pctOfSpend: 0, setup: 0, contractMonths: 12, ...competitor },
+});
+
+test("with no fees, net profit is revenue minus client ad spend", () => {
+  const out = project();
+  const roi = projectRoi();
+  approx(roi.pixel.netProfit, out.pixelRevenue - 1000);
+  approx(roi.competitor.netProfit, out.competitorRevenue - 1000);
+  approx(roi.pixel.roas, out.pixelRevenue / 1000);
+  approx(roi.pixel.roi, (out.pixelRevenue - 1000) / 1000);
+  approx(roi.pixel.costPerClosed, 1000 / out.pixelClosed);
+  approx(roi.deltaNetProfit, out.deltaRevenue);
+});
+
+test("fees: flat, percent of client spend and setup spread over the contract", () => {
+  const inputs = { spend: 2000, pmc: 500, fees: fees({ monthly: 500, pctOfSpend: 0.1, setup: 1200 }, { monthly: 300 }) };
+  const out = project(inputs);
+  const { pixel, competitor } = projectRoi(inputs);
+  // credits are not a client cost and do not shrink fees: 10% of the $2,000 client spend
+  approx(pixel.fees, 700);
+  approx(pixel.totalCost, 2000 + 700 + 100);
+  approx(pixel.netProfit, out.pixelRevenue - 2800);
+  approx(pixel.contractProfit, (out.pixelRevenue - 2700) * 12 - 1200);
+  approx(competitor.totalCost, 2300);
+  approx(competitor.roi, (out.competitorRevenue - 2300) / 2300);
+});
+
+test("payback month covers setup from the monthly margin", () => {
+  assert.equal(paybackMonth(3000, 1000, 0), 1);
+  assert.equal(paybackMonth(3000, 1000, 2000), 1);
+  assert.equal(paybackMonth(3000, 1000, 2001), 2);
+  assert.equal(paybackMonth(3000, 1000, 5000), 3);
+  assert.equal(paybackMonth(1000, 1000, 0), null);
+  assert.equal(paybackMonth(500, 1000, 0), null);
+  // month-by-month series (ramp / close lag)
+  assert.equal(paybackMonth([0, 1000, 3000, 3000], 1000, 500), 3);
+  assert.equal(paybackMonth([0, 0, 0], 1000, 0), null);
+});
+
+test("timeline revenue delays payback", () => {
+  const inputs = { fees: fees({ setup: 1000 }, {}) };
+  const flat = projectRoi(inputs);
+  const timeline = projectTimeline(inputs, { months: 12, closeLagMonths: 2 });
+  const lagged = projectRoi(inputs, undefined, { timeline });
+  assert.equal(flat.pixel.paybackMonth, 1);
+  assert.ok(lagged.pixel.paybackMonth >= 3);
+});
+
+test("unprofitable or empty sides report zero ratios and no payback", () => {
+  const roi = projectRoi({ spend: 0, pmc: 0, fees: fees({ monthly: 500 }, {}) });
+  assert.equal(roi.pixel.roas, 0);
+  assert.equal(roi.pixel.costPerClosed, 0);
+  assert.equal(roi.pixel.paybackMonth, null);
+  approx(roi.pixel.netProfit, -500);
+  assert.equal(roi.competitor.roi, 0);
+});
+
+test("break-even spend where Pixel's net overtakes the competitor's", () => {
+  // Pixel costs $1,000/mo more but converts spend better: ahead above some spend
+  const inputs = { pmc: 0, fees: fees({ monthly: 1000 }, {}) };
+  const be = breakEvenSpend(inputs);
+  assert.equal(be.status, "above");
+  const at = projectRoi({ ...inputs, spend: be.spend });
+  approx(at.pixel.netProfit, at.competitor.netProfit, 1e-4);
+  assert.ok(projectRoi({ ...inputs, spend: be.spend + 100 }).deltaNetProfit > 0);
+
+  assert.deepEqual(breakEvenSpend(), { status: "always", spend: null });
+  assert.deepEqual(breakEvenSpend({ uplift: 0, pmc: 0, fees: fees({ monthly: 100 }, {}) }), { status: "never", spend: null });
+  // a percentage fee that outgrows Pixel's efficiency puts Pixel ahead only below a spend
+  const below = breakEvenSpend({ uplift: 0.05, commissionRate: 0.001, fees: fees({ pctOfSpend: 0.5 }, {}) });
+  assert.equal(below.status, "below");
+  assert.ok(below.spend > 0);
+});
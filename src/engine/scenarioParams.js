@@ -0,0 +1,225 @@
+/**
+ * Share-link encoding for calculator state.
+ *
+ * Every input is written to the query string under its state name
+ * (?city=Austin%2C+TX&spend=1000&meta.share=0.6&google.share=0.4...). Channel-mix
+ * fields are "<channel id>.<field>" for each row of CHANNEL_TABLE; management fees
+ * are "fees.<side>.<field>" (fees.pixel.monthly=750); the funnel profile and ACV model
+ * are "profile" and "acvModel", with "acv.<param>" and "stage.<key>" rates. A custom stage
+ * list is "stages", JSON [{ key, label, rate, at }], written only when set. All fields are
+ * always written, so a link reproduces the same numbers even if defaults change.
+ * Decoding validates each field; anything missing keeps its default silently,
+ * anything unknown or out of range falls back to its default with a notice.
+ * Links from before the channel mix (channel, baseMeta, baseGoogle, apptRate) still decode.
+ */
+import { BASE_CPL_RANGE, CHANNEL_TABLE, CITY_TABLE, DEFAULT_INPUTS, FEE_SIDES, resolveInputs } from "./projection.js";
+import { ACV_FIELDS, ACV_MODELS, EXTRA_STAGE_KEYS, FUNNEL_PROFILES, STAGE_KEY_PATTERN, validateStages } from "./profiles.js";
+
+// Numeric fields: inclusive [min, max]
+export const NUMERIC_RANGES = {
+  spend: [0, 10000000],
+  pmc: [0, 1000000],
+  gpc: [0, 1000000],
+  uplift: [0, 0.9],
+  commissionRate: [0, 1],
+  closeRate: [0, 1],
+  fundedCap: [0, 1000000],
+};
+
+// Per-channel fields: URL suffix -> mix field and range
+export const CHANNEL_FIELDS = {
+  share: { field: "share", range: [0, 1] },
+  cpl: { field: "baseCpl", range: BASE_CPL_RANGE },
+  appt: { field: "apptRate", range: [0, 1] },
+  funded: { field: "fundedShare", range: [0, 1] },
+};
+
+// Fee fields per side (fees.<side>.<field>): inclusive [min, max]
+export const FEE_RANGES = {
+  monthly: [0, 1000000],
+  pctOfSpend: [0, 1],
+  setup: [0, 1000000],
+  contractMonths: [1, 60],
+};
+
+// ACV model params (acv.<field>); commissionRate stays top-level
+export const ACV_PARAM_RANGES = Object.fromEntries(
+  Object.entries(ACV_FIELDS).filter(([key]) => key !== "commissionRate").map(([key, f]) => [key, f.range])
+);
+
+// Extra funnel stage rates (stage.<key>); custom stages bring their own keys
+export const STAGE_RANGE = [0, 1];
+const STAGE_PREFIX = "stage.";
+
+// Pre-mix single-channel params, still accepted when decoding
+const LEGACY_RANGES = {
+  apptRate: [0, 1],
+  baseMeta: [1, 10000],
+  baseGoogle: [1, 10000],
+};
+
+export const CHANNELS = CHANNEL_TABLE.map((c) => c.id);
+export const FUNDED_SPLITS = ["spend", "custom"];
+export const PROFILES = FUNNEL_PROFILES.map((p) => p.id);
+export const ACV_MODEL_IDS = ACV_MODELS.map((m) => m.id);
+
+const channelKeys = () => CHANNEL_TABLE.flatMap((c) => Object.keys(CHANNEL_FIELDS).map((suffix) => `${c.id}.${suffix}`));
+const feeKeys = () => FEE_SIDES.flatMap((side) => Object.keys(FEE_RANGES).map((field) => `fees.${side}.${field}`));
+
+// Every param name a link may carry (current and legacy)
+export const SCENARIO_KEYS = [
+  "city", ...Object.keys(NUMERIC_RANGES), "fundedSplit", ...channelKeys(), ...feeKeys(),
+  "profile", "acvModel", ...Object.keys(ACV_PARAM_RANGES).map((k) => `acv.${k}`), ...EXTRA_STAGE_KEYS.map((k) => `stage.${k}`),
+  "stages", "channel", ...Object.keys(LEGACY_RANGES),
+];
+
+// [param, value] pairs for a state; legacy fields are written only if present
+export function flattenScenario(state) {
+  const pairs = [];
+  for (const key of ["city", ...Object.keys(NUMERIC_RANGES), "fundedSplit"]) {
+    if (state[key] !== undefined) pairs.push([key, String(state[key])]);
+  }
+  for (const c of CHANNEL_TABLE) {
+    const m = state.mix && state.mix[c.id];
+    if (!m) continue;
+    for (const [suffix, { field }] of Object.entries(CHANNEL_FIELDS)) {
+      if (m[field] !== undefined) pairs.push([`${c.id}.${suffix}`, String(m[field])]);
+    }
+  }
+  for (const side of FEE_SIDES) {
+    const f = state.fees && state.fees[side];
+    if (!f) continue;
+    for (const field of Object.keys(FEE_RANGES)) {
+      if (f[field] !== undefined) pairs.push([`fees.${side}.${field}`, String(f[field])]);
+    }
+  }
+  for (const key of ["profile", "acvModel"]) {
+    if (state[key] !== undefined) pairs.push([key, String(state[key])]);
+  }
+  for (const key of Object.keys(ACV_PARAM_RANGES)) {
+    if (state.acvParams && state.acvParams[key] !== undefined) pairs.push([`acv.${key}`, String(state.acvParams[key])]);
+  }
+  if (state.stages) pairs.push(["stages", JSON.stringify(state.stages)]);
+  for (const [key, rate] of Object.entries(state.stageRates || {})) {
+    if (STAGE_KEY_PATTERN.test(key) && rate !== undefined) pairs.push([`${STAGE_PREFIX}${key}`, String(rate)]);
+  }
+  for (const key of ["channel", ...Object.keys(LEGACY_RANGES)]) {
+    if (state[key] !== undefined) pairs.push([key, String(state[key])]);
+  }
+  return pairs;
+}
+
+export function encodeScenario(state) {
+  return new URLSearchParams(flattenScenario(state)).toString();
+}
+
+function parseInRange(raw, [min, max]) {
+  const n = raw.trim() === "" ? NaN : Number(raw);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+// Accepts "?a=1", "#a=1" or "a=1". Returns { state, notices }; state is fully resolved.
+// A null table accepts any metro name (saved scenarios outlive metro table edits).
+// Fields the query leaves out come from `defaults` (calibrated baselines, see ./projection.js).
+export function decodeScenario(query, table = CITY_TABLE, defaults = DEFAULT_INPUTS) {
+  const params = new URLSearchParams(String(query || "").replace(/^[?#]/, ""));
+  const inputs = {};
+  const mix = {};
+  const notices = [];
+  const reject = (key, raw, expected, fallback) => notices.push(`${key}=${raw} is not ${expected}; using ${fallback}.`);
+
+  if (params.has("city")) {
+    const raw = params.get("city");
+    if (table === null ? raw.trim() !== "" : table.some((c) => c.city === raw)) inputs.city = raw;
+    else notices.push(`Unknown metro "${raw}"; using ${DEFAULT_INPUTS.city}.`);
+  }
+
+  for (const [key, range] of Object.entries({ ...NUMERIC_RANGES, ...LEGACY_RANGES })) {
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    const n = parseInRange(raw, range);
+    if (n !== null) inputs[key] = n;
+    else reject(key, raw, `a number between ${range[0]} and ${range[1]}`, DEFAULT_INPUTS[key] ?? "the default");
+  }
+
+  if (params.has("fundedSplit")) {
+    const raw = params.get("fundedSplit");
+    if (FUNDED_SPLITS.includes(raw)) inputs.fundedSplit = raw;
+    else reject("fundedSplit", raw, FUNDED_SPLITS.join(" or "), DEFAULT_INPUTS.fundedSplit);
+  }
+
+  if (params.has("channel")) {
+    const raw = params.get("channel");
+    if (CHANNELS.includes(raw)) inputs.channel = raw;
+    else notices.push(`Unknown channel "${raw}"; using the default channel mix.`);
+  }
+
+  for (const c of CHANNEL_TABLE) {
+    for (const [suffix, { field, range }] of Object.entries(CHANNEL_FIELDS)) {
+      const key = `${c.id}.${suffix}`;
+      if (!params.has(key)) continue;
+      const raw = params.get(key);
+      const n = parseInRange(raw, range);
+      if (n !== null) (mix[c.id] ||= {})[field] = n;
+      else reject(key, raw, `a number between ${range[0]} and ${range[1]}`, defaults.mix[c.id][field]);
+    }
+  }
+
+  const fees = {};
+  for (const side of FEE_SIDES) {
+    for (const [field, range] of Object.entries(FEE_RANGES)) {
+      const key = `fees.${side}.${field}`;
+      if (!params.has(key)) continue;
+      const raw = params.get(key);
+      const n = parseInRange(raw, range);
+      if (n !== null) (fees[side] ||= {})[field] = field === "contractMonths" ? Math.round(n) : n;
+      else reject(key, raw, `a number between ${range[0]} and ${range[1]}`, DEFAULT_INPUTS.fees[side][field]);
+    }
+  }
+
+  for (const [key, ids, fallback] of [["profile", PROFILES, DEFAULT_INPUTS.profile], ["acvModel", ACV_MODEL_IDS, DEFAULT_INPUTS.acvModel]]) {
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    if (ids.includes(raw)) inputs[key] = raw;
+    else reject(key, raw, ids.join(", "), fallback);
+  }
+
+  const acvParams = {};
+  for (const [field, range] of Object.entries(ACV_PARAM_RANGES)) {
+    const key = `acv.${field}`;
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    const n = parseInRange(raw, range);
+    if (n !== null) acvParams[field] = n;
+    else reject(key, raw, `a number between ${range[0]} and ${range[1]}`, DEFAULT_INPUTS.acvParams[field]);
+  }
+
+  if (params.has("stages")) {
+    const raw = params.get("stages");
+    let parsed;
+    try {
+      parsed = validateStages(JSON.parse(raw));
+    } catch {
+      parsed = { error: "not JSON" };
+    }
+    if (parsed.stages) inputs.stages = parsed.stages;
+    else notices.push(`stages=${raw} is not a valid stage list (${parsed.error}); using the profile's stages.`);
+  }
+
+  // Rates for stages the funnel doesn't have are dropped by resolveInputs
+  const stageRates = {};
+  for (const [key, raw] of params) {
+    if (!key.startsWith(STAGE_PREFIX) || !STAGE_KEY_PATTERN.test(key.slice(STAGE_PREFIX.length))) continue;
+    const n = parseInRange(raw, STAGE_RANGE);
+    if (n !== null) stageRates[key.slice(STAGE_PREFIX.length)] = n;
+    else reject(key, raw, `a number between ${STAGE_RANGE[0]} and ${STAGE_RANGE[1]}`, "the stage default");
+  }
+
+  return { state: resolveInputs({ ...inputs, mix, fees, acvParams, stageRates }, defaults), notices };
+}
+
+// True when the query carries at least one scenario field
+export function hasScenarioParams(query) {
+  const params = new URLSearchParams(String(query || "").replace(/^[?#]/, ""));
+  return SCENARIO_KEYS.some((k) => params.has(k));
+}
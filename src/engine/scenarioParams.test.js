@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS } from "./projection.js";
+import { decodeScenario, encodeScenario, hasScenarioParams } from "./scenarioParams.js";
+
+test("encode writes every field and decode restores it", () => {
+  const state = {
+    ...DEFAULT_INPUTS,
+    city: "Austin, TX",
+    spend: 1500,
+    closeRate: 0.3,
+    fundedSplit: "custom",
+    mix: {
+      meta: { share: 0.6, baseCpl: 18, apptRate: 0.27, fundedShare: 0 },
+      google: { share: 0.4, baseCpl: 90, apptRate: 0.15, fundedShare: 1 },
+    },
+  };
+  const qs = encodeScenario(state);
+  assert.match(qs, /city=Austin%2C\+TX/);
+  assert.match(qs, /fundedCap=1300/);
+  assert.match(qs, /google\.cpl=90/);
+  assert.deepEqual(decodeScenario(`?${qs}`), { state, notices: [] });
+});
+
+test("pre-mix links still decode into the channel mix", () => {
+  const { state, notices } = decodeScenario("?channel=google&apptRate=0.27&baseMeta=20&baseGoogle=95&spend=800");
+  assert.deepEqual(notices, []);
+  assert.equal(state.spend, 800);
+  assert.deepEqual(state.mix.google, { share: 1, baseCpl: 95, apptRate: 0.27, fundedShare: 0 });
+  assert.equal(state.mix.meta.share, 0);
+  assert.equal(state.mix.meta.baseCpl, 20);
+  assert.equal(state.channel, undefined);
+});
+
+test("mix params win over legacy params", () => {
+  const { state } = decodeScenario("?apptRate=0.1&meta.appt=0.3");
+  assert.equal(state.mix.meta.apptRate, 0.3);
+  assert.equal(state.mix.google.apptRate, 0.1);
+});
+
+test("management fees round-trip per side", () => {
+  const fees = {
+    pixel: { monthly: 750, pctOfSpend: 0, setup: 500, contractMonths: 6 },
+    competitor: { monthly: 0, pctOfSpend: 0.15, setup: 0, contractMonths: 12 },
+  };
+  const qs = encodeScenario({ ...DEFAULT_INPUTS, fees });
+  assert.match(qs, /fees\.pixel\.monthly=750/);
+  assert.deepEqual(decodeScenario(qs).state.fees, fees);
+  const { state, notices } = decodeScenario("?fees.pixel.contractMonths=0&fees.competitor.pctOfSpend=0.2");
+  assert.equal(state.fees.pixel.contractMonths, 12);
+  assert.equal(state.fees.competitor.pctOfSpend, 0.2);
+  assert.equal(notices.length, 1);
+  assert.ok(hasScenarioParams("?fees.pixel.setup=100"));
+});
+
+test("decode accepts hash and bare forms", () => {
+  assert.equal(decodeScenario("#spend=250").state.spend, 250);
+  assert.equal(decodeScenario("spend=250").state.spend, 250);
+});
+
+test("missing fields keep defaults without notices", () => {
+  assert.deepEqual(decodeScenario(""), { state: DEFAULT_INPUTS, notices: [] });
+  assert.deepEqual(decodeScenario("?utm_source=canva"), { state: DEFAULT_INPUTS, notices: [] });
+});
+
+test("unknown and out-of-range values fall back with a notice each", () => {
+  const { state, notices } = decodeScenario("?city=Atlantis&channel=tiktok&spend=-5&closeRate=1.5&uplift=abc&pmc=&meta.share=2&fundedSplit=half");
+  assert.deepEqual(state, DEFAULT_INPUTS);
+  assert.equal(notices.length, 8);
+  assert.match(notices[0], /Atlantis/);
+  assert.ok(notices.some((n) => n.startsWith("closeRate=1.5 ")));
+});
+
+test("range edges are accepted", () => {
+  const { state, notices } = decodeScenario("?spend=0&closeRate=1&uplift=0.9&baseMeta=1");
+  assert.deepEqual(notices, []);
+  assert.equal(state.closeRate, 1);
+  assert.equal(state.uplift, 0.9);
+});
+
+test("decode can validate against a custom metro table", () => {
+  const table = [{ city: "Boise, ID", mult: 1, avg: 450000 }];
+  assert.equal(decodeScenario("?city=Boise%2C+ID", table).state.city, "Boise, ID");
+});
+
+test("hasScenarioParams ignores unrelated params", () => {
+  assert.ok(hasScenarioParams("?spend=1"));
+  assert.ok(hasScenarioParams("#city=Miami%2C+FL"));
+  assert.ok(hasScenarioParams("?google.share=1"));
+  assert.ok(hasScenarioParams("?channel=meta"));
+  assert.ok(!hasScenarioParams("?utm_source=x"));
+  assert.ok(!hasScenarioParams(""));
+});
@@ -0,0 +1,172 @@
+/**
+ * Saved prospect scenarios — pure list operations plus the JSON file format.
+ *
+ * A scenario is { id, name, savedAt, state, out, actuals? }: the calculator
+ * inputs and the outputs as they were when saved, plus any post-launch monthly
+ * actuals (./actuals.js). Storage (localStorage) lives in the UI.
+ * Imported state is validated through the share-link decoder, so a scenario
+ * file can never carry a value a link could not. Stored scenarios skip the
+ * metro check, since the metro table can change after a scenario is saved.
+ */
+import { mergeActuals, validateActualMonth } from "./actuals.js";
+import { CITY_TABLE } from "./projection.js";
+import { decodeScenario, encodeScenario } from "./scenarioParams.js";
+
+export const SCENARIO_FILE_VERSION = 1;
+
+// Metrics shown side by side in the comparison view (Stat grid + ROI Snapshot).
+// format: 'money' | 'count' (1 dp) | 'count2' (2 dp)
+export const COMPARE_METRICS = [
+  { key: "competitorCpl", label: "Competitor CPL", format: "money" },
+  { key: "pixelCpl", label: "Pixel CPL", format: "money" },
+  { key: "funded", label: "Funded Media (PMC+GPC)", format: "money" },
+  { key: "pixelBudget", label: "Pixel Budget", format: "money" },
+  { key: "competitorLeads", label: "Competitor Leads", format: "count" },
+  { key: "pixelLeads", label: "Pixel Leads", format: "count" },
+  { key: "competitorAppts", label: "Appointments (Competitor)", format: "count" },
+  { key: "pixelAppts", label: "Appointments (Pixel)", format: "count" },
+  { key: "competitorCpa", label: "Competitor Cost / Appt", format: "money" },
+  { key: "pixelCpa", label: "Pixel Cost / Appt", format: "money" },
+  { key: "competitorClosed", label: "Closed (Competitor)", format: "count2" },
+  { key: "pixelClosed", label: "Closed (Pixel)", format: "count2" },
+  { key: "competitorRevenue", label: "Monthly Revenue (Competitor)", format: "money" },
+  { key: "pixelRevenue", label: "Monthly Revenue (Pixel)", format: "money" },
+  { key: "costOfWaiting", label: "Cost of Waiting 30 Days", format: "money" },
+  { key: "deltaRevenue", label: "Delta Revenue (Pixel - Competitor)", format: "money" },
+  // Net of fees; saved alongside project() outputs (absent from older saves)
+  { key: "competitorNetProfit", label: "Net Profit / mo (Competitor)", format: "money" },
+  { key: "pixelNetProfit", label: "Net Profit / mo (Pixel)", format: "money" },
+];
+
+export function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createScenario(name, state, out, now = new Date()) {
+  return { id: makeId(), name: name.trim() || "Untitled scenario", savedAt: now.toISOString(), state: { ...state }, out: { ...out } };
+}
+
+export function renameScenario(list, id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return list;
+  return list.map((s) => (s.id === id ? { ...s, name: trimmed } : s));
+}
+
+// Inserts the copy right after the original
+export function duplicateScenario(list, id, now = new Date()) {
+  const i = list.findIndex((s) => s.id === id);
+  if (i < 0) return list;
+  const src = list[i];
+  const copy = { ...src, id: makeId(), name: `${src.name} (copy)`, savedAt: now.toISOString() };
+  return [...list.slice(0, i + 1), copy, ...list.slice(i + 1)];
+}
+
+export function deleteScenario(list, id) {
+  return list.filter((s) => s.id !== id);
+}
+
+// Replace a scenario's monthly actuals (an empty list drops them)
+export function setScenarioActuals(list, id, actuals) {
+  return list.map((s) => {
+    if (s.id !== id) return s;
+    const { actuals: _drop, ...rest } = s;
+    return actuals.length ? { ...rest, actuals } : rest;
+  });
+}
+
+// ---------------- File format ----------------
+export function serializeScenarios(list, now = new Date()) {
+  return JSON.stringify({ version: SCENARIO_FILE_VERSION, exportedAt: now.toISOString(), scenarios: list }, null, 2);
+}
+
+function numericFields(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) if (Number.isFinite(v)) out[k] = v;
+  return out;
+}
+
+// Validates one raw entry. Returns { scenario } or { error }.
+function validateEntry(raw, table) {
+  if (!raw || typeof raw !== "object") return { error: "not an object" };
+  if (typeof raw.name !== "string" || !raw.name.trim()) return { error: "missing name" };
+  if (!raw.state || typeof raw.state !== "object") return { error: "missing state" };
+  if (!raw.out || typeof raw.out !== "object") return { error: "missing outputs" };
+
+  const { state, notices } = decodeScenario(encodeScenario(raw.state), table);
+  if (notices.length) return { error: notices.join(" ") };
+
+  const out = numericFields(raw.out);
+  if (Array.isArray(raw.out.channels)) {
+    out.channels = raw.out.channels
+      .filter((ch) => ch && typeof ch === "object" && typeof ch.id === "string")
+      .map((ch) => ({ id: ch.id, label: typeof ch.label === "string" ? ch.label : ch.id, ...numericFields(ch) }));
+  }
+  if (Array.isArray(raw.out.stages)) {
+    out.stages = raw.out.stages
+      .filter((st) => st && typeof st === "object" && typeof st.key === "string")
+      .map((st) => ({
+        key: st.key,
+        label: typeof st.label === "string" ? st.label : st.key,
+        rate: Number.isFinite(st.rate) ? st.rate : null,
+        anchor: st.anchor === true,
+        from: typeof st.from === "string" ? st.from : null,
+        ...numericFields(st),
+      }));
+  }
+
+  const savedAt = typeof raw.savedAt === "string" && !Number.isNaN(Date.parse(raw.savedAt)) ? raw.savedAt : new Date().toISOString();
+  const scenario = { id: typeof raw.id === "string" && raw.id ? raw.id : makeId(), name: raw.name.trim(), savedAt, state, out };
+  // Actuals are optional; unreadable months are dropped rather than failing the scenario
+  const actuals = Array.isArray(raw.actuals) ? mergeActuals([], raw.actuals.map((a) => validateActualMonth(a).month).filter(Boolean)) : [];
+  if (actuals.length) scenario.actuals = actuals;
+  return { scenario };
+}
+
+// Accepts an exported file or a bare array. Returns { scenarios, rejected: [{ index, name, error }] }.
+// Throws on unreadable JSON or an unsupported version. A null table accepts any metro.
+export function parseScenarioFile(text, table = CITY_TABLE) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && data.scenarios;
+  if (!Array.isArray(entries)) throw new Error("No scenarios found in file.");
+  if (!Array.isArray(data) && data.version > SCENARIO_FILE_VERSION) throw new Error(`Unsupported scenario file version ${data.version}.`);
+
+  const scenarios = [];
+  const rejected = [];
+  entries.forEach((raw, index) => {
+    const { scenario, error } = validateEntry(raw, table);
+    if (scenario) scenarios.push(scenario);
+    else rejected.push({ index, name: raw && typeof raw.name === "string" ? raw.name : `#${index + 1}`, error });
+  });
+  return { scenarios, rejected };
+}
+
+/**
+ * Reads the stored list (localStorage). A scenario whose metro has since been
+ * removed from the table still loads; entries that fail for any other reason
+ * come back raw in `kept` with their `rejected` reasons, so they can be written
+ * back unchanged instead of being dropped from storage.
+ */
+export function parseStoredScenarios(text) {
+  const { scenarios, rejected } = parseScenarioFile(text, null);
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.scenarios;
+  return { scenarios, kept: rejected.map((r) => entries[r.index]), rejected };
+}
+
+// Imported scenarios are appended; ids already in the list get a fresh id.
+export function mergeScenarios(list, incoming) {
+  const ids = new Set(list.map((s) => s.id));
+  const added = incoming.map((s) => (ids.has(s.id) ? { ...s, id: makeId() } : s));
+  return [...list, ...added];
+}
+
+// Per-metric comparison across scenarios: which columns differ from the first.
+export function compareScenarios(scenarios, metrics = COMPARE_METRICS) {
+  return metrics.map((m) => {
+    const values = scenarios.map((s) => (Number.isFinite(s.out[m.key]) ? s.out[m.key] : null));
+    const first = values[0];
+    const deltas = values.map((v) => (v === null || first === null ? null : v - first));
+    const differs = values.map((v) => v !== null && first !== null && Math.abs(v - first) > 1e-9);
+    return { ...m, values, deltas, differs };
+  });
+}
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INPUTS, project } from "./projection.js";
+import { applyMetroOverrides, removeOverride, validateMetro } from "./metros.js";
+import {
+  compareScenarios,
+  createScenario,
+  deleteScenario,
+  duplicateScenario,
+  mergeScenarios,
+  parseScenarioFile,
+  parseStoredScenarios,
+  renameScenario,
+  serializeScenarios,
+} from "./scenarios.js";
+
+const now = new Date("2026-01-15T12:00:00Z");
+const austin = (spend) => {
+  const state = { ...DEFAULT_INPUTS, city: "Austin, TX", spend };
+  return createScenario(`Austin ${spend}`, state, project(state), now);
+};
+
+test("createScenario snapshots state and outputs", () => {
+  const s = austin(1000);
+  assert.equal(s.name, "Austin 1000");
+  assert.equal(s.savedAt, "2026-01-15T12:00:00.000Z");
+  assert.equal(s.state.city, "Austin, TX");
+  assert.equal(s.out.pixelRevenue, project(s.state).pixelRevenue);
+  assert.equal(createScenario("   ", s.state, s.out).name, "Untitled scenario");
+});
+
+test("rename, duplicate and delete", () => {
+  const a = austin(1000);
+  const b = austin(1500);
+  let list = [a, b];
+
+  list = renameScenario(list, a.id, "  Starter  ");
+  assert.equal(list[0].name, "Starter");
+  assert.equal(renameScenario(list, a.id, " ")[0].name, "Starter");
+
+  list = duplicateScenario(list, a.id);
+  assert.equal(list.length, 3);
+  assert.equal(list[1].name, "Starter (copy)");
+  assert.notEqual(list[1].id, a.id);
+  assert.deepEqual(list[1].state, a.state);
+
+  list = deleteScenario(list, a.id);
+  assert.deepEqual(list.map((s) => s.name), ["Starter (copy)", "Austin 1500"]);
+});
+
+test("export/import round-trip", () => {
+  const list = [austin(1000), austin(1500)];
+  const { scenarios, rejected } = parseScenarioFile(serializeScenarios(list, now));
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(scenarios, list);
+});
+
+test("import reports bad entries and keeps the good ones", () => {
+  const good = austin(1000);
+  const text = JSON.stringify([
+    good,
+    { name: "No state", out: {} },
+    { ...good, name: "Bad city", state: { ...good.state, city: "Atlantis" } },
+    { ...good, name: "Bad rate", state: { ...good.state, closeRate: 4 } },
+    "nope",
+  ]);
+  const { scenarios, rejected } = parseScenarioFile(text);
+  assert.equal(scenarios.length, 1);
+  assert.deepEqual(rejected.map((r) => r.name), ["No state", "Bad city", "Bad rate", "#5"]);
+  assert.match(rejected[1].error, /Atlantis/);
+});
+
+test("stored scenarios survive their metro being removed; other failures are kept raw", () => {
+  const boise = validateMetro({ city: "Boise, ID", mult: 1.05, avg: 450000 }, "2026-01-01").metro;
+  let overrides = [boise];
+  const state = { ...DEFAULT_INPUTS, city: "Boise, ID" };
+  const saved = { ...createScenario("Boise client", state, project(state, applyMetroOverrides(overrides)), now), actuals: [{ month: "2026-03", spend: 1500, leads: 80, appts: null, closed: null, revenue: null }] };
+  const broken = { name: "Broken", state: { ...state, closeRate: 4 }, out: {} };
+  const stored = serializeScenarios([saved, broken], now);
+
+  overrides = removeOverride(overrides, "Boise, ID");
+  assert.equal(applyMetroOverrides(overrides).some((m) => m.city === "Boise, ID"), false);
+  // a file import still checks the metro...
+  assert.match(parseScenarioFile(stored, applyMetroOverrides(overrides)).rejected[0].error, /Unknown metro "Boise, ID"/);
+  // ...but reloading storage keeps the scenario, its metro and its actuals
+  const { scenarios, kept, rejected } = parseStoredScenarios(stored);
+  assert.deepEqual(scenarios, [saved]);
+  assert.deepEqual(kept, [broken]);
+  assert.deepEqual(rejected.map((r) => r.name), ["Broken"]);
+  // writing the list back with the kept entries loses nothing
+  assert.deepEqual(JSON.parse(serializeScenarios([...scenarios, ...kept], now)), JSON.parse(stored));
+});
+
+test("import rejects unreadable files", () => {
+  assert.throws(() => parseScenarioFile("{"));
+  assert.throws(() => parseScenarioFile('{"foo":1}'), /No scenarios/);
+  assert.throws(() => parseScenarioFile('{"version":99,"scenarios":[]}'), /version 99/);
+});
+
+test("merge gives colliding ids a fresh id", () => {
+  const a = austin(1000);
+  const merged = mergeScenarios([a], [a, austin(2000)]);
+  assert.equal(merged.length, 3);
+  assert.equal(new Set(merged.map((s) => s.id)).size, 3);
+});
+
+test("compareScenarios flags differences vs the first column", () => {
+  const rows = compareScenarios([austin(1000), austin(1500), austin(1000)]);
+  const budget = rows.find((r) => r.key === "pixelBudget");
+  assert.deepEqual(budget.values, [1500, 2000, 1500]);
+  assert.deepEqual(budget.deltas, [0, 500, 0]);
+  assert.deepEqual(budget.differs, [false, true, false]);
+  const cpl = rows.find((r) => r.key === "pixelCpl");
+  assert.deepEqual(cpl.differs, [false, false, false]);
+});
+
+test("compareScenarios tolerates missing outputs", () => {
+  const a = austin(1000);
+  const b = { ...austin(1500), out: {} };
+  const row = compareScenarios([a, b]).find((r) => r.key === "pixelRevenue");
+  assert.equal(row.values[1], null);
+  assert.equal(row.deltas[1], null);
+  assert.equal(row.differs[1], false);
+});
@@ -0,0 +1,215 @@
+/**
+ * Sensitivity analysis — how far each driver moves the month-one result.
+ *
+ * Every driver is scaled by (1 - range) and (1 + range) around the current
+ * scenario, one at a time, and the swing in Pixel revenue and delta revenue is
+ * recorded (tornado chart). A grid varies two drivers together.
+ *
+ * Channel-level drivers (appointment rate, baseline CPL) scale every channel by
+ * the same factor, so the channel mix keeps its shape. The metro multiplier is
+ * varied through a one-row table for the current city. Revenue per client is
+ * varied through the active ACV model's own parameter (commission rate, deal
+ * value or basis points).
+ */
+import { CITY_TABLE, findMetro, project, resolveInputs } from "./projection.js";
+import { ACV_FIELDS, findAcvModel } from "./profiles.js";
+import { NUMERIC_RANGES } from "./scenarioParams.js";
+
+// Inclusive [min, max]
+export const SENSITIVITY_LIMITS = {
+  range: [0.05, 0.9],
+  steps: [3, 9],
+};
+
+export const DEFAULT_SENSITIVITY = { range: 0.2, steps: 5 };
+
+export const SENSITIVITY_METRICS = [
+  { key: "pixelRevenue", label: "Pixel revenue" },
+  { key: "deltaRevenue", label: "Delta revenue" },
+];
+
+const scaleMix = (mix, field, f, max = Infinity) =>
+  Object.fromEntries(Object.entries(mix).map(([id, c]) => [id, { ...c, [field]: Math.min(max, c[field] * f) }]));
+
+const capped = (key) => (inputs, f) => ({ ...inputs, [key]: Math.min(NUMERIC_RANGES[key][1], inputs[key] * f) });
+
+// An ACV model parameter (./profiles.js) as a driver; it only exists under `models`
+const acvParam = (key, models) => ({
+  key,
+  label: ACV_FIELDS[key].label.replace(/ \(\$\)$/, ""),
+  format: ACV_FIELDS[key].format,
+  models,
+  apply: (inputs, f, table) => ({ inputs: { ...inputs, acvParams: { ...inputs.acvParams, [key]: Math.min(ACV_FIELDS[key].range[1], inputs.acvParams[key] * f) } }, table }),
+  read: (inputs) => inputs.acvParams[key],
+});
+
+// apply(inputs, factor, table) -> { inputs, table }; read(inputs, out) -> the driver's value for display.
+// `models`, when set, lists the ACV models that read the driver.
+export const DRIVERS = [
+  {
+    key: "apptRate",
+    label: "Appointment rate",
+    format: "pct",
+    apply: (inputs, f, table) => ({ inputs: { ...inputs, mix: scaleMix(inputs.mix, "apptRate", f, 1) }, table }),
+    read: (inputs, out) => out.apptRate,
+  },
+  {
+    key: "closeRate",
+    label: "Close rate",
+    format: "pct",
+    apply: (inputs, f, table) => ({ inputs: capped("closeRate")(inputs, f), table }),
+    read: (inputs) => inputs.closeRate,
+  },
+  {
+    key: "uplift",
+    label: "Pixel efficiency",
+    format: "pct",
+    apply: (inputs, f, table) => ({ inputs: capped("uplift")(inputs, f), table }),
+    read: (inputs) => inputs.uplift,
+  },
+  {
+    key: "baseCpl",
+    label: "Baseline CPL",
+    format: "money",
+    apply: (inputs, f, table) => ({ inputs: { ...inputs, mix: scaleMix(inputs.mix, "baseCpl", f) }, table }),
+    // blended competitor CPL before the metro multiplier
+    read: (inputs, out) => (out.metroMult > 0 ? out.competitorCpl / out.metroMult : 0),
+  },
+  {
+    key: "metroMult",
+    label: "Metro multiplier",
+    format: "mult",
+    apply: (inputs, f, table) => {
+      const metro = findMetro(inputs.city, table);
+      return { inputs, table: [{ city: inputs.city, mult: metro.mult * f, avg: metro.avg }] };
+    },
+    read: (inputs, out) => out.metroMult,
+  },
+  {
+    key: "commissionRate",
+    label: "Commission rate",
+    format: "pct",
+    models: ["commission"],
+    apply: (inputs, f, table) => ({ inputs: capped("commissionRate")(inputs, f), table }),
+    read: (inputs) => inputs.commissionRate,
+  },
+  acvParam("dealValue", ["flat", "ltv"]),
+  acvParam("bps", ["mortgage"]),
+  {
+    key: "spend",
+    label: "Monthly spend",
+    format: "money",
+    apply: (inputs, f, table) => ({ inputs: { ...inputs, spend: Math.max(0, inputs.spend) * f }, table }),
+    read: (inputs) => Math.max(0, inputs.spend),
+  },
+];
+
+export const DRIVER_KEYS = DRIVERS.map((d) => d.key);
+
+// The drivers that mean something under the given ACV model
+export function sensitivityDrivers(acvModel) {
+  const model = findAcvModel(acvModel).id;
+  return DRIVERS.filter((d) => !d.models || d.models.includes(model));
+}
+
+const clamp = (x, [min, max]) => Math.min(max, Math.max(min, x));
+
+export function normalizeSensitivityOptions(options = {}) {
+  const o = { ...DEFAULT_SENSITIVITY, ...options };
+  const range = Number.isFinite(o.range) ? clamp(o.range, SENSITIVITY_LIMITS.range) : DEFAULT_SENSITIVITY.range;
+  const steps = Number.isFinite(o.steps) ? Math.round(clamp(o.steps, SENSITIVITY_LIMITS.steps)) : DEFAULT_SENSITIVITY.steps;
+  return { range, steps };
+}
+
+function driver(key) {
+  const d = DRIVERS.find((x) => x.key === key);
+  if (!d) throw new Error(`Unknown sensitivity driver "${key}"`);
+  return d;
+}
+
+// Scale several drivers at once: factors = { [driverKey]: factor }
+function run(resolved, factors, table) {
+  let cur = { inputs: resolved, table };
+  for (const [key, f] of Object.entries(factors)) cur = driver(key).apply(cur.inputs, f, cur.table);
+  return { inputs: cur.inputs, out: project(cur.inputs, cur.table) };
+}
+
+const point = (d, { inputs, out }) => ({ value: d.read(inputs, out), pixelRevenue: out.pixelRevenue, deltaRevenue: out.deltaRevenue });
+
+/**
+ * One-at-a-time sweep of every driver.
+ * Returns { range, base, drivers: [{ key, label, format, base, low, high, swing }] }
+ * where low/high are { value, pixelRevenue, deltaRevenue } at (1 ∓ range) and
+ * swing is |high - low| per metric. Drivers come back in DRIVERS order, limited to
+ * sensitivityDrivers() for the scenario's ACV model; use rankDrivers().
+ */
+export function sensitivity(inputs = {}, options = {}, table = CITY_TABLE) {
+  const { range } = normalizeSensitivityOptions(options);
+  const resolved = resolveInputs(inputs);
+  const baseRun = run(resolved, {}, table);
+
+  const drivers = sensitivityDrivers(resolved.acvModel).map((d) => {
+    const low = point(d, run(resolved, { [d.key]: 1 - range }, table));
+    const high = point(d, run(resolved, { [d.key]: 1 + range }, table));
+    return {
+      key: d.key,
+      label: d.label,
+      format: d.format,
+      base: d.read(baseRun.inputs, baseRun.out),
+      low,
+      high,
+      swing: {
+        pixelRevenue: Math.abs(high.pixelRevenue - low.pixelRevenue),
+        deltaRevenue: Math.abs(high.deltaRevenue - low.deltaRevenue),
+      },
+    };
+  });
+
+  return {
+    range,
+    base: { pixelRevenue: baseRun.out.pixelRevenue, deltaRevenue: baseRun.out.deltaRevenue },
+    drivers,
+  };
+}
+
+// Largest swing first; ties keep DRIVERS order
+export function rankDrivers(drivers, metric = "pixelRevenue") {
+  return [...drivers].sort((a, b) => b.swing[metric] - a.swing[metric]);
+}
+
+/**
+ * Two-variable grid: x and y drivers each take `steps` factors evenly spaced
+ * over [1 - range, 1 + range] (odd steps put the current scenario in the middle).
+ * Returns { x: { key, label, format, values }, y: {...}, cells } where
+ * cells[row][col] = { pixelRevenue, deltaRevenue } for y.values[row] × x.values[col].
+ * Throws on a driver the scenario's ACV model does not read.
+ */
+export function sensitivityGrid(inputs = {}, { x = "spend", y = "closeRate", ...options } = {}, table = CITY_TABLE) {
+  if (x === y) throw new Error("Pick two different drivers for the grid");
+  const { range, steps } = normalizeSensitivityOptions(options);
+  const resolved = resolveInputs(inputs);
+  const factors = Array.from({ length: steps }, (_, i) => 1 - range + (2 * range * i) / (steps - 1));
+
+  const dx = driver(x);
+  const dy = driver(y);
+  const model = findAcvModel(resolved.acvModel);
+  for (const d of [dx, dy]) {
+    if (d.models && !d.models.includes(model.id)) throw new Error(`${d.label} is not used by the ${model.label} ACV model`);
+  }
+  const axisValues = (d) => factors.map((f) => {
+    const r = run(resolved, { [d.key]: f }, table);
+    return d.read(r.inputs, r.out);
+  });
+
+  const cells = factors.map((fy) => factors.map((fx) => {
+    const { out } = run(resolved, { [x]: fx, [y]: fy }, table);
+    return { pixelRevenue: out.pixelRevenue, deltaRevenue: out.deltaRevenue };
+  }));
+
+  return {
+    factors,
+    x: { key: x, label: dx.label, format: dx.format, values: axisValues(dx) },
+    y: { key: y, label: dy.label, format: dy.format, values: axisValues(dy) },
+    cells,
+  };
+}
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { project } from "./projection.js";
+import { DRIVER_KEYS, normalizeSensitivityOptions, rankDrivers, sensitivity, sensitivityGrid } from "./sensitivity.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+const byKey = (s) => Object.fromEntries(s.drivers.map((d) => [d.key, d]));
+
+test("covers every requested driver around the current scenario", () => {
+  assert.deepEqual(DRIVER_KEYS, ["apptRate", "closeRate", "uplift", "baseCpl", "metroMult", "commissionRate", "dealValue", "bps", "spend"]);
+  const s = sensitivity();
+  assert.deepEqual(s.drivers.map((x) => x.key), ["apptRate", "closeRate", "uplift", "baseCpl", "metroMult", "commissionRate", "spend"]);
+  const base = project();
+  approx(s.base.pixelRevenue, base.pixelRevenue);
+  approx(s.base.deltaRevenue, base.deltaRevenue);
+  const d = byKey(s);
+  approx(d.closeRate.base, 0.25);
+  approx(d.closeRate.low.value, 0.2);
+  approx(d.closeRate.high.value, 0.3);
+  approx(d.metroMult.base, 1.35);
+  approx(d.baseCpl.base, 16);
+  approx(d.spend.high.value, 1200);
+});
+
+test("revenue is linear in close rate and commission", () => {
+  const d = byKey(sensitivity({}, { range: 0.2 }));
+  const base = project().pixelRevenue;
+  approx(d.closeRate.low.pixelRevenue, base * 0.8);
+  approx(d.closeRate.high.pixelRevenue, base * 1.2);
+  approx(d.commissionRate.swing.pixelRevenue, base * 0.4);
+});
+
+test("revenue is varied through the active ACV model's parameter", () => {
+  for (const [acvModel, key] of [["flat", "dealValue"], ["ltv", "dealValue"], ["mortgage", "bps"]]) {
+    const s = sensitivity({ acvModel }, { range: 0.2 });
+    const keys = s.drivers.map((x) => x.key);
+    assert.ok(keys.includes(key), acvModel);
+    assert.ok(!keys.includes("commissionRate"), acvModel);
+    const d = byKey(s);
+    // revenue is linear in each model's parameter (ltv's deal value is grossed up, still linear)
+    approx(d[key].low.pixelRevenue, s.base.pixelRevenue * 0.8);
+    approx(d[key].high.pixelRevenue, s.base.pixelRevenue * 1.2);
+    assert.ok(d[key].swing.deltaRevenue > 0);
+  }
+  assert.equal(byKey(sensitivity({ acvModel: "mortgage" })).bps.label, "Basis points");
+  assert.throws(() => sensitivityGrid({ acvModel: "flat" }, { x: "commissionRate", y: "closeRate" }), /Commission rate is not used by the Flat deal value ACV model/);
+  const grid = sensitivityGrid({ acvModel: "mortgage" }, { x: "bps", y: "closeRate", range: 0.5, steps: 3 });
+  assert.deepEqual(grid.x.values, [50, 100, 150]);
+});
+
+test("higher CPL drivers lower revenue; higher rates raise it", () => {
+  const d = byKey(sensitivity());
+  assert.ok(d.baseCpl.high.pixelRevenue < d.baseCpl.low.pixelRevenue);
+  assert.ok(d.metroMult.high.pixelRevenue < d.metroMult.low.pixelRevenue);
+  assert.ok(d.apptRate.high.pixelRevenue > d.apptRate.low.pixelRevenue);
+  assert.ok(d.uplift.high.pixelRevenue > d.uplift.low.pixelRevenue);
+  // uplift only moves the Pixel side
+  approx(d.uplift.high.deltaRevenue - d.uplift.low.deltaRevenue, d.uplift.high.pixelRevenue - d.uplift.low.pixelRevenue);
+});
+
+test("channel drivers scale every channel and cap rates at 100%", () => {
+  const mix = { meta: { share: 0.5, baseCpl: 20, apptRate: 0.9 }, google: { share: 0.5, baseCpl: 80, apptRate: 0.3 } };
+  const d = byKey(sensitivity({ mix }, { range: 0.5 }));
+  const capped = project({ mix: { meta: { ...mix.meta, apptRate: 1 }, google: { ...mix.google, apptRate: 0.45 } } });
+  approx(d.apptRate.high.pixelRevenue, capped.pixelRevenue);
+  const cheaper = project({ mix: { meta: { ...mix.meta, baseCpl: 10 }, google: { ...mix.google, baseCpl: 40 } } });
+  approx(d.baseCpl.low.pixelRevenue, cheaper.pixelRevenue);
+});
+
+test("metro multiplier works for custom tables and unknown metros", () => {
+  const table = [{ city: "Boise, ID", mult: 0.9, avg: 450000 }];
+  const d = byKey(sensitivity({ city: "Boise, ID" }, { range: 0.1 }, table));
+  approx(d.metroMult.low.value, 0.81);
+  approx(d.metroMult.low.pixelRevenue, project({ city: "Boise, ID" }, [{ ...table[0], mult: 0.81 }]).pixelRevenue);
+  approx(byKey(sensitivity({ city: "Nowhere, ZZ" })).metroMult.base, 1);
+});
+
+test("rankDrivers orders by swing for the chosen metric", () => {
+  const s = sensitivity();
+  const ranked = rankDrivers(s.drivers, "deltaRevenue");
+  for (let i = 1; i < ranked.length; i++) assert.ok(ranked[i - 1].swing.deltaRevenue >= ranked[i].swing.deltaRevenue);
+  assert.equal(s.drivers[0].key, "apptRate"); // input order untouched
+});
+
+test("grid varies two drivers together with the base scenario in the centre", () => {
+  const g = sensitivityGrid({}, { x: "spend", y: "closeRate", range: 0.2, steps: 5 });
+  assert.equal(g.cells.length, 5);
+  assert.equal(g.cells[0].length, 5);
+  assert.deepEqual(g.x.values.map((v) => Math.round(v)), [800, 900, 1000, 1100, 1200]);
+  approx(g.y.values[4], 0.3);
+  approx(g.cells[2][2].deltaRevenue, project().deltaRevenue);
+  approx(g.cells[4][0].deltaRevenue, project({ spend: 800, closeRate: 0.3 }).deltaRevenue);
+  assert.throws(() => sensitivityGrid({}, { x: "spend", y: "spend" }), /different/);
+  assert.throws(() => sensitivityGrid({}, { x: "nope" }), /Unknown/);
+});
+
+test("options are clamped", () => {
+  assert.deepEqual(normalizeSensitivityOptions({ range: 5, steps: 2 }), { range: 0.9, steps: 3 });
+  assert.deepEqual(normalizeSensitivityOptions({ range: NaN, steps: 6.4 }), { range: 0.2, steps: 6 });
+});
@@ -0,0 +1,272 @@
+/**
+ * Prospect Summary — one data shape behind the on-screen JSON card and every
+ * export (print one-pager, CSV, Markdown for CRM notes).
+ *
+ * Exports carry `meta` = { generatedAt: Date, query, url? }: query is the
+ * scenario's share params (encodeScenario) so the numbers can be reproduced.
+ * Named competitor profiles being compared come along as extra columns; they
+ * live in the browser's library, not in the share params.
+ */
+import { describeMix } from "./projection.js";
+import { findAcvModel, findProfile } from "./profiles.js";
+import { encodeScenario, flattenScenario } from "./scenarioParams.js";
+import { toCsv } from "./csv.js";
+
+// Side-by-side rows (competitor vs Pixel) in display order
+export const SUMMARY_ROWS = [
+  { key: "cpl", label: "Cost per lead", format: "money" },
+  { key: "leads", label: "Leads / mo", format: "count1" },
+  { key: "appts", label: "Appointments / mo", format: "count1" },
+  { key: "cpa", label: "Cost per appointment", format: "money" },
+  { key: "closed", label: "Closed clients / mo", format: "count2" },
+  { key: "revenue", label: "Revenue / mo", format: "money" },
+];
+
+// Net ROI rows (from ./roi.js), same layout; null values print as a dash
+export const NET_ROWS = [
+  { key: "total_cost", label: "Total cost / mo (spend + fees)", format: "money" },
+  { key: "net_profit", label: "Net profit / mo", format: "money" },
+  { key: "roas", label: "ROAS", format: "ratio" },
+  { key: "roi", label: "ROI", format: "pct" },
+  { key: "cost_per_closed", label: "Cost per closed client", format: "money" },
+  { key: "payback_month", label: "Payback month", format: "month" },
+];
+
+const side = (out, prefix) => ({
+  cpl: out[`${prefix}Cpl`],
+  leads: out[`${prefix}Leads`],
+  appts: out[`${prefix}Appts`],
+  cpa: out[`${prefix}Cpa`],
+  closed: out[`${prefix}Closed`],
+  revenue: out[`${prefix}Revenue`],
+});
+
+const netSide = (r) => ({
+  monthly_fees: r.fees,
+  setup_fee: r.setupFee,
+  contract_months: r.contractMonths,
+  total_cost: r.totalCost,
+  net_profit: r.netProfit,
+  contract_profit: r.contractProfit,
+  roas: r.roas,
+  roi: r.roi,
+  cost_per_closed: r.costPerClosed,
+  payback_month: r.paybackMonth,
+});
+
+// Named competitor (compareCompetitors() row): the side rows plus its net figures
+const namedSide = (c) => ({
+  id: c.id,
+  name: c.name,
+  spend: c.spend,
+  min_spend_applied: c.minSpendApplied,
+  cpl: c.cpl,
+  leads: c.leads,
+  appts: c.appts,
+  cpa: c.cpa,
+  closed: c.closed,
+  revenue: c.revenue,
+  net: netSide(c.net),
+  delta_revenue: c.deltaRevenue,
+  delta_net_profit: c.deltaNetProfit,
+});
+
+// `extras.metroAsOf` is the metro table's data-as-of date (undefined for built-ins);
+// `extras.roi` is projectRoi() output and adds the net_roi block;
+// `extras.competitors` is compareCompetitors() output and adds named_competitors.
+export function buildSummary(state, out, { metroAsOf, roi, competitors } = {}) {
+  const summary = {
+    city: state.city,
+    channel_mix: describeMix(state.mix),
+    spend: state.spend,
+    funded_media: out.funded,
+    competitor: side(out, "competitor"),
+    pixel: side(out, "pixel"),
+    delta_revenue: out.deltaRevenue,
+    cost_of_waiting: out.costOfWaiting,
+    funnel: out.stages.map((st) => ({ stage: st.key, label: st.label, rate: st.rate, competitor: st.competitor, pixel: st.pixel })),
+    channels: Object.fromEntries(out.channels.filter((ch) => ch.pixelBudget > 0).map((ch) => [ch.id, {
+      spend: ch.spend,
+      funded_media: ch.funded,
+      base_cpl: state.mix[ch.id].baseCpl,
+      appt_rate: ch.apptRate,
+      competitor: side(ch, "competitor"),
+      pixel: side(ch, "pixel"),
+    }])),
+    assumptions: {
+      appt_rate: out.apptRate,
+      acv: out.acv,
+      acv_model: findAcvModel(state.acvModel).id,
+      acv_basis: describeAcv(state, out.metroAvg),
+      profile: findProfile(state.profile).id,
+      commission_rate: state.commissionRate,
+      metro_avg_price: out.metroAvg,
+      metro_data_as_of: metroAsOf || "built-in",
+      close_rate: state.closeRate,
+      efficiency: state.uplift,
+      funded_cap: state.fundedCap,
+      funded_split: state.fundedSplit,
+    },
+  };
+  if (roi) {
+    summary.net_roi = {
+      competitor: netSide(roi.competitor),
+      pixel: netSide(roi.pixel),
+      delta_net_profit: roi.deltaNetProfit,
+      break_even: { status: roi.breakEven.status, spend: roi.breakEven.spend },
+    };
+  }
+  if (competitors && competitors.length) summary.named_competitors = competitors.map(namedSide);
+  return summary;
+}
+
+// One sentence for the break-even spend (see breakEvenSpend in ./roi.js)
+export function describeBreakEven({ status, spend }) {
+  if (status === "always") return "Pixel nets more than the competitor at any spend.";
+  if (status === "never") return "At these fees Pixel does not out-earn the competitor at any spend.";
+  const amount = formatValue(spend, "money");
+  return status === "above"
+    ? `Pixel nets more than the competitor above ${amount}/mo client spend.`
+    : `Pixel nets more than the competitor below ${amount}/mo client spend.`;
+}
+
+const fmt = { money: (v) => formatValue(v, "money"), pct: (v) => formatValue(v, "pct") };
+
+// "Mortgage basis points: 100 bps on $560,000.00 loan (80% of $700,000.00)"
+export function describeAcv(state, metroAvg) {
+  const model = findAcvModel(state.acvModel);
+  const params = { ...state.acvParams, commissionRate: state.commissionRate };
+  return `${model.label}: ${model.describe({ avg: metroAvg }, params, fmt)}`;
+}
+
+// "Leads -> Contacted (60%) -> Applications -> Funded loans"; extra stages show their rate
+export function describeFunnel(stages) {
+  return stages.map((st) => (st.anchor || st.rate === null ? st.label : `${st.label} (${formatValue(st.rate, "pct")})`)).join(" -> ");
+}
+
+export function exportMeta(state, { now = new Date(), url } = {}) {
+  return { generatedAt: now, query: encodeScenario(state), url };
+}
+
+// ---------------- Formatting ----------------
+export function formatValue(v, format) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v !== "number") return String(v);
+  if (format === "ratio") return `${v.toFixed(2)}x`;
+  if (format === "month") return `Month ${v}`;
+  if (format === "money") return `$${(Math.round(v * 100) / 100).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (format === "pct") return `${(Math.round(v * 10000) / 100).toString()}%`;
+  if (format === "bps") return `${Math.round(v * 10) / 10} bps`;
+  if (format === "count2") return v.toFixed(2);
+  return v.toFixed(1);
+}
+
+// Assumption rows as [label, formatted value]
+export function assumptionRows(summary) {
+  const a = summary.assumptions;
+  return [
+    ["Metro", `${summary.city} (data as of ${a.metro_data_as_of})`],
+    ["Channel mix", summary.channel_mix],
+    ["Monthly client spend", formatValue(summary.spend, "money")],
+    ["Funded media (PMC+GPC)", `${formatValue(summary.funded_media, "money")} (cap ${formatValue(a.funded_cap, "money")})`],
+    ["Metro avg price", formatValue(a.metro_avg_price, "money")],
+    ["ACV model", a.acv_basis],
+    ["ACV", formatValue(a.acv, "money")],
+    ["Appointment rate", formatValue(a.appt_rate, "pct")],
+    ["Close rate", formatValue(a.close_rate, "pct")],
+    ["Pixel efficiency", `${formatValue(a.efficiency, "pct")} lower CPL`],
+    ...(summary.funnel.length > 3 ? [["Funnel", `${findProfile(a.profile).label}: ${describeFunnel(summary.funnel.map((st) => ({ ...st, anchor: ["lead", "appt", "closed"].includes(st.stage) })))}`]] : []),
+    ...(summary.net_roi ? ["competitor", "pixel"].map((side) => {
+      const n = summary.net_roi[side];
+      return [`${side === "pixel" ? "Pixel" : "Competitor"} fees`, `${formatValue(n.monthly_fees, "money")}/mo + ${formatValue(n.setup_fee, "money")} setup, ${n.contract_months}-month contract`];
+    }) : []),
+  ];
+}
+
+const reproduceLink = (meta) => meta.url || `?${meta.query}`;
+
+// Named competitors below their minimum spend, e.g. ["Premium agency at its $3,000.00/mo minimum"]
+export function minSpendNotes(summary) {
+  return (summary.named_competitors || []).filter((c) => c.min_spend_applied).map((c) => `${c.name} at its ${formatValue(c.spend, "money")}/mo minimum`);
+}
+
+// ---------------- CSV ----------------
+// Long format (section, name, value): one row per input and per output figure
+export function summaryToCsv(summary, state, meta) {
+  const rows = [
+    { section: "meta", name: "generated_at", value: meta.generatedAt.toISOString() },
+    { section: "meta", name: "share_params", value: meta.query },
+  ];
+  if (meta.url) rows.push({ section: "meta", name: "share_url", value: meta.url });
+  for (const [name, value] of flattenScenario(state)) rows.push({ section: "input", name, value });
+  rows.push({ section: "input", name: "metro_data_as_of", value: summary.assumptions.metro_data_as_of });
+  for (const r of SUMMARY_ROWS) {
+    rows.push({ section: "output", name: `competitor_${r.key}`, value: summary.competitor[r.key] });
+    rows.push({ section: "output", name: `pixel_${r.key}`, value: summary.pixel[r.key] });
+  }
+  rows.push(
+    { section: "output", name: "funded_media", value: summary.funded_media },
+    { section: "output", name: "delta_revenue", value: summary.delta_revenue },
+    { section: "output", name: "cost_of_waiting", value: summary.cost_of_waiting },
+    { section: "output", name: "acv", value: summary.assumptions.acv },
+    { section: "output", name: "appt_rate", value: summary.assumptions.appt_rate },
+  );
+  if (summary.net_roi) {
+    for (const r of NET_ROWS) {
+      rows.push({ section: "output", name: `competitor_${r.key}`, value: summary.net_roi.competitor[r.key] ?? "" });
+      rows.push({ section: "output", name: `pixel_${r.key}`, value: summary.net_roi.pixel[r.key] ?? "" });
+    }
+    rows.push(
+      { section: "output", name: "delta_net_profit", value: summary.net_roi.delta_net_profit },
+      { section: "output", name: "break_even_status", value: summary.net_roi.break_even.status },
+      { section: "output", name: "break_even_spend", value: summary.net_roi.break_even.spend ?? "" },
+    );
+  }
+  for (const c of summary.named_competitors || []) {
+    const section = `competitor:${c.id}`;
+    rows.push({ section, name: "name", value: c.name }, { section, name: "spend", value: c.spend });
+    for (const r of SUMMARY_ROWS) rows.push({ section, name: r.key, value: c[r.key] });
+    for (const r of NET_ROWS) rows.push({ section, name: r.key, value: c.net[r.key] ?? "" });
+    rows.push({ section, name: "delta_revenue", value: c.delta_revenue }, { section, name: "delta_net_profit", value: c.delta_net_profit });
+  }
+  for (const [id, ch] of Object.entries(summary.channels)) {
+    rows.push({ section: `channel:${id}`, name: "spend", value: ch.spend }, { section: `channel:${id}`, name: "funded_media", value: ch.funded_media });
+    for (const r of SUMMARY_ROWS) {
+      rows.push({ section: `channel:${id}`, name: `competitor_${r.key}`, value: ch.competitor[r.key] });
+      rows.push({ section: `channel:${id}`, name: `pixel_${r.key}`, value: ch.pixel[r.key] });
+    }
+  }
+  return toCsv(rows, ["section", "name", "value"]);
+}
+
+// ---------------- Markdown ----------------
+// CRM-friendly: a heading, a small table and the share link
+// User or imported text (competitor names, custom metros) on one Markdown line, safe in a table cell
+const mdText = (text) => String(text).replace(/\s*[\r\n]+\s*/g, " ").replace(/\|/g, "\\|");
+
+export function summaryToMarkdown(summary, meta) {
+  const named = summary.named_competitors || [];
+  const cells = (values, r) => values.map((v) => ` ${formatValue(v, r.format)} |`).join("");
+  const notes = minSpendNotes(summary);
+  const lines = [
+    `## Pixel projection: ${mdText(summary.city)}`,
+    "",
+    `Generated ${meta.generatedAt.toISOString().replace("T", " ").slice(0, 16)} UTC`,
+    "",
+    `| | Competitor |${named.map((c) => ` ${mdText(c.name)} |`).join("")} Pixel |`,
+    `|---|---:|${named.map(() => "---:|").join("")}---:|`,
+    ...SUMMARY_ROWS.map((r) => `| ${r.label} |${cells([summary.competitor[r.key], ...named.map((c) => c[r.key]), summary.pixel[r.key]], r)}`),
+    ...(summary.net_roi ? NET_ROWS.map((r) => `| ${r.label} |${cells([summary.net_roi.competitor[r.key], ...named.map((c) => c.net[r.key]), summary.net_roi.pixel[r.key]], r)}`) : []),
+    ...(notes.length ? ["", `Projected at minimum spend: ${mdText(notes.join("; "))}.`] : []),
+    "",
+    `**Delta revenue / mo:** ${formatValue(summary.delta_revenue, "money")}`,
+    `**Cost of waiting 30 days:** ${formatValue(summary.cost_of_waiting, "money")}`,
+    ...(summary.net_roi ? [`**Break-even:** ${describeBreakEven(summary.net_roi.break_even)}`] : []),
+    "",
+    "**Assumptions**",
+    ...assumptionRows(summary).map(([k, v]) => `- ${k}: ${mdText(v)}`),
+    "",
+    `Reproduce: ${reproduceLink(meta)}`,
+  ];
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCsvObjects } from "./csv.js";
+import { DEFAULT_INPUTS, project } from "./projection.js";
+import { decodeScenario } from "./scenarioParams.js";
+import { GLOSSARY, glossaryFor } from "./glossary.js";
+import { projectRoi } from "./roi.js";
+import { assumptionRows, buildSummary, describeBreakEven, exportMeta, formatValue, summaryToCsv, summaryToMarkdown } from "./summary.js";
+
+const now = new Date("2026-03-04T15:30:00Z");
+const mixed = {
+  ...DEFAULT_INPUTS,
+  mix: { ...DEFAULT_INPUTS.mix, meta: { ...DEFAULT_INPUTS.mix.meta, share: 0.6 }, google: { ...DEFAULT_INPUTS.mix.google, share: 0.4 } },
+};
+
+test("summary mirrors the projection", () => {
+  const out = project(mixed);
+  const s = buildSummary(mixed, out, { metroAsOf: "2026-01-15" });
+  assert.equal(s.city, "New York, NY");
+  assert.equal(s.channel_mix, "Meta (FB/IG) 60% / Google Search 40%");
+  assert.equal(s.pixel.revenue, out.pixelRevenue);
+  assert.equal(s.competitor.closed, out.competitorClosed);
+  assert.equal(s.delta_revenue, out.deltaRevenue);
+  assert.deepEqual(Object.keys(s.channels), ["meta", "google"]);
+  assert.equal(s.channels.google.base_cpl, 85);
+  assert.equal(s.assumptions.metro_data_as_of, "2026-01-15");
+  assert.equal(buildSummary(DEFAULT_INPUTS, project()).assumptions.metro_data_as_of, "built-in");
+});
+
+test("CSV carries timestamp, share params, inputs and outputs", () => {
+  const s = buildSummary(mixed, project(mixed));
+  const meta = exportMeta(mixed, { now, url: "https://example.test/?city=x" });
+  const rows = parseCsvObjects(summaryToCsv(s, mixed, meta));
+  const get = (section, name) => rows.find((r) => r.section === section && r.name === name).value;
+  assert.equal(get("meta", "generated_at"), "2026-03-04T15:30:00.000Z");
+  assert.equal(get("meta", "share_url"), "https://example.test/?city=x");
+  assert.equal(get("input", "meta.share"), "0.6");
+  assert.equal(Number(get("output", "pixel_revenue")), s.pixel.revenue);
+  assert.equal(Number(get("channel:google", "spend")), 400);
+  // the share params reproduce the same state
+  assert.deepEqual(decodeScenario(get("meta", "share_params")).state, decodeScenario(meta.query).state);
+  assert.equal(project(decodeScenario(get("meta", "share_params")).state).pixelRevenue, s.pixel.revenue);
+});
+
+test("Markdown has the stats table, assumptions and reproduce link", () => {
+  const s = buildSummary(DEFAULT_INPUTS, project());
+  const md = summaryToMarkdown(s, exportMeta(DEFAULT_INPUTS, { now }));
+  assert.match(md, /^## Pixel projection: New York, NY\n/);
+  assert.match(md, /Generated 2026-03-04 15:30 UTC/);
+  assert.match(md, /\| Cost per lead \| \$21\.60 \| \$18\.36 \|/);
+  assert.match(md, /- Close rate: 25%/);
+  assert.match(md, /Reproduce: \?city=New\+York%2C\+NY&spend=1000/);
+  assert.equal(assumptionRows(s).length, 10);
+});
+
+test("net ROI block carries both sides and the break-even line", () => {
+  const inputs = { ...DEFAULT_INPUTS, pmc: 0, fees: { ...DEFAULT_INPUTS.fees, pixel: { monthly: 1000, pctOfSpend: 0, setup: 600, contractMonths: 6 } } };
+  const roi = projectRoi(inputs);
+  const s = buildSummary(inputs, project(inputs), { roi });
+  assert.equal(s.net_roi.pixel.net_profit, roi.pixel.netProfit);
+  assert.equal(s.net_roi.pixel.monthly_fees, 1000);
+  assert.equal(s.net_roi.break_even.status, "above");
+  assert.equal(buildSummary(DEFAULT_INPUTS, project()).net_roi, undefined);
+
+  const md = summaryToMarkdown(s, exportMeta(inputs, { now }));
+  assert.match(md, /\| Net profit \/ mo \| \$[\d,.-]+ \| -?\$[\d,.-]+ \|/);
+  assert.match(md, /\*\*Break-even:\*\* Pixel nets more than the competitor above \$/);
+  assert.match(md, /- Pixel fees: \$1,000\.00\/mo \+ \$600\.00 setup, 6-month contract/);
+  const rows = parseCsvObjects(summaryToCsv(s, inputs, exportMeta(inputs, { now })));
+  assert.equal(rows.find((r) => r.name === "break_even_status").value, "above");
+  assert.equal(rows.find((r) => r.name === "fees.pixel.setup").value, "600");
+
+  assert.equal(describeBreakEven({ status: "below", spend: 2500 }), "Pixel nets more than the competitor below $2,500.00/mo client spend.");
+  assert.equal(describeBreakEven({ status: "always", spend: null }), "Pixel nets more than the competitor at any spend.");
+});
+
+test("value formatting", () => {
+  assert.equal(formatValue(1234.5, "money"), "$1,234.50");
+  assert.equal(formatValue(0.025, "pct"), "2.5%");
+  assert.equal(formatValue(3.14159, "count2"), "3.14");
+  assert.equal(formatValue(3.14159, "count1"), "3.1");
+  assert.equal(formatValue("spend", "money"), "spend");
+  assert.equal(formatValue(2.5, "ratio"), "2.50x");
+  assert.equal(formatValue(3, "month"), "Month 3");
+  assert.equal(formatValue(null, "month"), "—");
+});
+
+test("glossary terms follow the scenario", () => {
+  const ctx = (state, extra = {}) => ({ state, out: project(state), timeline: false, sensitivity: false, uncertainty: false, goalSeek: false, competitors: false, ...extra });
+  const terms = (c) => glossaryFor(c).map((g) => g.term);
+  const base = terms(ctx(DEFAULT_INPUTS));
+  assert.ok(base.includes("PMC") && !base.includes("GPC") && !base.includes("Channel Mix") && !base.includes("Ramp"));
+  const all = terms(ctx({ ...mixed, gpc: 100 }, { timeline: true, sensitivity: true, uncertainty: true, goalSeek: true, competitors: true }));
+  assert.deepEqual(all, GLOSSARY.map((g) => g.term));
+});
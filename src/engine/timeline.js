@@ -0,0 +1,135 @@
+/**
+ * Multi-month projection timeline (3–24 months).
+ *
+ * Builds on project() for the month-one economics (per channel), then adds:
+ * - Ramp: month-1 CPL penalty (learning phase) that shrinks linearly to zero
+ *   over rampMonths. Applies to both sides; every new campaign has to learn.
+ * - Close lag: appointments booked in month m close in month m + closeLagMonths.
+ *   Closings that land past the horizon are not counted.
+ * - Credit expiry: funded media (PMC+GPC) only applies for the first creditMonths.
+ */
+import { CITY_TABLE, project } from "./projection.js";
+
+export const DEFAULT_TIMELINE = {
+  months: 12,
+  rampPenalty: 0.3, // month-1 CPL is 30% higher
+  rampMonths: 3, // penalty gone by month 4
+  closeLagMonths: 1,
+  creditMonths: 3,
+};
+
+// Inclusive [min, max]; everything but rampPenalty is a whole number of months
+export const TIMELINE_LIMITS = {
+  months: [3, 24],
+  rampPenalty: [0, 2],
+  rampMonths: [1, 12],
+  closeLagMonths: [0, 6],
+  creditMonths: [0, 24],
+};
+
+const clamp = (x, [min, max]) => Math.min(max, Math.max(min, x));
+
+export function normalizeTimelineOptions(options = {}) {
+  const o = { ...DEFAULT_TIMELINE, ...options };
+  const out = {};
+  for (const [k, range] of Object.entries(TIMELINE_LIMITS)) {
+    const v = Number.isFinite(o[k]) ? o[k] : DEFAULT_TIMELINE[k];
+    out[k] = k === "rampPenalty" ? clamp(v, range) : Math.round(clamp(v, range));
+  }
+  return out;
+}
+
+// CPL multiplier for month m (1-based)
+export function rampFactor(m, { rampPenalty, rampMonths }) {
+  return 1 + rampPenalty * Math.max(0, 1 - (m - 1) / rampMonths);
+}
+
+function emptySide() {
+  return { budget: 0, leads: 0, appts: 0, closed: 0, revenue: 0, cumLeads: 0, cumClosed: 0, cumRevenue: 0 };
+}
+
+export function projectTimeline(inputs = {}, options = {}, table = CITY_TABLE) {
+  const opts = normalizeTimelineOptions(options);
+  const base = project(inputs, table);
+
+  const months = [];
+  const pixelAppts = [];
+  const competitorAppts = [];
+  let pixelPrev = emptySide();
+  let competitorPrev = emptySide();
+
+  for (let m = 1; m <= opts.months; m++) {
+    const ramp = rampFactor(m, opts);
+    const creditsLive = m <= opts.creditMonths;
+
+    // Each channel keeps its own split, CPL and appointment rate; ramp scales every CPL
+    let pLeads = 0, cLeads = 0, pAppts = 0, cAppts = 0, pixelBudget = 0, spend = 0;
+    for (const ch of base.channels) {
+      const budget = ch.spend + (creditsLive ? ch.funded : 0);
+      const pl = budget > 0 && ch.pixelCpl > 0 ? budget / (ch.pixelCpl * ramp) : 0;
+      const cl = ch.spend > 0 && ch.competitorCpl > 0 ? ch.spend / (ch.competitorCpl * ramp) : 0;
+      pLeads += pl;
+      cLeads += cl;
+      pAppts += pl * ch.leadToAppt;
+      cAppts += cl * ch.leadToAppt;
+      pixelBudget += budget;
+      spend += ch.spend;
+    }
+    const funded = creditsLive ? base.funded : 0;
+    pixelAppts.push(pAppts);
+    competitorAppts.push(cAppts);
+
+    const src = m - 1 - opts.closeLagMonths; // index of the month whose appointments close now
+    const pClosed = src >= 0 ? pixelAppts[src] * base.apptToClose : 0;
+    const cClosed = src >= 0 ? competitorAppts[src] * base.apptToClose : 0;
+
+    const pixel = {
+      budget: pixelBudget,
+      leads: pLeads,
+      appts: pixelAppts[m - 1],
+      closed: pClosed,
+      revenue: pClosed * base.acv,
+      cumLeads: pixelPrev.cumLeads + pLeads,
+      cumClosed: pixelPrev.cumClosed + pClosed,
+      cumRevenue: pixelPrev.cumRevenue + pClosed * base.acv,
+    };
+    const competitor = {
+      budget: spend,
+      leads: cLeads,
+      appts: competitorAppts[m - 1],
+      closed: cClosed,
+      revenue: cClosed * base.acv,
+      cumLeads: competitorPrev.cumLeads + cLeads,
+      cumClosed: competitorPrev.cumClosed + cClosed,
+      cumRevenue: competitorPrev.cumRevenue + cClosed * base.acv,
+    };
+
+    months.push({ month: m, ramp, funded, pixel, competitor, cumDelta: pixel.cumRevenue - competitor.cumRevenue });
+    pixelPrev = pixel;
+    competitorPrev = competitor;
+  }
+
+  return {
+    options: opts,
+    acv: base.acv,
+    months,
+    totals: {
+      pixelRevenue: pixelPrev.cumRevenue,
+      competitorRevenue: competitorPrev.cumRevenue,
+      pixelClosed: pixelPrev.cumClosed,
+      competitorClosed: competitorPrev.cumClosed,
+      deltaRevenue: pixelPrev.cumRevenue - competitorPrev.cumRevenue,
+    },
+  };
+}
+
+// Pixel revenue lost over the horizon by launching k months later: the delayed
+// campaign runs the same curve, so the last k months of revenue never happen.
+export function costOfWaiting(timeline, k = 1) {
+  const n = timeline.months.length;
+  const steps = Math.min(Math.max(0, Math.round(k)), n);
+  if (steps === 0) return 0;
+  const total = timeline.months[n - 1].pixel.cumRevenue;
+  const kept = n - steps > 0 ? timeline.months[n - steps - 1].pixel.cumRevenue : 0;
+  return total - kept;
+}
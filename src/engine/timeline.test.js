@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { project } from "./projection.js";
+import { DEFAULT_TIMELINE, costOfWaiting, normalizeTimelineOptions, projectTimeline, rampFactor } from "./timeline.js";
+
+const approx = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `expected ${a} ≈ ${b}`);
+const flat = { months: 6, rampPenalty: 0, rampMonths: 1, closeLagMonths: 0, creditMonths: 24 };
+
+test("with no ramp, lag or expiry every month equals the single-month projection", () => {
+  const one = project();
+  const t = projectTimeline({}, flat);
+  assert.equal(t.months.length, 6);
+  for (const m of t.months) {
+    approx(m.pixel.leads, one.pixelLeads);
+    approx(m.pixel.revenue, one.pixelRevenue);
+    approx(m.competitor.revenue, one.competitorRevenue);
+  }
+  approx(t.totals.pixelRevenue, one.pixelRevenue * 6);
+  approx(t.totals.deltaRevenue, one.deltaRevenue * 6);
+  approx(t.months[2].pixel.cumClosed, one.pixelClosed * 3);
+});
+
+test("ramp penalty starts at month 1 and shrinks to zero", () => {
+  const opts = { rampPenalty: 0.3, rampMonths: 3 };
+  approx(rampFactor(1, opts), 1.3);
+  approx(rampFactor(2, opts), 1.2);
+  approx(rampFactor(3, opts), 1.1);
+  approx(rampFactor(4, opts), 1);
+  approx(rampFactor(10, opts), 1);
+
+  const t = projectTimeline({}, { ...flat, rampPenalty: 0.3, rampMonths: 3 });
+  approx(t.months[0].pixel.leads, project().pixelLeads / 1.3);
+  assert.ok(t.months[0].competitor.leads < t.months[3].competitor.leads);
+});
+
+test("close lag shifts closings into later months and drops those past the horizon", () => {
+  const t = projectTimeline({}, { ...flat, closeLagMonths: 2 });
+  assert.equal(t.months[0].pixel.closed, 0);
+  assert.equal(t.months[1].pixel.closed, 0);
+  approx(t.months[2].pixel.closed, t.months[0].pixel.appts * 0.25);
+  approx(t.totals.pixelClosed, project().pixelClosed * 4);
+});
+
+test("funded credits expire after creditMonths", () => {
+  const t = projectTimeline({ pmc: 500 }, { ...flat, creditMonths: 2 });
+  assert.deepEqual(t.months.map((m) => m.funded), [500, 500, 0, 0, 0, 0]);
+  assert.equal(t.months[2].pixel.budget, 1000);
+  assert.equal(projectTimeline({}, { ...flat, creditMonths: 0 }).months[0].funded, 0);
+});
+
+test("zero spend with expired credits produces nothing", () => {
+  const t = projectTimeline({ spend: 0 }, { ...flat, creditMonths: 1 });
+  assert.ok(t.months[0].pixel.leads > 0);
+  assert.equal(t.months[1].pixel.leads, 0);
+  assert.equal(t.totals.competitorRevenue, 0);
+});
+
+test("cost of waiting is the revenue from the final k months", () => {
+  const t = projectTimeline({}, { ...flat, closeLagMonths: 1 });
+  const m = t.months;
+  approx(costOfWaiting(t, 1), m[5].pixel.revenue);
+  approx(costOfWaiting(t, 2), m[5].pixel.revenue + m[4].pixel.revenue);
+  approx(costOfWaiting(t, 6), t.totals.pixelRevenue);
+  approx(costOfWaiting(t, 99), t.totals.pixelRevenue);
+  assert.equal(costOfWaiting(t, 0), 0);
+});
+
+test("options are clamped and rounded", () => {
+  assert.deepEqual(normalizeTimelineOptions(), DEFAULT_TIMELINE);
+  const o = normalizeTimelineOptions({ months: 40, rampPenalty: -1, rampMonths: 0, closeLagMonths: 1.6, creditMonths: NaN });
+  assert.deepEqual(o, { months: 24, rampPenalty: 0, rampMonths: 1, closeLagMonths: 2, creditMonths: DEFAULT_TIMELINE.creditMonths });
+  assert.equal(projectTimeline({}, { months: 1 }).months.length, 3);
+});
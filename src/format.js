@@ -0,0 +1,2 @@
+// ---------------- Display formatting ----------------
+export const money = (x) => `$${Number.isFinite(x) ? (Math.round(x * 100) / 100).toLocaleString() : "0.00"}`;
@@ -0,0 +1,11 @@
+// Runs Monte Carlo simulations off the main thread (see ./useSimulation.js)
+import { simulate } from "./engine/montecarlo.js";
+
+self.onmessage = (e) => {
+  const { id, inputs, distributions, options, table } = e.data;
+  try {
+    self.postMessage({ id, result: simulate(inputs, distributions, options, table) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from "react";
+import { AUDIENCE_CHANNEL, DEFAULT_AUDIENCE, isAudienceMessage, normalizeAudienceSelection } from "./engine/audience.js";
+
+// ---------------- Presenter / audience sync ----------------
+// Same-origin windows only (BroadcastChannel). Without it, presenter mode reports
+// itself unsupported and the audience window just waits.
+export const audienceSyncSupported = () => typeof BroadcastChannel !== "undefined";
+
+export const isAudienceWindow = () =>
+  typeof window !== "undefined" && new URLSearchParams(window.location.search).get("view") === "audience";
+
+export function openAudienceWindow() {
+  return window.open(`${window.location.pathname}?view=audience`, "pixel-audience", "popup,width=1280,height=800");
+}
+
+// Presenter side: broadcasts `view` while enabled and not frozen. A frozen
+// audience keeps the last view it was sent (new audience windows get it too).
+// Returns the ids of audience windows currently listening.
+export function usePresenterSync(view, { enabled, frozen }) {
+  const channelRef = useRef(null);
+  const shownRef = useRef(null);
+  const [audiences, setAudiences] = useState([]);
+
+  useEffect(() => {
+    if (!enabled || !audienceSyncSupported()) return undefined;
+    const channel = new BroadcastChannel(AUDIENCE_CHANNEL);
+    channelRef.current = channel;
+    channel.onmessage = (e) => {
+      if (!isAudienceMessage(e.data)) return;
+      const { type, id } = e.data;
+      if (type === "hello") {
+        setAudiences((ids) => (ids.includes(id) ? ids : [...ids, id]));
+        if (shownRef.current) channel.postMessage({ type: "view", view: shownRef.current });
+      } else if (type === "bye") {
+        setAudiences((ids) => ids.filter((x) => x !== id));
+      }
+    };
+    channel.postMessage({ type: "ping" }); // audiences opened earlier announce themselves
+    return () => {
+      channel.close();
+      channelRef.current = null;
+      setAudiences([]);
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || frozen || !channelRef.current) return;
+    shownRef.current = view;
+    channelRef.current.postMessage({ type: "view", view });
+  }, [enabled, frozen, view]);
+
+  return audiences;
+}
+
+// Audience side: the latest view from the presenter (null until one arrives)
+export function useAudienceSync() {
+  const [view, setView] = useState(null);
+
+  useEffect(() => {
+    if (!audienceSyncSupported()) return undefined;
+    const id = Math.random().toString(36).slice(2);
+    const channel = new BroadcastChannel(AUDIENCE_CHANNEL);
+    const hello = () => channel.postMessage({ type: "hello", id });
+    const bye = () => channel.postMessage({ type: "bye", id });
+    channel.onmessage = (e) => {
+      if (!isAudienceMessage(e.data)) return;
+      if (e.data.type === "view") setView(e.data.view);
+      else if (e.data.type === "ping") hello();
+    };
+    hello();
+    window.addEventListener("pagehide", bye);
+    return () => {
+      window.removeEventListener("pagehide", bye);
+      bye();
+      channel.close();
+    };
+  }, []);
+
+  return view;
+}
+
+// Presenter's stat/panel picks, kept per browser
+const SELECTION_STORAGE_KEY = "pixel.audience.v1";
+
+function readStoredSelection() {
+  try {
+    const raw = window.localStorage.getItem(SELECTION_STORAGE_KEY);
+    return raw ? normalizeAudienceSelection(JSON.parse(raw)) : DEFAULT_AUDIENCE;
+  } catch {
+    return DEFAULT_AUDIENCE;
+  }
+}
+
+export function useAudienceSelection() {
+  const [selection, setSelection] = useState(readStoredSelection);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SELECTION_STORAGE_KEY, JSON.stringify(selection));
+    } catch {
+      // storage full or disabled (private mode): keep working in memory
+    }
+  }, [selection]);
+
+  return [selection, setSelection];
+}
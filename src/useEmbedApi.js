@@ -0,0 +1,105 @@
+import { useEffect, useRef } from "react";
+import {
+  EMBED_API_VERSION,
+  EMBED_RELAY,
+  consoleMessage,
+  isAllowedOrigin,
+  mergeInputs,
+  parseHostMessage,
+  statePayload,
+  unwrapRelay,
+} from "./engine/embed.js";
+import { encodeScenario } from "./engine/scenarioParams.js";
+
+// ---------------- Embed API (postMessage) ----------------
+// Active only inside an iframe. Announces "ready", reports its size for
+// auto-resizing hosts, and answers commands from allowed origins (see
+// ./engine/embed.js for the protocol). Replies and output events go only to the
+// origin that asked; "ready" and "size" carry no data and go to any parent,
+// which the frame-ancestors CSP already limits to the same list.
+const isEmbedded = () => typeof window !== "undefined" && window.parent !== window;
+
+function send(to, msg) {
+  if (to.relayed) to.source.postMessage({ relay: EMBED_RELAY, origin: to.origin, data: msg }, window.location.origin);
+  else to.source.postMessage(msg, to.origin);
+}
+
+// `outputs` is the Prospect Summary for `state`; `load` replaces every input
+export function useEmbedApi({ state, outputs, load, table }) {
+  const latestRef = useRef({ state, outputs, load, table });
+  const subscribersRef = useRef([]);
+  const pendingAcksRef = useRef([]); // setInputs acks wait for the re-render so they carry the new outputs
+
+  useEffect(() => {
+    latestRef.current = { state, outputs, load, table };
+  });
+
+  useEffect(() => {
+    if (!isEmbedded()) return undefined;
+    const selfOrigin = window.location.origin;
+
+    const onMessage = (e) => {
+      const { data, origin, relayed } = unwrapRelay(e.data, e.origin, selfOrigin);
+      const parsed = parseHostMessage(data);
+      if (!parsed || !e.source || !isAllowedOrigin(origin, selfOrigin)) return;
+      const to = { source: e.source, origin, relayed };
+      if (parsed.error) {
+        send(to, consoleMessage("error", parsed.error));
+        return;
+      }
+
+      const { id, type, inputs } = parsed.message;
+      const cur = latestRef.current;
+      if (type === "setInputs") {
+        const { state: next, notices } = mergeInputs(cur.state, inputs, cur.table);
+        if (encodeScenario(next) === encodeScenario(cur.state)) {
+          send(to, consoleMessage("ack", { id, notices, ...statePayload(cur.state, cur.outputs) }));
+        } else {
+          pendingAcksRef.current.push({ to, id, notices });
+          cur.load(next);
+        }
+      } else if (type === "getState") {
+        send(to, consoleMessage("state", { id, ...statePayload(cur.state, cur.outputs) }));
+      } else if (type === "subscribe") {
+        const others = subscribersRef.current.filter((s) => s.source !== to.source || s.origin !== to.origin);
+        subscribersRef.current = [...others, to];
+        send(to, consoleMessage("ack", { id, notices: [] }));
+        send(to, consoleMessage("outputs", statePayload(cur.state, cur.outputs)));
+      } else if (type === "unsubscribe") {
+        subscribersRef.current = subscribersRef.current.filter((s) => s.source !== to.source || s.origin !== to.origin);
+        send(to, consoleMessage("ack", { id, notices: [] }));
+      }
+    };
+
+    let last = "";
+    const reportSize = () => {
+      const el = document.documentElement;
+      const size = { width: el.scrollWidth, height: el.scrollHeight };
+      const key = `${size.width}x${size.height}`;
+      if (key === last) return;
+      last = key;
+      window.parent.postMessage(consoleMessage("size", size), "*");
+    };
+    const observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(reportSize);
+    if (observer) observer.observe(document.body);
+    else window.addEventListener("resize", reportSize);
+
+    window.addEventListener("message", onMessage);
+    window.parent.postMessage(consoleMessage("ready", { version: EMBED_API_VERSION }), "*");
+    reportSize();
+
+    return () => {
+      window.removeEventListener("message", onMessage);
+      if (observer) observer.disconnect();
+      else window.removeEventListener("resize", reportSize);
+    };
+  }, []);
+
+  // Push every change to subscribers and settle any setInputs waiting on it
+  useEffect(() => {
+    const payload = statePayload(state, outputs);
+    for (const { to, id, notices } of pendingAcksRef.current) send(to, consoleMessage("ack", { id, notices, ...payload }));
+    pendingAcksRef.current = [];
+    for (const to of subscribersRef.current) send(to, consoleMessage("outputs", payload));
+  }, [state, outputs]);
+}
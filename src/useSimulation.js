@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from "react";
+import { simulate } from "./engine/montecarlo.js";
+
+// ---------------- Monte Carlo runner ----------------
+// Posts each request to a Web Worker and keeps only the newest answer, so typing
+// into inputs never blocks rendering. Requests are debounced while inputs move,
+// and a run still in progress when a newer request arrives is cancelled by
+// restarting the worker, so stale runs never queue up. Falls back to a timer
+// where workers are unavailable (SSR, old browsers). `request` null means idle.
+const DEBOUNCE_MS = 150;
+
+function createRunner(onResult) {
+  let timer;
+  if (typeof Worker === "undefined") {
+    return {
+      post: (msg) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          try {
+            onResult({ id: msg.id, result: simulate(msg.inputs, msg.distributions, msg.options, msg.table) });
+          } catch (err) {
+            onResult({ id: msg.id, error: err.message });
+          }
+        }, DEBOUNCE_MS);
+      },
+      terminate: () => clearTimeout(timer),
+    };
+  }
+
+  let worker = null;
+  let busy = false;
+  let inFlight = null; // id of the request the worker is running
+  const start = () => {
+    worker = new Worker(new URL("./montecarlo.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      busy = false;
+      onResult(e.data);
+    };
+    // Load or uncaught errors: report them instead of leaving the run pending
+    worker.onerror = (e) => {
+      e.preventDefault();
+      busy = false;
+      onResult({ id: inFlight, error: e.message || "Simulation failed to run." });
+    };
+  };
+  start();
+  return {
+    post: (msg) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (busy) {
+          worker.terminate(); // the running job is superseded
+          start();
+        }
+        busy = true;
+        inFlight = msg.id;
+        worker.postMessage(msg);
+      }, DEBOUNCE_MS);
+    },
+    terminate: () => {
+      clearTimeout(timer);
+      worker.terminate();
+    },
+  };
+}
+
+export function useSimulation(request) {
+  const [state, setState] = useState({ result: null, error: null, pending: false });
+  const runnerRef = useRef(null);
+  const latestRef = useRef(0);
+
+  useEffect(() => {
+    const runner = createRunner(({ id, result, error }) => {
+      if (id !== latestRef.current) return; // superseded by newer inputs
+      setState({ result: result || null, error: error || null, pending: false });
+    });
+    runnerRef.current = runner;
+    return () => {
+      runner.terminate();
+      runnerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!request || !runnerRef.current) return;
+    const id = ++latestRef.current;
+    setState((s) => ({ ...s, pending: true }));
+    runnerRef.current.post({ id, ...request });
+  }, [request]);
+
+  return request ? state : { result: null, error: null, pending: false };
+}